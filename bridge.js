@@ -12,9 +12,27 @@
 import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
 import { EventEmitter } from 'events';
+import { join } from 'path';
 import dotenv from 'dotenv';
+import { IVRNavigator, getIVRProfile } from './lib/ivr.js';
+import { captureRawBody, verifyTelnyxWebhook } from './lib/telnyx-webhook.js';
+import { parseInvitation } from './lib/invitation.js';
+import { DialInPool } from './lib/dial-in-pool.js';
+import { JoinScheduler, describeEntry } from './lib/scheduler.js';
+import { SessionStore } from './lib/session-store.js';
+import { pcmToUlaw8k, pcmToWav, toFrames, StreamDecoder, decoderForStream, streamCodec, STREAM_CODECS, FRAME_MS } from './lib/audio.js';
+import { VoiceActivityDetector } from './lib/vad.js';
+import { BargeInDetector } from './lib/barge-in.js';
+import { EchoSuppressor } from './lib/echo.js';
+import { AudioHealthMonitor } from './lib/audio-health.js';
+import { MuteController } from './lib/mute.js';
+import { TalkBudget, speechMs } from './lib/etiquette.js';
+import { SpeakerDiarizer } from './lib/diarization.js';
+import { SpeakerRoster } from './lib/roster.js';
+import { mountSpeakerRoutes, speakerList } from './lib/speakers.js';
+import { CallRecorder, RECORD_CALLS, recordingName } from './lib/recorder.js';
 
 dotenv.config();
 
@@ -22,6 +40,20 @@ const PORT = process.env.PORT || 8080;
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
 const TELNYX_BASE = 'https://api.telnyx.com/v2';
+// 'openai': transcribe the media stream ourselves (VAD → /v1/audio/transcriptions) and
+// stop Telnyx transcription once joined; 'telnyx': keep Telnyx's engine after the IVR.
+// Needs the media stream, so it defaults to Telnyx without BRIDGE_HOST.
+const STT_ENGINE = process.env.STT_ENGINE || (process.env.BRIDGE_HOST ? 'openai' : 'telnyx');
+const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+const STT_LANGUAGE = process.env.STT_LANGUAGE || null;
+// Label our own transcripts by voice ("Speaker 1"), from the VAD utterances
+const DIARIZE = process.env.DIARIZE !== 'false';
+// ...and put names on the labels from introductions ("this is Alice")
+const ROSTER = DIARIZE && process.env.ROSTER !== 'false';
+// Codec asked for on the media stream: L16 / G722 carry 16 kHz audio, PCMU /
+// PCMA 8 kHz. Telnyx sends the call's own codec when it can't transcode; the
+// stream's `start` message says which one it is.
+const STREAM_CODEC = process.env.STREAM_CODEC || 'L16';
 
 // --- Telnyx REST helper ---
 async function telnyxAPI(method, path, body = null) {
@@ -35,7 +67,11 @@ async function telnyxAPI(method, path, body = null) {
   if (body) opts.body = JSON.stringify(body);
   const res = await fetch(`${TELNYX_BASE}${path}`, opts);
   const data = await res.json();
-  if (!res.ok) throw new Error(`Telnyx ${method} ${path}: ${res.status} ${JSON.stringify(data.errors || data)}`);
+  if (!res.ok) {
+    const err = new Error(`Telnyx ${method} ${path}: ${res.status} ${JSON.stringify(data.errors || data)}`);
+    err.status = res.status;
+    throw err;
+  }
   return data;
 }
 
@@ -53,36 +89,83 @@ function log(level, msg, data = {}) {
 }
 
 // ============================================================
-// ZoomDialer — State machine for joining Zoom via DTMF
+// MeetingDialer — State machine for joining a meeting via DTMF
+// IVR prompts are recognised live (see lib/ivr.js); the DTMF for each
+// step is sent when its prompt is heard. The platform (zoom, teams, meet,
+// webex) picks the IVR profile.
 // ============================================================
-class ZoomDialer extends EventEmitter {
+class MeetingDialer extends EventEmitter {
   constructor(config) {
     super();
+    this.platform = config.platform || 'zoom';
+    this.profile = getIVRProfile(this.platform);
     this.meetingId = config.meetingId;
     this.passcode = config.passcode || '';
-    this.dialInNumber = config.dialInNumber || process.env.ZOOM_DIAL_IN || '+16699009128';
+    this.participantId = config.participantId || '';
     this.fromNumber = config.fromNumber || process.env.TELNYX_DID;
+    // Kept to rebuild the pool after a restart
+    this.pinnedDialIn = config.dialInNumber || null;
+    this.invitationDialIns = config.invitationDialIns || [];
+    // Nearest dial-in first; BUSY / NO_ANSWER / DIAL_ERROR move to the next one
+    this.pool = config.dialInPool || DialInPool.fromEnv({
+      pinned: config.dialInNumber,
+      invitationDialIns: config.invitationDialIns,
+      callerNumber: this.fromNumber,
+      platform: this.platform,
+    });
+    this.dialInNumber = this.pool.current()?.number;
     this.connectionId = process.env.TELNYX_CONNECTION_ID;
+    this.streamCodec = streamCodec(config.streamCodec || STREAM_CODEC);
+    if (!this.streamCodec) {
+      throw new Error(`Unknown stream codec: ${config.streamCodec || STREAM_CODEC} (expected one of ${Object.keys(STREAM_CODECS).join(', ')})`);
+    }
     
     this.state = 'IDLE';
     this.callControlId = null;
     this.callLegId = null;
     this.retryCount = 0;
     this.maxRetries = 3;
-    this.dtmfQueue = [];
-    this.dtmfTimer = null;
+    this.failures = {};       // reason → count
+    this.lastFailure = null;
+    this.ivr = null;
+    // Line mute, followed from the IVR's announcements; *6 toggles it
+    this.mute = new MuteController({
+      profile: this.profile,
+      policy: config.mutePolicy,
+      sendDTMF: (digits) => this.sendDTMF(digits),
+      log: (level, msg) => log(level, `Mute: ${msg}`),
+    });
+
+    // Retry policy per failure reason (delay doubles on each repeat)
+    this.retryPolicy = {
+      BUSY:                     { retries: 3, delay: 5000 },
+      NO_ANSWER:                { retries: 2, delay: 2000 },
+      DIAL_ERROR:               { retries: 3, delay: 2000 },
+      HANGUP:                   { retries: 1, delay: 2000 },
+      IVR_LOOP:                 { retries: 1, delay: 5000 },
+      WAITING_FOR_HOST_TIMEOUT: { retries: 1, delay: 60000 },
+      // Retrying cannot fix these
+      INVALID_MEETING_ID:       { retries: 0 },
+      BAD_PASSCODE:             { retries: 0 },
+      WAITING_ROOM_TIMEOUT:     { retries: 0 },
+    };
     
     // Timeouts (ms)
     this.timeouts = {
       answer: 30000,
-      dtmfDelay: 2000,      // Wait before sending DTMF after answer
-      dtmfPacing: 500,       // Between individual digits
-      dtmfGroupDelay: 3000,  // Between meeting ID and passcode
-      joinConfirm: 15000,    // Wait for "joined" confirmation
-      ivrRetry: 5000,        // Retry DTMF if no progress
+      // IVR fallbacks, used only when a prompt is not recognised
+      ivr: {
+        greeting: 15000,     // Answer → meeting ID prompt
+        participantId: 8000, // Meeting ID → participant ID prompt
+        passcode: 5000,      // Participant ID → passcode prompt
+        joinConfirm: 15000,  // Wait for "joined" confirmation
+        waitingRoom: 600000, // Not admitted by the host → WAITING_ROOM_TIMEOUT
+        waitingForHost: 900000, // Host never started → WAITING_FOR_HOST_TIMEOUT
+      },
     };
 
-    log('info', 'ZoomDialer initialized', { 
+    log('info', 'MeetingDialer initialized', { 
+      platform: this.platform,
       meetingId: this.meetingId.replace(/./g, '*'),
       dialIn: this.dialInNumber 
     });
@@ -103,6 +186,8 @@ class ZoomDialer extends EventEmitter {
       return;
     }
 
+    this.dialInNumber = this.pool.current().number;
+    this.mute.reset();
     this.setState('DIALING');
 
     try {
@@ -117,20 +202,19 @@ class ZoomDialer extends EventEmitter {
       if (process.env.BRIDGE_HOST) {
         callBody.stream_url = `wss://${process.env.BRIDGE_HOST}/media`;
         callBody.stream_track = 'both_tracks';
+        callBody.stream_codec = this.streamCodec;
+        // Lets us send TTS frames back on the same socket
+        callBody.stream_bidirectional_mode = 'rtp';
+        callBody.stream_bidirectional_codec = 'PCMU';
       }
 
       const result = await telnyxAPI('POST', '/calls', callBody);
       this.callControlId = result.data.call_control_id;
       this.callLegId = result.data.call_leg_id;
-      log('info', 'Call initiated', { callControlId: this.callControlId });
+      log('info', 'Call initiated', { callControlId: this.callControlId, dialIn: this.dialInNumber });
 
-      // Set answer timeout
-      this._answerTimeout = setTimeout(() => {
-        if (this.state === 'DIALING') {
-          log('warn', 'Answer timeout');
-          this.handleFailure('NO_ANSWER');
-        }
-      }, this.timeouts.answer);
+      this.startIVR();
+      this.armAnswerTimeout();
 
     } catch (err) {
       log('error', 'Dial failed', { error: err.message });
@@ -138,6 +222,17 @@ class ZoomDialer extends EventEmitter {
     }
   }
 
+  // Answer timeout (the navigator hangs up the ringing call)
+  armAnswerTimeout() {
+    clearTimeout(this._answerTimeout);
+    this._answerTimeout = setTimeout(() => {
+      if (this.state === 'DIALING') {
+        log('warn', 'Answer timeout');
+        this.ivr.fail('NO_ANSWER');
+      }
+    }, this.timeouts.answer);
+  }
+
   // Handle Telnyx webhook events
   async handleEvent(event) {
     const eventType = event.event_type || event.data?.event_type;
@@ -146,19 +241,41 @@ class ZoomDialer extends EventEmitter {
     switch (eventType) {
       case 'call.answered':
         clearTimeout(this._answerTimeout);
-        this.setState('ANSWERED');
-        // Wait for Zoom IVR greeting, then send DTMF
-        setTimeout(() => this.enterMeetingId(), this.timeouts.dtmfDelay);
+        // Navigator starts transcription and moves to ANSWERED
+        this.ivr?.handleEvent(eventType, event.data);
         break;
 
+      case 'call.transcription': {
+        const data = event.data?.transcription_data;
+        const text = data?.transcript?.trim();
+        const final = Boolean(text) && data.is_final !== false;
+        // "You are muted" and the like are meant for us, not meeting speech
+        const announcement = final && this.mute.heard(text);
+        if (this.state === 'IN_MEETING') {
+          if (final && !announcement) this.emit('transcript', { text, confidence: data.confidence });
+          // Interim results: someone is mid-sentence
+          else if (text && !final) this.emit('interim', { text });
+        } else {
+          this.ivr?.handleEvent(eventType, event.data);
+        }
+        break;
+      }
+
       case 'call.dtmf.received':
-        // Zoom may echo DTMF — ignore
+        // The IVR may echo DTMF — ignore
         break;
 
       case 'call.hangup':
         log('info', 'Call ended', { reason: event.data?.hangup_cause });
-        this.setState('ENDED');
-        this.emit('ended', { reason: event.data?.hangup_cause });
+        clearTimeout(this._answerTimeout);
+        if (this.state === 'IN_MEETING') {
+          this.setState('ENDED');
+          this.emit('ended', { reason: event.data?.hangup_cause });
+        } else {
+          // Hung up before we got in: the navigator turns it into BUSY / NO_ANSWER / HANGUP
+          // (and ignores the hangup of an attempt it already failed or was stopped)
+          this.ivr?.handleEvent(eventType, event.data);
+        }
         break;
 
       case 'call.bridged':
@@ -181,48 +298,42 @@ class ZoomDialer extends EventEmitter {
     }
   }
 
-  // Send meeting ID via DTMF
-  async enterMeetingId() {
-    this.setState('ENTER_MEETING_ID');
-    const digits = this.meetingId.replace(/\s/g, '') + '#';
-    log('info', 'Sending meeting ID DTMF', { length: digits.length });
-    await this.sendDTMF(digits);
-
-    // After sending meeting ID, wait then send passcode
-    setTimeout(() => {
-      if (this.state === 'ENTER_MEETING_ID') {
-        this.enterPasscode();
-      }
-    }, this.timeouts.dtmfGroupDelay);
-  }
-
-  // Send passcode via DTMF  
-  async enterPasscode() {
-    this.setState('ENTER_PASSCODE');
-    
-    if (this.passcode) {
-      const digits = this.passcode + '#';
-      log('info', 'Sending passcode DTMF');
-      await this.sendDTMF(digits);
-    } else {
-      // No passcode — just send # to skip
-      log('info', 'No passcode, sending # to skip');
-      await this.sendDTMF('#');
-    }
+  // Hand the IVR phase to the prompt-driven navigator
+  startIVR() {
+    this.ivr?.stop();
+    this.ivr = new IVRNavigator({
+      api: telnyxAPI,
+      callControlId: this.callControlId,
+      meetingId: this.meetingId,
+      passcode: this.passcode,
+      participantId: this.participantId,
+      profile: this.profile,
+      timeouts: this.timeouts.ivr,
+      log: (level, msg) => log(level, `IVR: ${msg}`),
+    });
 
-    // Wait for join confirmation
-    setTimeout(() => {
-      if (this.state === 'ENTER_PASSCODE') {
-        // Assume joined if no error after timeout
-        this.confirmJoined();
-      }
-    }, this.timeouts.joinConfirm);
+    this.ivr.on('state', ({ to }) => {
+      if (to !== 'IN_MEETING' && to !== 'FAILED' && to !== this.state) this.setState(to);
+    });
+    this.ivr.on('prompt', ({ prompt }) => log('info', `IVR prompt: ${prompt}`));
+    this.ivr.on('waiting_room', (info) => this.emit('waiting_room', info));
+    this.ivr.on('waiting_for_host', (info) => this.emit('waiting_for_host', info));
+    this.ivr.on('joined', () => this.confirmJoined());
+    this.ivr.on('failed', ({ reason }) => {
+      clearTimeout(this._answerTimeout);
+      this.handleFailure(reason);
+    });
   }
 
   // Confirm joined meeting
   confirmJoined() {
+    const dialIn = this.pool.markConnected();
+    log('info', 'Connected via dial-in', dialIn);
     this.setState('IN_MEETING');
-    log('info', '✅ Joined Zoom meeting');
+    log('info', `✅ Joined ${this.profile.name} meeting`);
+    // Telnyx transcription was only needed for the IVR prompts
+    if (STT_ENGINE === 'openai') this.ivr.stopTranscription();
+    this.mute.joined();
     this.emit('joined');
   }
 
@@ -239,14 +350,32 @@ class ZoomDialer extends EventEmitter {
     }
   }
 
-  // Handle failures
+  // Handle failures: each reason is its own state + event, then retry per policy
   handleFailure(reason) {
-    log('warn', `Failure: ${reason}`, { retry: this.retryCount });
+    const policy = this.retryPolicy[reason] || { retries: 0 };
+    const count = this.failures[reason] = (this.failures[reason] || 0) + 1;
+    this.lastFailure = { reason, at: new Date().toISOString() };
+    log('warn', `Failure: ${reason}`, { count, retry: this.retryCount });
+
+    this.setState(reason);
+    this.emit(reason.toLowerCase(), { count });
+
+    // Trunk-side failure: try the next dial-in straight away
+    if (this.pool.shouldFailover(reason)) {
+      const next = this.pool.failover(reason);
+      if (next) {
+        log('info', `Failing over to ${next.number}`, { region: next.region, after: reason });
+        this.setState('IDLE');
+        setTimeout(() => this.dial(), 1000);
+        return;
+      }
+      this.pool.reset();
+    }
     
-    if (this.retryCount < this.maxRetries) {
+    if (count <= policy.retries && this.retryCount < this.maxRetries) {
       this.retryCount++;
       this.setState('IDLE');
-      const delay = Math.min(2000 * Math.pow(2, this.retryCount), 30000);
+      const delay = Math.min(policy.delay * Math.pow(2, count - 1), 120000);
       log('info', `Retrying in ${delay}ms (attempt ${this.retryCount}/${this.maxRetries})`);
       setTimeout(() => this.dial(), delay);
     } else {
@@ -255,8 +384,112 @@ class ZoomDialer extends EventEmitter {
     }
   }
 
+  // Persisted by the session store (see MeetingDialer.restore)
+  toJSON() {
+    return {
+      platform: this.platform,
+      meetingId: this.meetingId,
+      passcode: this.passcode,
+      participantId: this.participantId,
+      pinnedDialIn: this.pinnedDialIn,
+      invitationDialIns: this.invitationDialIns,
+      state: this.state,
+      callControlId: this.callControlId,
+      callLegId: this.callLegId,
+      dialInNumber: this.dialInNumber,
+      retryCount: this.retryCount,
+      failures: this.failures,
+      lastFailure: this.lastFailure,
+      dialInAttempts: this.pool.attempts,
+      connectedDialIn: this.pool.connected,
+      mute: this.mute.toJSON(),
+      streamCodec: this.streamCodec,
+    };
+  }
+
+  static restore(data) {
+    const dialer = new MeetingDialer({
+      platform: data.platform,
+      meetingId: data.meetingId,
+      passcode: data.passcode,
+      participantId: data.participantId,
+      dialInNumber: data.pinnedDialIn,
+      invitationDialIns: data.invitationDialIns,
+      mutePolicy: data.mute?.policy,
+      streamCodec: data.streamCodec,
+    });
+    dialer.mute.restore(data.mute);
+    dialer.state = data.state;
+    dialer.callControlId = data.callControlId;
+    dialer.callLegId = data.callLegId;
+    dialer.retryCount = data.retryCount || 0;
+    dialer.failures = data.failures || {};
+    dialer.lastFailure = data.lastFailure || null;
+    dialer.pool.attempts = data.dialInAttempts || [];
+    dialer.pool.connected = data.connectedDialIn || null;
+    const position = dialer.pool.ranked.findIndex(e => e.number === data.dialInNumber);
+    if (position >= 0) dialer.pool.position = position;
+    dialer.dialInNumber = data.dialInNumber;
+    return dialer;
+  }
+
+  /**
+   * Carry on with a call that outlived a bridge restart: a call in the
+   * meeting gets its media stream back, one still in the IVR gets a
+   * navigator that picks up from the saved state.
+   */
+  async resume() {
+    log('info', `Resuming call in ${this.state}`, { callControlId: this.callControlId });
+    if (this.state === 'IN_MEETING') {
+      await this.restartStreaming();
+      return;
+    }
+    this.startIVR();
+    if (this.state === 'DIALING') this.armAnswerTimeout();
+    else this.ivr.resume(this.state);
+  }
+
+  /**
+   * Ask Telnyx for a new media stream: the WebSocket died with the old
+   * process, or the audio health monitor saw it stall. `stopFirst` ends a
+   * stream that is still connected but carrying nothing.
+   */
+  async restartStreaming({ stopFirst = false } = {}) {
+    if (!process.env.BRIDGE_HOST) return;
+    if (stopFirst) {
+      try {
+        await telnyxAPI('POST', `/calls/${this.callControlId}/actions/streaming_stop`, {});
+      } catch (err) {
+        log('debug', 'Media stream stop failed', { error: err.message });
+      }
+    }
+    const body = {
+      stream_url: `wss://${process.env.BRIDGE_HOST}/media`,
+      stream_track: 'both_tracks',
+      stream_bidirectional_mode: 'rtp',
+      stream_bidirectional_codec: 'PCMU',
+    };
+    try {
+      await telnyxAPI('POST', `/calls/${this.callControlId}/actions/streaming_start`, { ...body, stream_codec: this.streamCodec });
+    } catch (err) {
+      if (err.status !== 422) {
+        log('warn', 'Media stream restart failed', { error: err.message });
+        return;
+      }
+      // Codec refused for this call: take the call's own
+      log('warn', `Media stream with ${this.streamCodec} refused, using the call's codec`, { error: err.message });
+      try {
+        await telnyxAPI('POST', `/calls/${this.callControlId}/actions/streaming_start`, body);
+      } catch (err) {
+        log('warn', 'Media stream restart failed', { error: err.message });
+      }
+    }
+  }
+
   // Hangup
   async hangup() {
+    this.ivr?.stop();
+    this.mute.stop();
     if (this.callControlId) {
       try {
         await telnyxAPI('POST', `/calls/${this.callControlId}/actions/hangup`, {});
@@ -272,60 +505,228 @@ class ZoomDialer extends EventEmitter {
 // ============================================================
 // MediaBridge — Audio streaming + STT/TTS (Milestone 2+)
 // ============================================================
+// Send this far ahead of real time so Telnyx's jitter buffer never runs dry
+const TTS_LEAD_MS = 60;
+// speak_progress every N frames (50 × 20 ms = 1s)
+const TTS_PROGRESS_FRAMES = 50;
+
+// Resolves after ms, or straight away once the signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
 class MediaBridge extends EventEmitter {
-  constructor() {
+  constructor({ stt = STT_ENGINE === 'openai', monitor = Boolean(process.env.BRIDGE_HOST), codec = 'PCMU' } = {}) {
     super();
-    this.audioBuffer = [];
     this.isSpeaking = false;
     this.ttsAbortController = null;
+    this.speech = null;   // { text, sent, total } while speaking
+    this.outputWs = null; // socket the current speech goes out on
+
+    // Everything below runs at the rate of the codec asked for (16 kHz for
+    // L16 / G722); the decoders follow what the stream actually carries
+    // (setStreamFormat), resampling if Telnyx fell back to 8 kHz G.711
+    this.sampleRate = STREAM_CODECS[codec].rate;
+    this.codec = { requested: codec, stream: null, streamRate: null, sampleRate: this.sampleRate };
+    this.decoder = new StreamDecoder({ codec, rate: this.sampleRate });
+    this.referenceDecoder = new StreamDecoder({ codec, rate: this.sampleRate });
+
+    // Inbound track → utterances → OpenAI STT, only while in the meeting
+    // (the IVR prompts are Telnyx's job)
+    this.stt = stt;
+    this.listening = false;
+    this.vad = new VoiceActivityDetector({ sampleRate: this.sampleRate });
+    this.vad.on('speech_start', (info) => this.emit('speech_start', info));
+    this.diarizer = new SpeakerDiarizer({ log: (level, msg) => log(level, `Diarize: ${msg}`) });
+    // The voice is worked out off the socket handler; STT doesn't wait for it
+    this.vad.on('utterance', (utterance) => {
+      const speaker = DIARIZE ? this.diarizer.defer(utterance).then(who => who?.speaker) : null;
+      this.transcribe({ ...utterance, speaker });
+    });
+    this.sttQueue = Promise.resolve();
+
+    // The agent's voice coming back from speakerphones in the meeting:
+    // the outbound track is the reference, so barge-in and STT only hear people
+    this.echo = new EchoSuppressor({ sampleRate: this.sampleRate });
+
+    // Frame rate, gaps and levels of the inbound track; a stream that stops
+    // or goes dead in the meeting raises `stall` (see registerSession)
+    this.monitor = monitor;
+    this.health = new AudioHealthMonitor({ sampleRate: this.sampleRate });
+
+    // Someone talking over the agent stops the TTS
+    this.bargeIn = new BargeInDetector({ sampleRate: this.sampleRate });
+    this.bargeIn.on('barge_in', (info) => {
+      const speech = this.speech;
+      if (!speech) return;
+      log('info', 'Barge-in', { source: info.source, after: `${speech.sent * FRAME_MS}ms` });
+      this.cancelSpeech();
+      this.emit('barge_in', { ...info, text: speech.text, sentMs: speech.sent * FRAME_MS });
+    });
+  }
+
+  /**
+   * A media stream started: decode what its `start` message says it
+   * carries (media_format { encoding, sample_rate }).
+   *
+   * Events: codec { requested, stream, streamRate, sampleRate }
+   */
+  setStreamFormat(mediaFormat) {
+    const options = { rate: this.sampleRate, fallback: this.codec.requested };
+    this.decoder = decoderForStream(mediaFormat, options);
+    this.referenceDecoder = decoderForStream(mediaFormat, options);
+    this.codec.stream = this.decoder.codec;
+    this.codec.streamRate = this.decoder.streamRate;
+    this.emit('codec', { ...this.codec });
   }
 
   // Handle incoming audio from Telnyx WS
   handleAudio(audioData, track) {
     if (track === 'inbound') {
-      // Audio from Zoom participants
-      this.audioBuffer.push(audioData);
-      this.emit('audio_in', audioData);
-      
-      // TODO Milestone 2: VAD + chunking → OpenAI STT
-      // TODO Milestone 4: Barge-in detection during TTS playback
+      // Audio from meeting participants
+      const heard = this.decoder.decode(audioData);
+      this.emit('audio_in', heard);
+      this.health.push(heard);
+      const pcm = this.echo.process(heard);
+      this.bargeIn.push(pcm);
+      if (this.stt && this.listening) this.vad.push(pcm);
+    } else if (track === 'outbound') {
+      // What Telnyx played into the call (our TTS included)
+      const played = this.referenceDecoder.decode(audioData);
+      this.emit('audio_out', played);
+      this.echo.reference(played);
     }
   }
 
-  // TODO Milestone 3: Generate TTS and stream back
+  setListening(listening) {
+    if (listening === this.listening) return;
+    this.listening = listening;
+    if (listening && this.monitor) this.health.start();
+    if (!listening) {
+      this.health.stop();
+      this.vad.reset();
+      this.decoder.reset();
+    }
+  }
+
+  /**
+   * Send an utterance to /v1/audio/transcriptions. Requests run side by
+   * side, but transcript events come out in the order people spoke.
+   *
+   * Events: transcript { text, startedAt, endedAt, durationMs, speaker }
+   */
+  transcribe(utterance) {
+    const request = this.requestTranscript(utterance);
+    this.sttQueue = this.sttQueue
+      .then(() => request)
+      .then((transcript) => { if (transcript) this.emit('transcript', transcript); });
+  }
+
+  async requestTranscript({ pcm, sampleRate, startedAt, endedAt, durationMs, speaker }) {
+    try {
+      const result = await openai.audio.transcriptions.create({
+        file: await toFile(pcmToWav(pcm, sampleRate), 'utterance.wav', { type: 'audio/wav' }),
+        model: STT_MODEL,
+        ...(STT_LANGUAGE && { language: STT_LANGUAGE }),
+      });
+      const text = result.text?.trim();
+      if (!text) return null;
+      if (this.echo.isEcho(text)) {
+        log('debug', 'Dropped echo of own speech', { text });
+        return null;
+      }
+      const label = await speaker;   // diarizer.defer()'s, long done as a rule
+      return { text, startedAt: startedAt.toISOString(), endedAt: endedAt.toISOString(), durationMs, ...(label && { speaker: label }) };
+    } catch (err) {
+      log('error', 'STT failed', { error: err.message, durationMs });
+      return null;
+    }
+  }
+
+  /**
+   * Speak into the call: tts-1 PCM (24 kHz) → 8 kHz µ-law → 20 ms frames,
+   * paced in real time on the call's media socket. A new utterance cuts off
+   * the one playing.
+   *
+   * Events: speak_start { text, frames, durationMs }
+   *         speak_progress { sent, total, ms }
+   *         speak_end { text, completed, sentMs }
+   */
   async speak(text, ws) {
     if (!text) return;
-    
+    if (ws?.readyState !== WebSocket.OPEN) throw new Error('No media stream for this call');
+    this.cancelSpeech();
+    this.outputWs = ws;
+
     log('info', 'TTS requested', { text: text.slice(0, 50) });
+    const controller = this.ttsAbortController = new AbortController();
+    const { signal } = controller;
     this.isSpeaking = true;
-    this.ttsAbortController = new AbortController();
+    let sent = 0;
+    let total = 0;
 
     try {
       const response = await openai.audio.speech.create({
         model: 'tts-1',
         voice: 'onyx',
         input: text,
-        response_format: 'pcm', // Raw PCM for streaming
-      });
+        response_format: 'pcm', // 24 kHz 16-bit mono
+      }, { signal });
+      const pcm = Buffer.from(await response.arrayBuffer());
+      if (signal.aborted) return { completed: false, sentMs: 0 };
+
+      const frames = toFrames(pcmToUlaw8k(pcm, 24000));
+      total = frames.length;
+      this.speech = { text, sent, total };
+      this.emit('speak_start', { text, frames: total, durationMs: total * FRAME_MS });
+      this.echo.said(text, { durationMs: total * FRAME_MS });
+      this.bargeIn.arm();
+
+      // Pace against the clock, not per-frame timers, so drift can't build up
+      const startedAt = Date.now();
+      for (const frame of frames) {
+        if (signal.aborted || ws.readyState !== WebSocket.OPEN) break;
+        ws.send(JSON.stringify({ event: 'media', media: { payload: frame.toString('base64') } }));
+        this.speech.sent = ++sent;
+        if (sent % TTS_PROGRESS_FRAMES === 0 || sent === total) {
+          this.emit('speak_progress', { sent, total, ms: sent * FRAME_MS });
+        }
+        const wait = startedAt + sent * FRAME_MS - TTS_LEAD_MS - Date.now();
+        if (wait > 0) await sleep(wait, signal);
+      }
 
-      // Stream audio back to Telnyx WS
-      const buffer = Buffer.from(await response.arrayBuffer());
-      // TODO: Chunk and pace the audio frames to Telnyx
-      
-      log('info', 'TTS complete', { bytes: buffer.length });
+      log('info', 'TTS complete', { frames: sent, of: total });
     } catch (err) {
-      log('error', 'TTS failed', { error: err.message });
+      if (!signal.aborted) log('error', 'TTS failed', { error: err.message });
     } finally {
-      this.isSpeaking = false;
+      // A newer speak() may already own the controller
+      if (this.ttsAbortController === controller) {
+        this.bargeIn.disarm();
+        this.isSpeaking = false;
+        this.ttsAbortController = null;
+        this.speech = null;
+      }
+      this.emit('speak_end', { text, completed: total > 0 && sent === total, sentMs: sent * FRAME_MS });
     }
+    return { completed: total > 0 && sent === total, sentMs: sent * FRAME_MS };
   }
 
-  // Cancel current TTS (barge-in)
+  // Cancel current TTS (barge-in, DELETE /speak). Telnyx is told to drop what it has buffered.
   cancelSpeech() {
     if (this.isSpeaking && this.ttsAbortController) {
       this.ttsAbortController.abort();
+      this.bargeIn.disarm();
       this.isSpeaking = false;
-      log('info', 'TTS cancelled (barge-in)');
+      if (this.outputWs?.readyState === WebSocket.OPEN) this.outputWs.send(JSON.stringify({ event: 'clear' }));
+      log('info', 'TTS cancelled');
     }
   }
 }
@@ -334,16 +735,52 @@ class MediaBridge extends EventEmitter {
 // HTTP Server + WebSocket + Webhook endpoints
 // ============================================================
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are over the exact bytes
+app.use(express.json({ verify: captureRawBody }));
 
 const server = createServer(app);
 const wss = new WebSocketServer({ server, path: '/media' });
 
-// Active sessions
+// Active sessions (mirrored to disk so a restart can resume live calls)
 const sessions = new Map();
+const store = new SessionStore({ log: (level, msg) => log(level, `Store: ${msg}`) });
+const FAILED_SESSION_TTL = 10 * 60 * 1000; // Failed sessions stay queryable this long
+const MAX_UNBOUND_FRAMES = 250;             // Media kept until a stream finds its session (~5s)
+
+function findSessionByCall(callControlId) {
+  if (!callControlId) return null;
+  for (const session of sessions.values()) {
+    if (session.dialer.callControlId === callControlId) return session;
+  }
+  return null;
+}
+
+// Scheduled joins (POST /api/schedule, SCHEDULE_ICS feed)
+const scheduler = new JoinScheduler({
+  startSession: (meeting) => startSession(meeting),
+  earlyJoinMs: parseInt(process.env.SCHEDULE_EARLY_JOIN_SECS || '60') * 1000,
+  log: (level, msg) => log(level, `Scheduler: ${msg}`),
+});
+
+scheduler.on('started', (entry) => {
+  log('info', `[${entry.sessionId.slice(0, 8)}] 📅 Scheduled join: ${entry.title || entry.meetingId}`);
+});
+
+// Pending joins are saved next to the sessions so a restart keeps them
+const scheduleStore = new SessionStore({
+  dir: join(store.dir, 'schedule'),
+  log: (level, msg) => log(level, `Store: ${msg}`),
+});
+for (const { entries } of scheduleStore.loadAll()) scheduler.restore(entries);
+for (const event of ['scheduled', 'started', 'failed', 'cancelled']) {
+  scheduler.on(event, () => scheduleStore.save('entries', () => ({ entries: scheduler.toJSON() })));
+}
 
 // --- Telnyx Webhook endpoint ---
-app.post('/webhook/telnyx', async (req, res) => {
+// Ed25519-signed by Telnyx; forged, stale or replayed requests get a 401
+const verifyWebhook = verifyTelnyxWebhook({ log: (level, msg) => log(level, `Webhook: ${msg}`) });
+
+app.post('/webhook/telnyx', verifyWebhook, async (req, res) => {
   const event = req.body?.data || req.body;
   const eventType = event?.event_type;
   const payload = event?.payload || event;
@@ -352,54 +789,321 @@ app.post('/webhook/telnyx', async (req, res) => {
   log('debug', `Webhook: ${eventType}`, { callControlId: callControlId?.slice(0, 20) });
 
   // Find the session for this call
-  for (const [id, session] of sessions) {
-    if (session.dialer.callControlId === callControlId) {
-      session.dialer.handleEvent({ data: payload, event_type: eventType });
-      break;
-    }
-  }
+  findSessionByCall(callControlId)?.dialer.handleEvent({ data: payload, event_type: eventType });
 
   res.sendStatus(200);
 });
 
-// --- API: Start a call ---
-app.post('/api/call', async (req, res) => {
-  const { meetingId, passcode, dialInNumber } = req.body;
-
-  if (!meetingId) {
-    return res.status(400).json({ error: 'meetingId is required' });
-  }
-
-  const sessionId = crypto.randomUUID();
-  const dialer = new ZoomDialer({ meetingId, passcode, dialInNumber });
-  const bridge = new MediaBridge();
-
-  const session = { id: sessionId, dialer, bridge, createdAt: new Date() };
+/**
+ * Add a session to the live map and the store, and log its progress.
+ * Shared by new sessions and ones restored after a restart.
+ */
+function registerSession({ id: sessionId, dialer, invite, createdAt, transcript = [], history = [], talk = {}, speakers = {}, roster = {}, restoredAt = null, record = RECORD_CALLS }) {
+  const bridge = new MediaBridge({ codec: dialer.streamCodec });
+  bridge.diarizer.restore(speakers);
+
+  // mediaWs / streamId are set when this call's media stream connects
+  const session = {
+    id: sessionId, dialer, bridge, invite,
+    transcript,  // { text, confidence, at } heard in the meeting
+    history,     // { role, text, at } conversation with the agent
+    mediaWs: null, streamId: null,
+    bargeInAt: null,  // the agent was cut off; the next words heard answer it
+    recorder: null,
+    // The agent's speaking time against everyone else's (TALK_* etiquette)
+    talk: new TalkBudget({ log: (level, msg) => log(level, `[${sessionId.slice(0, 8)}] ⚖️ Talk: ${msg}`) }),
+    // Names for the diarizer's voice labels, heard or set through the API
+    roster: ROSTER ? new SpeakerRoster({ log: (level, msg) => log(level, `[${sessionId.slice(0, 8)}] 🪪 Roster: ${msg}`) }) : null,
+    createdAt, restoredAt,
+  };
+  session.talk.restore(talk);
+  session.roster?.restore(roster);
   sessions.set(sessionId, session);
+  if (record) recordSession(session);
+  const persist = () => store.save(sessionId, () => serializeSession(session));
+  persist();
+
+  bridge.setListening(dialer.state === 'IN_MEETING');
 
   dialer.on('state', ({ from, to }) => {
     log('info', `[${sessionId.slice(0, 8)}] ${from} → ${to}`);
+    bridge.setListening(to === 'IN_MEETING');
+    persist();
+  });
+
+  // The words that interrupted the agent are a reply to it
+  const heardAfterBargeIn = (text, at) => {
+    if (!session.bargeInAt || at < session.bargeInAt) return;
+    session.history.push({ role: 'user', text, at, bargeIn: true });
+    session.bargeInAt = null;
+  };
+
+  // Telnyx transcription (STT_ENGINE=telnyx): no audio timing, the text says how long,
+  // and interim results stand in for the VAD's speech start
+  dialer.on('interim', ({ text }) => {
+    if (!bridge.echo.isEcho(text)) session.talk.talking();
+  });
+  dialer.on('transcript', ({ text, confidence }) => {
+    session.talk.quiet();
+    if (bridge.echo.isEcho(text)) return;
+    const at = new Date().toISOString();
+    if (dialer.state === 'IN_MEETING') session.talk.heard(speechMs(text));
+    session.transcript.push({ text, confidence, at, source: 'telnyx' });
+    heardAfterBargeIn(text, at);
+    persist();
   });
 
+  // Our own STT on the media stream (STT_ENGINE=openai)
+  bridge.on('transcript', ({ text, startedAt, endedAt, speaker }) => {
+    if (dialer.mute.heard(text)) return;
+    log('info', `[${sessionId.slice(0, 8)}] 📝 ${speaker ? `${session.roster?.display(speaker) || speaker}: ` : ''}${text}`);
+    session.transcript.push({ text, at: endedAt, startedAt, endedAt, source: 'openai', ...(speaker && { speaker }) });
+    session.roster?.heard({ text, speaker, at: endedAt });
+    heardAfterBargeIn(text, endedAt);
+    persist();
+  });
+  session.roster?.on('named', persist);
+
+  // Who is talking, and for how long, from the inbound track's VAD (STT_ENGINE=openai)
+  bridge.vad.on('speech_start', () => session.talk.talking());
+  bridge.vad.on('utterance', ({ durationMs }) => {
+    session.talk.heard(durationMs);
+    session.talk.quiet();
+  });
+  bridge.vad.on('discarded', () => session.talk.quiet());
+
   dialer.on('joined', () => {
     log('info', `[${sessionId.slice(0, 8)}] ✅ IN MEETING`);
   });
 
+  bridge.on('codec', ({ requested, stream, streamRate }) => {
+    const fallback = stream === requested ? '' : ` (asked for ${requested})`;
+    log('info', `[${sessionId.slice(0, 8)}] 🎵 Media stream: ${stream} at ${streamRate} Hz${fallback}`);
+  });
+
+  // The media stream stopped or went dead in the meeting: ask for a new one
+  bridge.health.on('stall', ({ reason, sinceMs, attempt }) => {
+    log('warn', `[${sessionId.slice(0, 8)}] 🎚️ Audio ${reason === 'silence' ? 'silent' : 'stalled'} for ${(sinceMs / 1000).toFixed(0)}s — restarting media stream (attempt ${attempt})`);
+    dialer.restartStreaming({ stopFirst: reason === 'silence' });
+  });
+
+  bridge.health.on('recovered', ({ reason, afterMs }) => {
+    log('info', `[${sessionId.slice(0, 8)}] 🎚️ Audio back after ${(afterMs / 1000).toFixed(1)}s (${reason})`);
+  });
+
+  bridge.health.on('gave_up', ({ reason, restarts }) => {
+    // Still silent with a fresh stream: most likely everyone is muted
+    if (reason === 'silence') log('info', `[${sessionId.slice(0, 8)}] 🎚️ Audio still silent after ${restarts} stream restarts — leaving the stream be`);
+    else log('error', `[${sessionId.slice(0, 8)}] 🎚️ Audio still stalled after ${restarts} stream restarts`);
+  });
+
+  // Cut off: note how much of the reply was heard, and let the interruption
+  // (transcribed as usual) into the conversation
+  bridge.on('barge_in', ({ source, sentMs }) => {
+    log('info', `[${sessionId.slice(0, 8)}] ✋ Barge-in (${source}) after ${(sentMs / 1000).toFixed(1)}s`);
+    const reply = session.history.findLast(e => e.role === 'assistant');
+    if (reply) Object.assign(reply, { interrupted: true, heardMs: sentMs });
+    session.bargeInAt = new Date().toISOString();
+    persist();
+  });
+
+  bridge.on('speak_end', ({ completed, sentMs }) => {
+    log('info', `[${sessionId.slice(0, 8)}] 🔊 ${completed ? 'Spoke' : 'Stopped after'} ${(sentMs / 1000).toFixed(1)}s`);
+    session.talk.spoke(sentMs);
+    dialer.mute.afterSpeaking();
+    persist();
+  });
+
+  dialer.mute.on('change', ({ to, by }) => {
+    log('info', `[${sessionId.slice(0, 8)}] ${to === 'muted' ? '🔇 Muted' : '🔈 Unmuted'} (${by})`);
+    persist();
+  });
+
+  dialer.mute.on('unmute_request', () => {
+    log('info', `[${sessionId.slice(0, 8)}] 🔈 Host asks us to unmute`);
+  });
+
+  dialer.on('waiting_room', () => {
+    log('info', `[${sessionId.slice(0, 8)}] ⏳ In waiting room`);
+  });
+
+  dialer.on('waiting_for_host', () => {
+    log('info', `[${sessionId.slice(0, 8)}] ⏳ Waiting for host to start`);
+  });
+
   dialer.on('failed', ({ reason }) => {
     log('error', `[${sessionId.slice(0, 8)}] ❌ FAILED: ${reason}`);
-    sessions.delete(sessionId);
+    session.recorder?.close({ failure: reason });
+    // Keep the session around so callers can read why the join failed
+    setTimeout(() => dropSession(sessionId), FAILED_SESSION_TTL);
   });
 
   dialer.on('ended', () => {
-    sessions.delete(sessionId);
+    dropSession(sessionId);
+  });
+
+  return session;
+}
+
+/**
+ * Stereo WAV (meeting / agent) + timeline sidecar for a session. A restored
+ * session starts a new pair of files.
+ */
+function recordSession(session) {
+  const { id, dialer, bridge } = session;
+  const rec = session.recorder = new CallRecorder({
+    name: recordingName(id.slice(0, 8)),
+    sampleRate: bridge.sampleRate,
+    meta: { sessionId: id, platform: dialer.platform, meetingId: dialer.meetingId, restored: Boolean(session.restoredAt) },
+    log: (level, msg) => log(level, `[${id.slice(0, 8)}] Recorder: ${msg}`),
+  });
+
+  bridge.on('audio_in', (pcm) => rec.meeting(pcm));
+  bridge.on('audio_out', (pcm) => rec.agent(pcm));
+  bridge.on('codec', ({ stream, streamRate }) => rec.event('codec', { codec: stream, streamRate }));
+
+  rec.event('state', { to: dialer.state });
+  dialer.on('state', ({ from, to }) => rec.event('state', { from, to }));
+  dialer.on('transcript', ({ text, confidence }) => rec.event('transcript', { text, confidence, source: 'telnyx' }));
+  bridge.on('transcript', ({ text, startedAt, endedAt, speaker }) => rec.span('transcript', startedAt, endedAt, { text, source: 'openai', speaker }));
+  session.roster?.on('named', ({ label, name, source }) => rec.event('roster', { speaker: label, name, source }));
+
+  let speechStartedAt = null;
+  bridge.on('speak_start', () => { speechStartedAt = new Date(); });
+  bridge.on('speak_end', ({ text, completed, sentMs }) => {
+    rec.span('agent', speechStartedAt || new Date(), new Date(), { text, completed, sentMs });
+    speechStartedAt = null;
+  });
+  bridge.on('barge_in', ({ source }) => rec.event('barge_in', { source }));
+  bridge.health.on('stall', ({ reason, attempt }) => rec.event('audio_stall', { reason, attempt }));
+  dialer.mute.on('change', ({ from, to, by }) => rec.event('mute', { from, to, by }));
+  bridge.health.on('recovered', ({ reason, afterMs }) => rec.event('audio_recovered', { reason, afterMs }));
+}
+
+function dropSession(id) {
+  sessions.get(id)?.recorder?.close();
+  sessions.get(id)?.bridge.setListening(false);
+  sessions.delete(id);
+  store.remove(id);
+}
+
+// The session's voices with their names (ROSTER)
+function speakersOf(session) {
+  return speakerList(session.bridge.diarizer, session.roster);
+}
+
+function serializeSession(session) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    invite: session.invite,
+    dialer: session.dialer.toJSON(),
+    transcript: session.transcript,
+    history: session.history,
+    talk: session.talk.toJSON(),
+    speakers: session.bridge.diarizer.toJSON(),
+    roster: session.roster?.toJSON(),
+    record: Boolean(session.recorder),
+    savedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Reload stored sessions after a restart. Telnyx keeps calls up while we
+ * are down, so every call it still reports alive is picked up again; the
+ * rest are forgotten.
+ */
+async function restoreSessions() {
+  for (const data of store.loadAll()) {
+    const { id, dialer: saved } = data;
+    if (!saved?.callControlId || ['FAILED', 'ENDED'].includes(saved.state)) {
+      store.remove(id);
+      continue;
+    }
+
+    let alive = false;
+    try {
+      const call = await telnyxAPI('GET', `/calls/${saved.callControlId}`);
+      alive = Boolean(call.data?.is_alive);
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 422) {
+        // Can't tell (network, auth) — keep the file for the next start
+        log('warn', `[${id.slice(0, 8)}] Could not check call, not restored`, { error: err.message });
+        continue;
+      }
+    }
+    if (!alive) {
+      log('info', `[${id.slice(0, 8)}] Call gone while bridge was down`, { state: saved.state });
+      store.remove(id);
+      continue;
+    }
+
+    const session = registerSession({
+      id,
+      dialer: MeetingDialer.restore(saved),
+      invite: data.invite,
+      createdAt: new Date(data.createdAt),
+      transcript: data.transcript,
+      history: data.history,
+      talk: data.talk,
+      speakers: data.speakers,
+      roster: data.roster,
+      record: data.record,
+      restoredAt: new Date(),
+    });
+    log('info', `[${id.slice(0, 8)}] ♻️ Restored session`, { state: saved.state });
+    await session.dialer.resume();
+  }
+}
+
+/**
+ * Create a session and start dialing. Used by POST /api/call and the
+ * scheduler. Explicit fields win over whatever the pasted invitation /
+ * URL / ICS holds. Throws if the meeting details can't be dialed.
+ */
+async function startSession({ invitation, meetingId, passcode, participantId, platform, dialInNumber, mutePolicy, streamCodec, record = RECORD_CALLS }) {
+  const invite = invitation ? parseInvitation(invitation) : null;
+  meetingId = meetingId || invite?.meetingId;
+  passcode = passcode || invite?.passcode;
+  participantId = participantId || invite?.participantId;
+  platform = platform || invite?.platform || 'zoom';
+
+  if (!meetingId) throw new Error('meetingId or invitation is required');
+  getIVRProfile(platform);
+
+  const dialer = new MeetingDialer({
+    platform,
+    meetingId,
+    passcode,
+    participantId,
+    dialInNumber,
+    invitationDialIns: invite?.dialIns,
+    mutePolicy,
+    streamCodec,
   });
 
+  // Only Zoom has a built-in number list
+  if (!dialer.dialInNumber) {
+    throw new Error(`No dial-in number for ${platform}: pass dialInNumber or an invitation with phone numbers`);
+  }
+  const session = registerSession({ id: crypto.randomUUID(), dialer, invite, createdAt: new Date(), record: Boolean(record) });
   await dialer.dial();
+  return session;
+}
+
+// --- API: Start a call ---
+app.post('/api/call', async (req, res) => {
+  let session;
+  try {
+    session = await startSession(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
   res.json({ 
-    sessionId, 
-    state: dialer.state,
-    message: 'Dialing Zoom...' 
+    sessionId: session.id, 
+    state: session.dialer.state,
+    message: `Dialing ${session.dialer.profile.name}...` 
   });
 });
 
@@ -410,18 +1114,54 @@ app.get('/api/call/:id', (req, res) => {
 
   res.json({
     sessionId: session.id,
+    platform: session.dialer.platform,
     state: session.dialer.state,
+    failure: session.dialer.lastFailure,
+    failures: session.dialer.failures,
+    retries: session.dialer.retryCount,
+    stt: STT_ENGINE,
+    transcriptLines: session.transcript.length,
+    speaking: session.bridge.speech,
+    recording: session.recorder && !session.recorder.closed ? session.recorder.audioFile : null,
+    mute: session.dialer.mute.toJSON(),
+    audio: session.bridge.health.stats(),
+    codec: session.bridge.codec,
+    echo: session.bridge.echo.stats(),
+    talk: session.talk.stats(),
+    speakers: speakersOf(session),
+    restoredAt: session.restoredAt,
+    dialIn: session.dialer.pool.connected || session.dialer.pool.current(),
+    dialInAttempts: session.dialer.pool.attempts,
+    joinUrl: session.invite?.joinUrl,
     createdAt: session.createdAt,
   });
 });
 
+// --- API: Transcript, with names for the voices that have one ---
+app.get('/api/call/:id/transcript', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const transcript = session.transcript.map(e => {
+    const name = e.speaker && session.roster?.nameOf(e.speaker);
+    return name ? { ...e, name } : e;
+  });
+  res.json({ transcript, speakers: speakersOf(session) });
+});
+
+// --- API: Name a voice ("Speaker 2" or 2); DELETE goes back to the name it was heard by ---
+mountSpeakerRoutes(app, (req) => {
+  const session = sessions.get(req.params.id);
+  return session && { diarizer: session.bridge.diarizer, roster: session.roster };
+}, { path: '/api/call/:id/speakers/:label', notFound: 'Session not found' });
+
 // --- API: Hangup ---
 app.post('/api/call/:id/hangup', async (req, res) => {
   const session = sessions.get(req.params.id);
   if (!session) return res.status(404).json({ error: 'Session not found' });
 
   await session.dialer.hangup();
-  sessions.delete(req.params.id);
+  dropSession(req.params.id);
   res.json({ message: 'Call ended' });
 });
 
@@ -430,17 +1170,154 @@ app.post('/api/call/:id/speak', async (req, res) => {
   const session = sessions.get(req.params.id);
   if (!session) return res.status(404).json({ error: 'Session not found' });
   
-  const { text } = req.body;
-  if (!text) return res.status(400).json({ error: 'text is required' });
+  // prompted: the agent was asked (default); force: skip the etiquette checks
+  const { text: reply, prompted = true, force = false } = req.body;
+  if (typeof reply !== 'string' || !reply.trim()) return res.status(400).json({ error: 'text is required' });
+
+  if (session.dialer.state !== 'IN_MEETING') {
+    return res.status(409).json({ error: `Not in the meeting (${session.dialer.state})` });
+  }
+  if (!session.mediaWs) {
+    return res.status(409).json({ error: 'No media stream for this call (is BRIDGE_HOST set?)' });
+  }
+  try {
+    // Talk budget, cooldown, cross-talk: the reply may come back shorter, or not at all
+    const etiquette = force ? { action: 'speak', reason: 'forced', text: reply } : await session.talk.check(reply, { prompted: Boolean(prompted) });
+    if (etiquette.action === 'skip') {
+      return res.status(409).json({ error: `Not speaking: ${etiquette.reason}`, etiquette, talk: session.talk.stats() });
+    }
+    const { text } = etiquette;
+    // Unmutes with *6 first if the policy allows it
+    if (!await session.dialer.mute.beforeSpeaking()) {
+      return res.status(409).json({ error: 'The line is muted', mute: session.dialer.mute.toJSON() });
+    }
+
+    session.history.push({ role: 'assistant', text, at: new Date().toISOString() });
+    store.save(session.id, () => serializeSession(session));
 
-  // TODO: Wire to MediaBridge TTS
-  res.json({ message: 'TTS queued', text: text.slice(0, 50) });
+    // Plays in real time; GET /api/call/:id shows progress under `speaking`
+    session.bridge.speak(text, session.mediaWs)
+      .catch(err => log('error', `[${session.id.slice(0, 8)}] Speak failed`, { error: err.message }));
+    res.json({ message: 'Speaking', text: text.slice(0, 50), ...(etiquette.action === 'shorten' && { shortened: true, reason: etiquette.reason }) });
+  } catch (err) {
+    log('error', `[${session.id.slice(0, 8)}] Speak failed`, { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API: Stop speaking ---
+app.delete('/api/call/:id/speak', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const speech = session.bridge.speech;
+  session.bridge.cancelSpeech();
+  res.json({ message: speech ? 'Speech cancelled' : 'Not speaking', speech });
+});
+
+// --- API: Mute / unmute the phone line (*6) ---
+app.post('/api/call/:id/mute', async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.dialer.state !== 'IN_MEETING') {
+    return res.status(409).json({ error: `Not in the meeting (${session.dialer.state})` });
+  }
+
+  try {
+    const ok = await session.dialer.mute.mute();
+    res.status(ok ? 200 : 502).json({ mute: session.dialer.mute.toJSON() });
+  } catch (err) {
+    log('error', `[${session.id.slice(0, 8)}] Mute failed`, { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/call/:id/mute', async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.dialer.state !== 'IN_MEETING') {
+    return res.status(409).json({ error: `Not in the meeting (${session.dialer.state})` });
+  }
+
+  // Asked for explicitly, so try even if the host refused before
+  try {
+    const ok = await session.dialer.mute.unmute({ force: true });
+    res.status(ok ? 200 : 409).json({ mute: session.dialer.mute.toJSON() });
+  } catch (err) {
+    log('error', `[${session.id.slice(0, 8)}] Unmute failed`, { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API: Schedule a join ---
+// JSON entry { startAt, invitation | meetingId, ... }, or an ICS calendar
+// as text/calendar (or { ics }) to schedule every meeting in it
+app.post('/api/schedule', express.text({ type: 'text/calendar', limit: '5mb' }), (req, res) => {
+  const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+  try {
+    if (ics) {
+      const entries = scheduler.importIcs(ics, { source: 'upload' });
+      return res.json({ scheduled: entries.map(describeEntry) });
+    }
+    const { startAt, title, invitation, meetingId, passcode, participantId, platform, dialInNumber, earlyJoinSecs } = req.body;
+    // "abc" or -5 would make joinAt invalid / late and dial at once
+    const earlySecs = earlyJoinSecs != null && earlyJoinSecs !== '' ? Number(earlyJoinSecs) : undefined;
+    if (earlySecs !== undefined && !(Number.isFinite(earlySecs) && earlySecs >= 0)) {
+      return res.status(400).json({ error: 'earlyJoinSecs must be a non-negative number of seconds' });
+    }
+    const entry = scheduler.add({
+      startAt, title, invitation, meetingId, passcode, participantId, platform, dialInNumber,
+      earlyJoinMs: earlySecs !== undefined ? earlySecs * 1000 : undefined,
+    });
+    res.json(describeEntry(entry));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- API: List upcoming joins (?all=1 includes started / cancelled) ---
+app.get('/api/schedule', (req, res) => {
+  res.json({ entries: scheduler.list({ all: Boolean(req.query.all) }).map(describeEntry) });
+});
+
+app.get('/api/schedule/:id', (req, res) => {
+  const entry = scheduler.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Scheduled join not found' });
+  res.json(describeEntry(entry));
+});
+
+// --- API: Cancel a scheduled join ---
+app.delete('/api/schedule/:id', (req, res) => {
+  const entry = scheduler.cancel(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Scheduled join not found' });
+  res.json(describeEntry(entry));
 });
 
 // --- WebSocket: Telnyx media stream ---
 wss.on('connection', (ws, req) => {
   log('info', 'Telnyx media WebSocket connected');
 
+  // One socket per Telnyx stream, bound to its session by the call_control_id
+  // in the `start` message. Frames that arrive first are held until then.
+  const stream = { session: null, callControlId: null, streamId: null, mediaFormat: null, pending: [] };
+
+  const bind = () => {
+    const session = findSessionByCall(stream.callControlId);
+    if (!session) return false;
+    stream.session = session;
+    // Outbound audio (TTS) for this call goes back on this socket
+    session.mediaWs = ws;
+    session.streamId = stream.streamId;
+    session.bridge.setStreamFormat(stream.mediaFormat);
+    log('info', `[${session.id.slice(0, 8)}] Media stream bound`, {
+      streamId: stream.streamId,
+      buffered: stream.pending.length,
+    });
+    for (const { audioData, track } of stream.pending) session.bridge.handleAudio(audioData, track);
+    stream.pending = [];
+    return true;
+  };
+
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data);
@@ -449,18 +1326,26 @@ wss.on('connection', (ws, req) => {
         // Audio frame from Telnyx
         const audioData = Buffer.from(msg.media.payload, 'base64');
         const track = msg.media.track; // 'inbound' or 'outbound'
-        
-        // Route to the appropriate session's bridge
-        for (const [id, session] of sessions) {
-          session.bridge.handleAudio(audioData, track);
+
+        // The session may not know its call_control_id yet (dial still returning)
+        if (!stream.session && !(stream.callControlId && bind())) {
+          stream.pending.push({ audioData, track });
+          if (stream.pending.length > MAX_UNBOUND_FRAMES) stream.pending.shift();
+          return;
         }
+        stream.session.bridge.handleAudio(audioData, track);
       } else if (msg.event === 'start') {
+        stream.callControlId = msg.start?.call_control_id;
+        stream.streamId = msg.stream_id;
+        stream.mediaFormat = msg.start?.media_format || null;
         log('info', 'Media stream started', { 
           streamId: msg.stream_id,
-          callControlId: msg.start?.call_control_id 
+          callControlId: stream.callControlId,
+          mediaFormat: stream.mediaFormat,
         });
+        if (!bind()) log('warn', 'No session for media stream yet, buffering', { callControlId: stream.callControlId });
       } else if (msg.event === 'stop') {
-        log('info', 'Media stream stopped');
+        log('info', 'Media stream stopped', { streamId: stream.streamId });
       }
     } catch (err) {
       log('error', 'WS message parse error', { error: err.message });
@@ -468,7 +1353,8 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
-    log('info', 'Telnyx media WebSocket closed');
+    if (stream.session?.mediaWs === ws) stream.session.mediaWs = null;
+    log('info', 'Telnyx media WebSocket closed', { streamId: stream.streamId });
   });
 
   ws.on('error', (err) => {
@@ -481,6 +1367,7 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     sessions: sessions.size,
+    scheduled: scheduler.list().length,
     uptime: process.uptime() 
   });
 });
@@ -489,10 +1376,32 @@ app.get('/health', (req, res) => {
 server.listen(PORT, () => {
   log('info', `🦞 OpenClaw Zoom Bridge running on port ${PORT}`);
   log('info', `Endpoints:`);
-  log('info', `  POST /api/call          — Start a call`);
+  log('info', `  POST /api/call          — Start a call (meetingId/passcode/participantId or invitation)`);
   log('info', `  GET  /api/call/:id      — Get status`);
   log('info', `  POST /api/call/:id/hangup — Hangup`);
-  log('info', `  POST /api/call/:id/speak  — TTS (M3)`);
+  log('info', `  POST /api/call/:id/speak  — Speak text into the call (DELETE to stop)`);
+  log('info', `  POST /api/call/:id/mute   — Mute the line with *6 (DELETE to unmute)`);
+  log('info', `  POST /api/schedule      — Schedule a join (entry or ICS)`);
+  log('info', `  GET  /api/schedule      — List upcoming joins`);
+  log('info', `  DELETE /api/schedule/:id — Cancel a scheduled join`);
   log('info', `  POST /webhook/telnyx    — Telnyx webhooks`);
   log('info', `  WS   /media             — Telnyx media stream`);
+
+  restoreSessions().catch(err => log('error', 'Session restore failed', { error: err.message }));
 });
+
+// Live calls survive a restart: save what's pending and leave them up
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    log('info', `${signal}: saving ${sessions.size} session(s)`);
+    store.flush();
+    scheduleStore.flush();
+    for (const session of sessions.values()) session.recorder?.close({ interrupted: signal });
+    scheduler.stop();
+    process.exit(0);
+  });
+}
+
+if (process.env.SCHEDULE_ICS) {
+  scheduler.watchFeed(process.env.SCHEDULE_ICS, parseInt(process.env.SCHEDULE_ICS_REFRESH_SECS || '300') * 1000);
+}
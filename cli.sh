@@ -7,12 +7,15 @@
 # Usage:
 #   ./cli.sh join --meeting-id 12345678901 --passcode 123456
 #   ./cli.sh join --link "https://zoom.us/j/12345678901?pwd=abc123"
+#   ./cli.sh join --invite invitation.txt
 #   ./cli.sh status <call_id>
 #   ./cli.sh end <call_id>
 #
 
 set -euo pipefail
 
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+
 # Load .env if exists
 if [[ -f "$(dirname "$0")/.env" ]]; then
     export $(grep -v '^#' "$(dirname "$0")/.env" | xargs)
@@ -47,6 +50,9 @@ JOIN OPTIONS:
     --meeting-id, -m    Zoom meeting ID (digits only)
     --passcode, -p      Meeting passcode (numeric, if required)
     --link, -l          Zoom meeting link (extracts meeting ID)
+    --invite, -i        Zoom invitation: text, .ics file, or - for stdin
+                        (extracts meeting ID and numeric passcode)
+    --participant-id, -u  Zoom participant ID (joins as the linked Zoom user)
     --name, -n          Human name to represent (default: Kai)
     --dialin, -d        Override Zoom dial-in number
 
@@ -59,6 +65,7 @@ ENVIRONMENT:
 EXAMPLES:
     ./cli.sh join -m 12345678901 -p 123456
     ./cli.sh join --link "https://zoom.us/j/12345678901" --passcode 654321
+    pbpaste | ./cli.sh join --invite -
     ./cli.sh status call_abc123...
     ./cli.sh end call_abc123...
 EOF
@@ -83,12 +90,23 @@ check_config() {
     fi
 }
 
+# Extract meeting ID / numeric passcode from an invitation, link or ICS
+# (shared parser in lib/invitation.js)
+parse_invitation() {
+    local invite="$1"
+    local parsed
+    parsed=$(node --input-type=module -e "
+import { parseInvitation, loadInvitation } from '$SCRIPT_DIR/lib/invitation.js';
+const m = parseInvitation(loadInvitation(process.argv[1]));
+console.log([m.meetingId, m.passcode, m.participantId].join('|'));
+" "$invite")
+    IFS='|' read -r MEETING_ID PASSCODE PARTICIPANT_ID <<< "$parsed"
+}
+
 # Extract meeting ID from Zoom link
 parse_zoom_link() {
-    local link="$1"
-    MEETING_ID=$(echo "$link" | grep -oE '/j/[0-9]+' | sed 's|/j/||' || true)
     # Note: pwd= in URL is a hash, not the numeric passcode
-    PASSCODE=""
+    parse_invitation "$1"
 }
 
 # Make outbound call to Zoom
@@ -97,6 +115,7 @@ join_meeting() {
     local passcode="${2:-}"
     local human_name="${3:-$HUMAN_NAME}"
     local dialin="${4:-$ZOOM_DIALIN}"
+    local participant_id="${5:-}"
     
     check_config
     
@@ -110,6 +129,9 @@ join_meeting() {
     else
         echo -e "  ${YELLOW}Passcode: <none> (provide via --passcode if required)${NC}"
     fi
+    if [[ -n "$participant_id" ]]; then
+        log "  Participant ID: $participant_id"
+    fi
     log "  Dial-in: $dialin"
     log "  Representing: $human_name"
     log "  Agent: $RETELL_AGENT_ID"
@@ -117,7 +139,7 @@ join_meeting() {
     # Build dynamic variables for the agent
     local ws_url_with_params=""
     if [[ -n "$WEBSOCKET_URL" ]]; then
-        ws_url_with_params="${WEBSOCKET_URL}?meeting_id=${meeting_id}&passcode=${passcode}&human_name=${human_name}"
+        ws_url_with_params="${WEBSOCKET_URL}?meeting_id=${meeting_id}&passcode=${passcode}&participant_id=${participant_id}&human_name=${human_name}"
     fi
     
     # Make the call
@@ -131,6 +153,7 @@ join_meeting() {
             \"metadata\": {
                 \"meeting_id\": \"$meeting_id\",
                 \"passcode\": \"$passcode\",
+                \"participant_id\": \"$participant_id\",
                 \"human_name\": \"$human_name\",
                 \"type\": \"zoom_meeting\"
             }
@@ -253,6 +276,8 @@ main() {
             local meeting_id=""
             local passcode=""
             local link=""
+            local invite=""
+            local participant_id=""
             local name="$HUMAN_NAME"
             local dialin="$ZOOM_DIALIN"
             
@@ -261,6 +286,8 @@ main() {
                     -m|--meeting-id) meeting_id="$2"; shift 2 ;;
                     -p|--passcode) passcode="$2"; shift 2 ;;
                     -l|--link) link="$2"; shift 2 ;;
+                    -i|--invite) invite="$2"; shift 2 ;;
+                    -u|--participant-id) participant_id="$2"; shift 2 ;;
                     -n|--name) name="$2"; shift 2 ;;
                     -d|--dialin) dialin="$2"; shift 2 ;;
                     *) error "Unknown option: $1"; exit 1 ;;
@@ -273,12 +300,20 @@ main() {
                 meeting_id="${MEETING_ID:-$meeting_id}"
             fi
             
+            # Parse invitation if provided (explicit --meeting-id / --passcode win)
+            if [[ -n "$invite" ]]; then
+                parse_invitation "$invite"
+                meeting_id="${meeting_id:-$MEETING_ID}"
+                passcode="${passcode:-$PASSCODE}"
+                participant_id="${participant_id:-$PARTICIPANT_ID}"
+            fi
+            
             if [[ -z "$meeting_id" ]]; then
-                error "Meeting ID required. Use --meeting-id or --link"
+                error "Meeting ID required. Use --meeting-id, --link or --invite"
                 exit 1
             fi
             
-            join_meeting "$meeting_id" "$passcode" "$name" "$dialin"
+            join_meeting "$meeting_id" "$passcode" "$name" "$dialin" "$participant_id"
             ;;
         
         status)
@@ -4,7 +4,7 @@
  * Gemini Live API for STT (natural understanding)
  * + Telnyx speak for TTS (proven reliable)
  * 
- * Audio: Telnyx media stream → µ-law→PCM → Gemini Live (input)
+ * Audio: Telnyx media stream (L16 / G.722 16kHz, or the call's G.711) → PCM → Gemini Live (input)
  * Voice: Gemini text response → Telnyx speak command (output)
  */
 
@@ -13,6 +13,15 @@ import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
 import { spawn } from 'child_process';
 import dotenv from 'dotenv';
+import { IVRNavigator } from './lib/ivr.js';
+import { captureRawBody, verifyTelnyxWebhook } from './lib/telnyx-webhook.js';
+import { meetingFromArgs } from './lib/invitation.js';
+import { G711Encoder, StreamDecoder, decoderForStream, streamCodec, STREAM_CODECS } from './lib/audio.js';
+import { BargeInDetector } from './lib/barge-in.js';
+import { EchoSuppressor } from './lib/echo.js';
+import { AudioHealthMonitor } from './lib/audio-health.js';
+import { MuteController } from './lib/mute.js';
+import { CallRecorder, RECORD_CALLS, recordingName } from './lib/recorder.js';
 
 dotenv.config();
 
@@ -22,18 +31,33 @@ const TELNYX_BASE = 'https://api.telnyx.com/v2';
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
 const USE_GEMINI_AUDIO = false; // false = Gemini STT + Telnyx TTS (reliable), true = full Gemini audio (experimental)
 const GEMINI_MODEL = process.env.GEMINI_MODEL || (USE_GEMINI_AUDIO ? 'gemini-2.5-flash-native-audio-preview-12-2025' : 'gemini-2.0-flash-exp-image-generation');
+// Media stream codec asked for; L16 / G722 bring the 16 kHz Gemini takes without upsampling
+const STREAM_CODEC = streamCodec(process.env.STREAM_CODEC || 'L16');
 
 const args = process.argv.slice(2);
-const meetingId = args.find((_, i) => args[i - 1] === '-m');
-const passcode = args.find((_, i) => args[i - 1] === '-p');
+// -m / -p / -P, or -i with a pasted invitation, join URL, .ics file or '-' for stdin
+const { meetingId, passcode, participantId, platform, dialIns } = meetingFromArgs(args);
+// Zoom has a default US number; Teams / Meet / Webex numbers come from the invitation
+const dialIn = platform === 'zoom' ? (process.env.ZOOM_DIAL_IN || '+16699009128') : dialIns[0]?.number;
 const duration = parseInt(args.find((_, i) => args[i - 1] === '-d') || '600');
+const RECORD = RECORD_CALLS || args.includes('--record');
 
 if (!meetingId || !GEMINI_API_KEY) {
-  console.error('Usage: node gemini-hybrid-agent.js -m MEETING_ID -p PASSCODE');
+  console.error('Usage: node gemini-hybrid-agent.js (-m MEETING_ID [-p PASSCODE] [-P PARTICIPANT_ID] | -i INVITATION) [--platform zoom|teams|meet|webex] [--record]');
   console.error('Requires: GEMINI_API_KEY, TELNYX_API_KEY in .env');
   process.exit(1);
 }
 
+if (!dialIn) {
+  console.error(`No dial-in number for ${platform}: pass an invitation (-i) that lists one`);
+  process.exit(1);
+}
+
+if (!STREAM_CODEC) {
+  console.error(`Unknown STREAM_CODEC: ${process.env.STREAM_CODEC} (expected one of ${Object.keys(STREAM_CODECS).join(', ')})`);
+  process.exit(1);
+}
+
 const AGENT_NAME = process.env.AGENT_NAME || 'AI Assistant';
 const AGENT_ROLE = process.env.AGENT_ROLE || "Kai's AI assistant";
 
@@ -61,60 +85,27 @@ async function tAPI(method, path, body, retries = 3) {
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function ts() { return new Date().toISOString().slice(11, 19); }
 
-// --- µ-law → PCM 16kHz ---
-const ULAW_DECODE = new Int16Array(256);
-(function() {
-  for (let i = 0; i < 256; i++) {
-    let u = ~i & 0xFF;
-    let sign = u & 0x80;
-    let exp = (u >> 4) & 0x07;
-    let man = u & 0x0F;
-    let s = (man << 3) + 0x84;
-    s <<= exp;
-    s -= 0x84;
-    ULAW_DECODE[i] = sign ? -s : s;
-  }
-})();
-
-// PCM encode to µ-law
-function pcmToUlaw(sample) {
-  const BIAS = 0x84, MAX = 32635;
-  let sign = 0;
-  if (sample < 0) { sign = 0x80; sample = -sample; }
-  if (sample > MAX) sample = MAX;
-  sample += BIAS;
-  let exp = 7;
-  for (let mask = 0x4000; (sample & mask) === 0 && exp > 0; exp--, mask >>= 1) {}
-  return ~(sign | (exp << 4) | ((sample >> (exp + 3)) & 0x0F)) & 0xFF;
-}
-
-// PCM 24kHz → µ-law 8kHz (downsample 3:1)
-function pcm24kToUlaw8k(pcmBuf) {
-  const total = pcmBuf.length / 2;
-  const outLen = Math.floor(total / 3);
-  const out = Buffer.alloc(outLen);
-  for (let i = 0; i < outLen; i++) {
-    out[i] = pcmToUlaw(pcmBuf.readInt16LE(i * 6));
-  }
-  return out;
-}
-
-function ulawToPcm16k(ulawBuf) {
-  const n = ulawBuf.length;
-  const out = Buffer.alloc(n * 4);
-  for (let i = 0; i < n; i++) {
-    const s1 = ULAW_DECODE[ulawBuf[i]];
-    const s2 = (i < n - 1) ? ULAW_DECODE[ulawBuf[i + 1]] : s1;
-    out.writeInt16LE(s1, i * 4);
-    out.writeInt16LE((s1 + s2) >> 1, i * 4 + 2);
-  }
-  return out;
-}
-
 // --- State ---
 let callControlId = null;
+let ivr = null;
 let isSpeaking = false;
 const transcripts = [];
+// Stream converters — filter state carries across chunks, reset per media stream;
+// the decoders follow the codec each stream's start message reports
+let inboundAudio = new StreamDecoder({ codec: STREAM_CODEC, rate: 16000 });   // Telnyx → Gemini 16kHz
+const outboundAudio = new G711Encoder({ rate: 24000 });                     // Gemini 24kHz → Telnyx µ-law 8kHz
+let outboundTrack = new StreamDecoder({ codec: STREAM_CODEC, rate: 16000 });  // what Telnyx played → echo reference
+// The agent's voice looping back from the meeting, kept out of barge-in and Gemini
+const echo = new EchoSuppressor({ sampleRate: 16000 });
+// Inbound frame rate / levels; a stream that stalls in the meeting is restarted
+const health = new AudioHealthMonitor({ sampleRate: 16000 });
+// Line mute from the IVR's announcements (heard through Gemini's transcript); *6 before speaking
+const mute = new MuteController({
+  profile: platform,
+  sendDTMF: (digits) => tAPI('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits, duration_millis: 250 }),
+});
+// Stereo meeting / agent WAV + timeline (--record or RECORD_CALLS)
+let recorder = null;
 
 // --- Gemini Live (STT + conversation, TEXT output) ---
 class GeminiSession {
@@ -233,6 +224,11 @@ let speakSafetyTimer = null;
 async function speak(text) {
   if (!callControlId || isSpeaking || !text?.trim()) return;
   isSpeaking = true;
+  if (!await mute.beforeSpeaking()) {
+    console.log(`🔇 Muted — not speaking: "${text.slice(0, 60)}"`);
+    isSpeaking = false;
+    return;
+  }
   if (speakSafetyTimer) clearTimeout(speakSafetyTimer);
   // Safety timeout: auto-reset isSpeaking if webhook is missed
   const wordCount = text.split(/\s+/).length;
@@ -251,6 +247,7 @@ async function speak(text) {
       voice: isChinese ? 'female' : 'male',
       language: isChinese ? 'cmn-CN' : 'en-US',
     });
+    bargeIn.arm();
     console.log(`🔊 Speaking: "${text.slice(0, 60)}"`);
   } catch (err) {
     console.error('Speak error:', err.message.slice(0, 100));
@@ -259,6 +256,22 @@ async function speak(text) {
   }
 }
 
+// Someone talking over the agent stops the speak; Gemini hears them as usual
+const bargeIn = new BargeInDetector({ sampleRate: 16000 });
+bargeIn.on('barge_in', async () => {
+  if (!callControlId || !isSpeaking) return;
+  console.log('✋ Barge-in — stopped speaking');
+  recorder?.event('barge_in', { source: 'audio' });
+  if (speakSafetyTimer) clearTimeout(speakSafetyTimer);
+  isSpeaking = false;
+  mute.afterSpeaking();
+  try {
+    await tAPI('POST', `/calls/${callControlId}/actions/playback_stop`, { stop: 'all' });
+  } catch (err) {
+    console.error('Stop error:', err.message.slice(0, 100));
+  }
+});
+
 // --- ngrok ---
 function startTunnel(port) {
   return new Promise((resolve, reject) => {
@@ -281,7 +294,8 @@ function startTunnel(port) {
 // --- Main ---
 async function main() {
   const app = express();
-  app.use(express.json());
+  // Keep the raw body: webhook signatures are over the exact bytes
+  app.use(express.json({ verify: captureRawBody }));
   const server = createServer(app);
   const wss = new WebSocketServer({ server, path: '/media' });
 
@@ -299,7 +313,7 @@ async function main() {
     if (!telnyxMediaWs) return;
     try {
       const pcmBuf = Buffer.from(pcm24kBase64, 'base64');
-      const ulaw = pcm24kToUlaw8k(pcmBuf);
+      const ulaw = outboundAudio.encode(pcmBuf);
       // Send as base64 in Telnyx media format
       telnyxMediaWs.send(JSON.stringify({
         event: 'media',
@@ -315,23 +329,42 @@ async function main() {
   };
 
   gemini.onTranscript = (text) => {
+    if (mute.heard(text)) {
+      recorder?.event('mute', { state: mute.state, text });
+      return;
+    }
     transcripts.push({ time: ts(), role: 'user', text });
+    recorder?.event('transcript', { text });
   };
 
   // Telnyx media stream → Gemini
   wss.on('connection', (ws) => {
     console.log('🔌 Media stream connected');
     telnyxMediaWs = ws;
+    inboundAudio.reset();
+    outboundAudio.reset();
+    outboundTrack.reset();
     
     ws.on('message', (data) => {
       try {
         const msg = JSON.parse(data);
         if (msg.event === 'media' && msg.media?.track === 'inbound') {
-          const ulaw = Buffer.from(msg.media.payload, 'base64');
-          const pcm = ulawToPcm16k(ulaw);
+          const heard = inboundAudio.decode(Buffer.from(msg.media.payload, 'base64'));
+          health.push(heard);
+          recorder?.meeting(heard);
+          const pcm = echo.process(heard);
+          bargeIn.push(pcm);
           gemini.sendAudio(pcm);
+        } else if (msg.event === 'media' && msg.media?.track === 'outbound') {
+          const played = outboundTrack.decode(Buffer.from(msg.media.payload, 'base64'));
+          echo.reference(played);
+          recorder?.agent(played);
         } else if (msg.event === 'start') {
-          console.log('🎵 Stream started', msg.start?.streamId || '');
+          const format = msg.start?.media_format;
+          inboundAudio = decoderForStream(format, { rate: 16000, fallback: STREAM_CODEC });
+          outboundTrack = decoderForStream(format, { rate: 16000, fallback: STREAM_CODEC });
+          console.log(`🎵 Stream started ${msg.start?.streamId || ''} (${inboundAudio.codec} ${inboundAudio.streamRate}Hz${inboundAudio.codec === STREAM_CODEC ? '' : `, asked for ${STREAM_CODEC}`})`);
+          recorder?.event('codec', { codec: inboundAudio.codec, streamRate: inboundAudio.streamRate });
         }
       } catch {}
     });
@@ -339,19 +372,25 @@ async function main() {
   });
 
   // Webhook handler
-  app.post('/webhook', (req, res) => {
+  app.post('/webhook', verifyTelnyxWebhook(), (req, res) => {
     res.sendStatus(200);
-    const evt = req.body?.data?.event_type || req.body?.event_type;
-    if (evt === 'call.speak.ended') {
+    const event = req.body?.data || req.body;
+    const evt = event?.event_type;
+    ivr?.handleEvent(evt, event?.payload || event);
+    if (evt === 'call.transcription') {
+      // IVR prompts — handled by the navigator
+    } else if (evt === 'call.speak.ended') {
       if (speakSafetyTimer) clearTimeout(speakSafetyTimer);
       isSpeaking = false;
+      bargeIn.disarm();
+      mute.afterSpeaking();
       console.log('🔊 Speak ended');
     } else if (evt) {
       console.log(`📡 ${evt}`);
     }
   });
 
-  app.get('/health', (req, res) => res.json({ ok: true }));
+  app.get('/health', (req, res) => res.json({ ok: true, audio: health.stats(), mute: mute.toJSON() }));
 
   await new Promise(r => server.listen(PORT, r));
   console.log(`🌐 Port ${PORT}`);
@@ -379,16 +418,25 @@ async function main() {
         const text = responseBuffer.trim();
         responseBuffer = '';
         transcripts.push({ time: ts(), role: 'assistant', text });
+        recorder?.event('agent', { text });
         speak(text);
       }
     }, 500);
   }
 
+  if (RECORD) {
+    recorder = new CallRecorder({
+      name: recordingName(`gemini-hybrid-${platform}`),
+      sampleRate: 16000,
+      meta: { agent: 'gemini-hybrid', platform, meetingId },
+    });
+  }
+
   // Dial Zoom
   console.log(`\n📞 Dialing ${meetingId}...`);
   const call = await tAPI('POST', '/calls', {
     connection_id: process.env.TELNYX_CONNECTION_ID,
-    to: process.env.ZOOM_DIAL_IN || '+16699009128',
+    to: dialIn,
     from: process.env.TELNYX_DID,
     timeout_secs: 60,
     webhook_url: `${tunnel.url}/webhook`,
@@ -397,42 +445,57 @@ async function main() {
   callControlId = call.data.call_control_id;
   console.log(`📞 ${callControlId.slice(0, 20)}...`);
 
-  // DTMF
-  console.log('⏳ 15s IVR wait...');
-  await sleep(15000);
-  let s = await tAPI('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-
-  await tAPI('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${meetingId}#`, duration_millis: 300 });
-  await sleep(8000);
-  s = await tAPI('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-
-  await tAPI('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: '#', duration_millis: 300 });
-  await sleep(5000);
-
-  if (passcode) {
-    s = await tAPI('GET', `/calls/${callControlId}`);
-    if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-    await tAPI('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${passcode}#`, duration_millis: 300 });
-    await sleep(8000);
+  // Prompt-driven IVR join (Telnyx transcription runs only until joined)
+  ivr = new IVRNavigator({ api: tAPI, callControlId, meetingId, passcode, participantId, profile: platform });
+  ivr.on('state', ({ from, to }) => {
+    console.log(`📟 IVR: ${to}`);
+    recorder?.event('state', { from, to });
+  });
+  try {
+    await ivr.join();
+  } catch ({ reason }) {
+    console.log(`❌ Join failed: ${reason}`);
+    cleanup(tunnel, gemini);
+    return;
   }
-
-  s = await tAPI('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
+  await ivr.stopTranscription();
 
   console.log('🎉 IN THE MEETING\n');
+  mute.joined();
 
   // Try enabling streaming explicitly
-  try {
-    await tAPI('POST', `/calls/${callControlId}/actions/streaming_start`, {
-      stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
-      stream_track: 'inbound_track',
-    });
-    console.log('🎵 Streaming enabled');
-  } catch (e) {
-    console.log('⚠️ Stream start:', e.message.slice(0, 80));
-  }
+  const startStreaming = async (stopFirst = false) => {
+    // A connected but dead stream has to end before a new one starts
+    if (stopFirst) {
+      try { await tAPI('POST', `/calls/${callControlId}/actions/streaming_stop`, {}); } catch {}
+    }
+    try {
+      await tAPI('POST', `/calls/${callControlId}/actions/streaming_start`, {
+        stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
+        stream_track: 'both_tracks', // outbound is the echo reference
+        stream_codec: STREAM_CODEC,
+      });
+      console.log('🎵 Streaming enabled');
+    } catch (e) {
+      console.log('⚠️ Stream start:', e.message.slice(0, 80));
+    }
+  };
+  await startStreaming();
+
+  // Start it again whenever it stops or goes silent for good
+  health.on('stall', ({ reason, sinceMs, attempt }) => {
+    console.log(`⚠️ Audio ${reason === 'silence' ? 'silent' : 'stalled'} for ${Math.round(sinceMs / 1000)}s — restarting stream (attempt ${attempt})`);
+    recorder?.event('audio_stall', { reason, attempt });
+    startStreaming(reason === 'silence');
+  });
+  health.on('recovered', ({ afterMs }) => console.log(`✅ Audio back after ${(afterMs / 1000).toFixed(1)}s`));
+  health.on('gave_up', ({ reason, restarts }) => console.log(reason === 'silence'
+    ? `🔇 Audio still silent after ${restarts} stream restarts — everyone muted? Leaving the stream be`
+    : `❌ Audio still down after ${restarts} stream restarts`));
+  health.on('report', ({ status, fps, peak }) => {
+    if (status !== 'ok') console.log(`🎚️ Audio: ${fps} fps, peak=${peak}, ⚠️ ${status.toUpperCase()}`);
+  });
+  health.start();
 
   // Greet (Gemini will greet via audio naturally, or use Telnyx speak as fallback)
   if (!USE_GEMINI_AUDIO) {
@@ -445,11 +508,12 @@ async function main() {
   while (Date.now() < end) {
     await sleep(15000);
     try {
-      s = await tAPI('GET', `/calls/${callControlId}`);
+      const s = await tAPI('GET', `/calls/${callControlId}`);
       if (!s.data?.is_alive) { console.log('\n📞 Ended'); break; }
     } catch {}
   }
 
+  health.stop();
   try { await tAPI('POST', `/calls/${callControlId}/actions/hangup`, {}); } catch {}
   
   console.log('\n📝 TRANSCRIPT');
@@ -459,6 +523,7 @@ async function main() {
 }
 
 function cleanup(tunnel, gemini) {
+  recorder?.close();
   gemini?.close();
   tunnel?.process?.kill();
   setTimeout(() => process.exit(0), 2000);
@@ -10,7 +10,8 @@
  * it calls the `ask_assistant` function → we route to OpenClaw.
  * 
  * Audio format bridge:
- *   Telnyx: µ-law 8kHz mono (PCMU)
+ *   Telnyx: L16 or G.722 16kHz mono when the call allows (STREAM_CODEC),
+ *           else the call's µ-law / A-law 8kHz
  *   Gemini: Linear PCM 16kHz mono (16-bit LE)
  */
 
@@ -18,8 +19,16 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
 import { spawn } from 'child_process';
-import { writeFileSync } from 'fs';
 import dotenv from 'dotenv';
+import { IVRNavigator } from './lib/ivr.js';
+import { captureRawBody, verifyTelnyxWebhook } from './lib/telnyx-webhook.js';
+import { meetingFromArgs } from './lib/invitation.js';
+import { Resampler, StreamDecoder, decoderForStream, streamCodec, STREAM_CODECS } from './lib/audio.js';
+import { EchoSuppressor } from './lib/echo.js';
+import { AudioHealthMonitor } from './lib/audio-health.js';
+import { MuteController } from './lib/mute.js';
+import { ThinkingCues } from './lib/filler.js';
+import { CallRecorder, RECORD_CALLS, recordingName } from './lib/recorder.js';
 
 dotenv.config();
 
@@ -28,14 +37,24 @@ const TELNYX_API_KEY = process.env.TELNYX_API_KEY;
 const TELNYX_BASE = 'https://api.telnyx.com/v2';
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-native-audio-latest';
+// Media stream codec asked for; L16 / G722 bring the 16 kHz Gemini takes without upsampling
+const STREAM_CODEC = streamCodec(process.env.STREAM_CODEC || 'L16');
 
 const args = process.argv.slice(2);
-const meetingId = args.find((_, i) => args[i - 1] === '-m');
-const passcode = args.find((_, i) => args[i - 1] === '-p');
+// -m / -p / -P, or -i with a pasted invitation, join URL, .ics file or '-' for stdin
+const { meetingId, passcode, participantId, platform, dialIns } = meetingFromArgs(args);
+// Zoom has a default US number; Teams / Meet / Webex numbers come from the invitation
+const dialIn = platform === 'zoom' ? (process.env.ZOOM_DIAL_IN || '+16699009128') : dialIns[0]?.number;
 const duration = parseInt(args.find((_, i) => args[i - 1] === '-d') || '600');
+const RECORD = RECORD_CALLS || args.includes('--record');
 
 if (!meetingId) {
-  console.error('Usage: node gemini-live-agent.js -m MEETING_ID -p PASSCODE [-d DURATION]');
+  console.error('Usage: node gemini-live-agent.js (-m MEETING_ID [-p PASSCODE] [-P PARTICIPANT_ID] | -i INVITATION) [--platform zoom|teams|meet|webex] [-d DURATION] [--record]');
+  process.exit(1);
+}
+
+if (!dialIn) {
+  console.error(`No dial-in number for ${platform}: pass an invitation (-i) that lists one`);
   process.exit(1);
 }
 
@@ -44,9 +63,17 @@ if (!GEMINI_API_KEY) {
   process.exit(1);
 }
 
+if (!STREAM_CODEC) {
+  console.error(`Unknown STREAM_CODEC: ${process.env.STREAM_CODEC} (expected one of ${Object.keys(STREAM_CODECS).join(', ')})`);
+  process.exit(1);
+}
+
 const AGENT_NAME = process.env.AGENT_NAME || 'AI Assistant';
 const AGENT_ROLE = process.env.AGENT_ROLE || "Kai's AI assistant";
 
+// Stereo meeting / agent WAV + timeline, set up in main() with --record or RECORD_CALLS
+let recorder = null;
+
 // --- Telnyx REST (with retry) ---
 async function telnyxApi(method, path, body, retries = 5) {
   for (let attempt = 0; attempt <= retries; attempt++) {
@@ -72,69 +99,6 @@ async function telnyxApi(method, path, body, retries = 5) {
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function ts() { return new Date().toISOString().slice(11, 19); }
 
-// --- µ-law ↔ PCM conversion ---
-// µ-law decode table
-const ULAW_DECODE = new Int16Array(256);
-(function buildTable() {
-  for (let i = 0; i < 256; i++) {
-    let u = ~i & 0xFF;
-    let sign = u & 0x80;
-    let exponent = (u >> 4) & 0x07;
-    let mantissa = u & 0x0F;
-    let sample = (mantissa << 3) + 0x84;
-    sample <<= exponent;
-    sample -= 0x84;
-    ULAW_DECODE[i] = sign ? -sample : sample;
-  }
-})();
-
-// PCM encode to µ-law table
-function pcmToUlaw(sample) {
-  const BIAS = 0x84;
-  const MAX = 32635;
-  let sign = 0;
-  if (sample < 0) { sign = 0x80; sample = -sample; }
-  if (sample > MAX) sample = MAX;
-  sample += BIAS;
-  let exponent = 7;
-  for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; exponent--, expMask >>= 1) {}
-  const mantissa = (sample >> (exponent + 3)) & 0x0F;
-  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
-}
-
-// Convert µ-law 8kHz buffer to PCM 16kHz (linear interpolation with cross-chunk carry)
-let _lastSample = 0; // carry last sample across chunks to avoid boundary clicks
-
-function ulawToPcm16k(ulawBuf) {
-  const n = ulawBuf.length;
-  const pcm16k = Buffer.alloc(n * 4); // 2x samples, 2 bytes each
-  
-  for (let i = 0; i < n; i++) {
-    const s1 = ULAW_DECODE[ulawBuf[i]];
-    // For interpolated sample: use previous sample (cross-chunk for i=0)
-    const prev = (i > 0) ? ULAW_DECODE[ulawBuf[i - 1]] : _lastSample;
-    // Interpolated sample between prev and current
-    pcm16k.writeInt16LE(((prev + s1) >> 1), i * 4);
-    // Original sample
-    pcm16k.writeInt16LE(s1, i * 4 + 2);
-  }
-  _lastSample = ULAW_DECODE[ulawBuf[n - 1]];
-  return pcm16k;
-}
-
-// Convert PCM 24kHz to µ-law 8kHz (downsample 3:1)
-function pcm24kToUlaw8k(pcmBuf) {
-  const totalSamples = pcmBuf.length / 2;
-  const outLen = Math.floor(totalSamples / 3);
-  const ulaw = Buffer.alloc(outLen);
-  
-  for (let i = 0; i < outLen; i++) {
-    const sample = pcmBuf.readInt16LE(i * 6); // Take every 3rd sample
-    ulaw[i] = pcmToUlaw(sample);
-  }
-  return ulaw;
-}
-
 // --- Gemini Live API WebSocket ---
 class GeminiLiveSession {
   constructor(apiKey, model) {
@@ -346,9 +310,11 @@ function startTunnel(port) {
 async function main() {
   // Express for Telnyx webhooks
   const app = express();
-  app.use(express.json());
+  // Keep the raw body: webhook signatures are over the exact bytes
+  app.use(express.json({ verify: captureRawBody }));
   
   let callControlId = null;
+  let ivr = null;
   const transcripts = [];
   
   // Telnyx media WebSocket server
@@ -364,6 +330,8 @@ async function main() {
       console.log(`🧠 Asking OpenClaw: "${args.query}"`);
       const OPENCLAW_GATEWAY = process.env.OPENCLAW_GATEWAY || 'http://localhost:18789';
       const OPENCLAW_TOKEN = process.env.OPENCLAW_TOKEN || '';
+      // Gemini waits on this in silence; say something if OpenClaw is slow
+      const thinking = cues.start(args.query);
       try {
         const res = await fetch(`${OPENCLAW_GATEWAY}/api/sessions/send`, {
           method: 'POST',
@@ -386,6 +354,8 @@ async function main() {
         console.log(`⚠️ OpenClaw HTTP ${res.status}`);
       } catch (err) {
         console.log(`⚠️ OpenClaw brain error: ${err.message}`);
+      } finally {
+        await thinking.done();
       }
       return `I'm not sure about that right now. Let me get back to you.`;
     }
@@ -393,16 +363,39 @@ async function main() {
   };
   
   // Store transcripts
+  // Line mute from the IVR's announcements (in Gemini's input transcript); *6 before speaking
+  const mute = new MuteController({
+    profile: platform,
+    sendDTMF: (digits) => telnyxApi('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits, duration_millis: 250 }),
+  });
+
   gemini.onTranscript = (text, role) => {
+    if (role === 'user' && mute.heard(text)) {
+      recorder?.event('mute', { state: mute.state, text });
+      return;
+    }
     transcripts.push({ time: ts(), role, text });
+    recorder?.event(role === 'user' ? 'transcript' : 'agent', { text });
   };
 
   // Speak via Telnyx when Gemini generates text response
   let isSpeaking = false;
   let speakSafetyTimer = null;
+  const echo = new EchoSuppressor({ sampleRate: 16000 });
+  // Inbound levels / frame rate; restarts the stream when it stalls (see below)
+  const health = new AudioHealthMonitor({ sampleRate: 16000 });
+  health.on('report', ({ status, fps, peak, gaps }) => {
+    console.log(`🎚️ Audio: ${fps} fps, peak=${peak}, gaps=${gaps}, ${status === 'ok' ? '✅ OK' : `⚠️ ${status.toUpperCase()}`}`);
+  });
   gemini.onTextResponse = async (text) => {
     if (!callControlId || isSpeaking) return;
     isSpeaking = true;
+    if (!await mute.beforeSpeaking()) {
+      console.log(`🔇 Muted — not speaking: "${text.slice(0, 60)}"`);
+      isSpeaking = false;
+      return;
+    }
+    recorder?.event('agent', { text, via: 'telnyx_speak' });
     if (speakSafetyTimer) clearTimeout(speakSafetyTimer);
     // Safety timeout: auto-reset isSpeaking if webhook is missed
     const wordCount = text.split(/\s+/).length;
@@ -427,6 +420,8 @@ async function main() {
       isSpeaking = false;
     }
   };
+  // "Let me check that" while ask_assistant runs (FILLER_ACK_MS / FILLER_PROGRESS_MS)
+  const cues = new ThinkingCues({ speak: (text) => gemini.onTextResponse(text), isSpeaking: () => isSpeaking });
   
   // Gate: only forward audio to Gemini after meeting is joined
   let inMeeting = false;
@@ -435,20 +430,17 @@ async function main() {
   wss.on('connection', (ws) => {
     console.log('🔌 Telnyx media stream connected');
     
-    // Audio from Gemini → Telnyx (convert PCM 24kHz → PCM 8kHz 16-bit, send as raw binary)
+    // Audio from Gemini → Telnyx (PCM 24kHz → PCM 8kHz 16-bit, sent as raw binary)
+    const outbound = new Resampler(24000, 8000);
+    // Replaced by what the stream says it carries once it starts
+    let inbound = new StreamDecoder({ codec: STREAM_CODEC, rate: 16000 });
+    // Outbound track (what Telnyx played, speak included) is the echo reference
+    let outboundTrack = new StreamDecoder({ codec: STREAM_CODEC, rate: 16000 });
     gemini.onAudioOut = (pcmBuf) => {
       try {
         // Gemini outputs PCM 24kHz 16-bit mono
         // Telnyx expects raw binary PCM 8kHz 16-bit mono (no JSON wrapper)
-        // Downsample 24kHz → 8kHz (take every 3rd sample)
-        const totalSamples = pcmBuf.length / 2;
-        const outSamples = Math.floor(totalSamples / 3);
-        const pcm8k = Buffer.alloc(outSamples * 2);
-        
-        for (let i = 0; i < outSamples; i++) {
-          const sample = pcmBuf.readInt16LE(i * 6);
-          pcm8k.writeInt16LE(sample, i * 2);
-        }
+        const pcm8k = outbound.process(pcmBuf);
         
         // Send as raw binary frame
         ws.send(pcm8k, { binary: true });
@@ -458,43 +450,6 @@ async function main() {
     };
     
     let audioChunks = 0;
-    let peakLevel = 0;
-    // Audio diagnostic: dump first 10s of PCM to WAV for inspection
-    const diagBufs = [];
-    let diagSamples = 0;
-    const DIAG_MAX = 16000 * 10; // 10 seconds at 16kHz
-    let diagSaved = false;
-    
-    let levelLogTimer = setInterval(() => {
-      if (audioChunks > 0) {
-        console.log(`🎚️ Audio: ${audioChunks} chunks, peak=${peakLevel}, ${peakLevel < 500 ? '⚠️ LOW' : '✅ OK'}`);
-        audioChunks = 0;
-        peakLevel = 0;
-      }
-      // Save diagnostic WAV after collecting enough samples
-      if (!diagSaved && diagSamples >= DIAG_MAX) {
-        diagSaved = true;
-        const pcmData = Buffer.concat(diagBufs);
-        const wavHeader = Buffer.alloc(44);
-        const dataSize = pcmData.length;
-        wavHeader.write('RIFF', 0);
-        wavHeader.writeUInt32LE(36 + dataSize, 4);
-        wavHeader.write('WAVE', 8);
-        wavHeader.write('fmt ', 12);
-        wavHeader.writeUInt32LE(16, 16); // chunk size
-        wavHeader.writeUInt16LE(1, 20); // PCM
-        wavHeader.writeUInt16LE(1, 22); // mono
-        wavHeader.writeUInt32LE(16000, 24); // sample rate
-        wavHeader.writeUInt32LE(32000, 28); // byte rate
-        wavHeader.writeUInt16LE(2, 32); // block align
-        wavHeader.writeUInt16LE(16, 34); // bits per sample
-        wavHeader.write('data', 36);
-        wavHeader.writeUInt32LE(dataSize, 40);
-        writeFileSync('diag-gemini-input.wav', Buffer.concat([wavHeader, pcmData]));
-        console.log(`🔬 DIAGNOSTIC: Saved ${(dataSize/32000).toFixed(1)}s of audio to diag-gemini-input.wav`);
-        diagBufs.length = 0; // free memory
-      }
-    }, 5000);
     
     ws.on('message', (data) => {
       try {
@@ -504,35 +459,32 @@ async function main() {
           if (audioChunks === 0) {
             console.log(`🔬 First media msg: track=${msg.media.track} chunk=${msg.media.chunk} encoding=${msg.media.encoding || 'unknown'} payload_len=${msg.media.payload?.length || 0}`);
           }
-          // Audio from Zoom → convert µ-law 8kHz to PCM 16kHz → Gemini
-          const ulawBuf = Buffer.from(msg.media.payload, 'base64');
-          const pcm16k = ulawToPcm16k(ulawBuf);
+          // Audio from Zoom → PCM 16kHz (decoded, resampled if the call is 8kHz G.711) → Gemini
+          const pcm16k = inbound.decode(Buffer.from(msg.media.payload, 'base64'));
+          recorder?.meeting(pcm16k);
           
-          // Track audio levels for debugging
           audioChunks++;
-          for (let i = 0; i < pcm16k.length; i += 2) {
-            const s = Math.abs(pcm16k.readInt16LE(i));
-            if (s > peakLevel) peakLevel = s;
-          }
+          health.push(pcm16k);
           
           // Only send audio to Gemini after we've joined the meeting
           if (!inMeeting) return;
           
-          // Echo suppression: don't feed Gemini while agent is speaking (its own TTS loops back)
-          if (isSpeaking) return;
-          
-          // Collect diagnostic audio
-          if (diagSamples < DIAG_MAX) {
-            diagBufs.push(Buffer.from(pcm16k));
-            diagSamples += pcm16k.length / 2;
-          }
-          
-          gemini.sendAudio(pcm16k);
+          // Echo suppression: the agent's own voice looping back is attenuated,
+          // people talking over it still get through
+          const heard = echo.process(pcm16k);
+          gemini.sendAudio(heard);
+        } else if (msg.event === 'media' && msg.media?.track === 'outbound') {
+          const played = outboundTrack.decode(Buffer.from(msg.media.payload, 'base64'));
+          echo.reference(played);
+          recorder?.agent(played);
         } else if (msg.event === 'start') {
-          console.log('🎵 Media stream started');
+          const format = msg.start?.media_format;
+          inbound = decoderForStream(format, { rate: 16000, fallback: STREAM_CODEC });
+          outboundTrack = decoderForStream(format, { rate: 16000, fallback: STREAM_CODEC });
+          console.log(`🎵 Media stream started (${inbound.codec} ${inbound.streamRate}Hz${inbound.codec === STREAM_CODEC ? '' : `, asked for ${STREAM_CODEC}`})`);
+          recorder?.event('codec', { codec: inbound.codec, streamRate: inbound.streamRate });
         } else if (msg.event === 'stop') {
           console.log('🎵 Media stream stopped');
-          clearInterval(levelLogTimer);
         }
       } catch {}
     });
@@ -541,13 +493,17 @@ async function main() {
   });
   
   // Telnyx webhook handler
-  app.post('/webhook', (req, res) => {
+  app.post('/webhook', verifyTelnyxWebhook(), (req, res) => {
     res.sendStatus(200);
     const event = req.body?.data || req.body;
     const eventType = event?.event_type;
-    if (eventType === 'call.speak.ended') {
+    ivr?.handleEvent(eventType, event?.payload || event);
+    if (eventType === 'call.transcription') {
+      // IVR prompts — handled by the navigator
+    } else if (eventType === 'call.speak.ended') {
       if (speakSafetyTimer) clearTimeout(speakSafetyTimer);
       isSpeaking = false;
+      mute.afterSpeaking();
       console.log('🔊 Speaking ended');
     } else if (eventType === 'call.speak.started') {
       console.log('🔊 Speaking started');
@@ -556,7 +512,7 @@ async function main() {
     }
   });
   
-  app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length }));
+  app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length, audio: health.stats(), mute: mute.toJSON() }));
   
   // Start server
   await new Promise(r => server.listen(PORT, r));
@@ -589,75 +545,92 @@ async function main() {
     }
   }
   
+  if (RECORD) {
+    recorder = new CallRecorder({
+      name: recordingName(`gemini-live-${platform}`),
+      sampleRate: 16000,
+      meta: { agent: 'gemini-live', platform, meetingId, model: GEMINI_MODEL },
+    });
+  }
+
   // Dial Zoom
-  console.log(`\n📞 Dialing Zoom ${meetingId}...`);
+  console.log(`\n📞 Dialing ${platform} meeting ${meetingId} via ${dialIn}...`);
   const call = await telnyxApi('POST', '/calls', {
     connection_id: process.env.TELNYX_CONNECTION_ID,
-    to: process.env.ZOOM_DIAL_IN || '+16699009128',
+    to: dialIn,
     from: process.env.TELNYX_DID,
     timeout_secs: 60,
     webhook_url: `${tunnel.url}/webhook`,
     stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
     stream_track: 'both_tracks',
+    stream_codec: STREAM_CODEC,
   });
   
   callControlId = call.data.call_control_id;
   console.log(`📞 Call: ${callControlId.slice(0, 20)}...`);
   
-  // DTMF join sequence
-  console.log('⏳ Waiting 15s for IVR...');
-  await sleep(15000);
-  
-  let s = await telnyxApi('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-  
-  console.log('✅ Sending meeting ID');
-  await telnyxApi('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${meetingId}#`, duration_millis: 300 });
-  await sleep(8000);
-  
-  s = await telnyxApi('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-  
-  console.log('✅ Skip participant ID');
-  await telnyxApi('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: '#', duration_millis: 300 });
-  await sleep(5000);
-  
-  if (passcode) {
-    s = await telnyxApi('GET', `/calls/${callControlId}`);
-    if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
-    console.log('✅ Sending passcode');
-    await telnyxApi('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${passcode}#`, duration_millis: 300 });
-    await sleep(8000);
+  // Prompt-driven IVR join (Telnyx transcription runs only until joined)
+  ivr = new IVRNavigator({ api: telnyxApi, callControlId, meetingId, passcode, participantId, profile: platform });
+  ivr.on('state', ({ from, to }) => {
+    console.log(`📟 IVR: ${to}`);
+    recorder?.event('state', { from, to });
+  });
+  try {
+    await ivr.join();
+  } catch ({ reason }) {
+    console.log(`❌ Join failed: ${reason}`);
+    cleanup(tunnel, gemini);
+    return;
   }
-  
-  s = await telnyxApi('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead'); cleanup(tunnel, gemini); return; }
+  await ivr.stopTranscription();
   
   inMeeting = true;
   console.log('🎉 IN THE MEETING — Gemini Live handling audio (audio gate OPEN)\n');
+  mute.joined();
   
   // Restart media streaming (it often closes during DTMF/IVR phase)
-  try {
-    await telnyxApi('POST', `/calls/${callControlId}/actions/streaming_start`, {
-      stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
-      stream_track: 'both_tracks',
-    });
-    console.log('🎵 Media streaming restarted');
-  } catch (err) {
-    console.log('⚠️ Streaming restart:', err.message.slice(0, 100));
-  }
+  const restartStreaming = async (stopFirst = false) => {
+    // A stream that is connected but dead has to end before a new one starts
+    if (stopFirst) {
+      try { await telnyxApi('POST', `/calls/${callControlId}/actions/streaming_stop`, {}); } catch {}
+    }
+    try {
+      await telnyxApi('POST', `/calls/${callControlId}/actions/streaming_start`, {
+        stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
+        stream_track: 'both_tracks',
+        stream_codec: STREAM_CODEC,
+      });
+      console.log('🎵 Media streaming restarted');
+    } catch (err) {
+      console.log('⚠️ Streaming restart:', err.message.slice(0, 100));
+    }
+  };
+  await restartStreaming();
+
+  // ...and whenever it stops or goes silent for good in the meeting
+  health.on('stall', ({ reason, sinceMs, attempt }) => {
+    console.log(`⚠️ Audio ${reason === 'silence' ? 'silent' : 'stalled'} for ${Math.round(sinceMs / 1000)}s — restarting stream (attempt ${attempt})`);
+    recorder?.event('audio_stall', { reason, attempt });
+    restartStreaming(reason === 'silence');
+  });
+  health.on('recovered', ({ afterMs }) => console.log(`✅ Audio back after ${(afterMs / 1000).toFixed(1)}s`));
+  health.on('gave_up', ({ reason, restarts }) => console.log(reason === 'silence'
+    ? `🔇 Audio still silent after ${restarts} stream restarts — everyone muted? Leaving the stream be`
+    : `❌ Audio still down after ${restarts} stream restarts`));
+  health.start();
   
   // Keep alive
   const endTime = Date.now() + duration * 1000;
   while (Date.now() < endTime) {
     await sleep(15000);
     try {
-      s = await telnyxApi('GET', `/calls/${callControlId}`);
+      const s = await telnyxApi('GET', `/calls/${callControlId}`);
       if (!s.data?.is_alive) { console.log('\n📞 Call ended'); break; }
     } catch {}
   }
   
   // Hangup
+  health.stop();
   try { await telnyxApi('POST', `/calls/${callControlId}/actions/hangup`, {}); } catch {}
   
   console.log('\n📝 ═══ TRANSCRIPT ═══');
@@ -669,6 +642,7 @@ async function main() {
 }
 
 function cleanup(tunnel, gemini) {
+  recorder?.close();
   gemini?.close();
   tunnel?.process?.kill();
   setTimeout(() => process.exit(0), 2000);
@@ -0,0 +1,193 @@
+/**
+ * Addressing detector — is the agent being spoken to?
+ *
+ * Triggers come from the persona, not a fixed word list:
+ *
+ *   name       AGENT_NAME and AGENT_ALIASES anywhere in the utterance; STT
+ *              misspellings ("Peeka" for "Pica") match by edit distance on
+ *              the spelling or on a rough phonetic key, CJK names exactly
+ *   indirect   the role spoken about in a question or request, per language:
+ *              "what does the assistant think?", "let's ask the AI",
+ *              "问问助手", "机器人怎么看"
+ *   engaged    for `engagedMs` after the agent replies, follow-ups count
+ *              without the name; calling on someone else ("Bob, …") ends it
+ *
+ * Usage:
+ *   const addressing = new AddressingDetector({ name: 'Pica', aliases: ['pika'] });
+ *   addressing.match('hey peeka, what time is it?');  // { how: 'fuzzy', trigger: 'pica', heard: 'peeka' }
+ *   addressing.engage();                               // the agent just replied
+ *   addressing.match('and tomorrow?');                 // { how: 'engaged' }
+ *
+ * Configuration:
+ *   AGENT_NAME           the persona's name (default: AI Assistant)
+ *   AGENT_ALIASES        other names it answers to, comma separated
+ *   AGENT_LANGUAGES      languages for role words / indirect phrasing: en, zh (default: en,zh)
+ *   ADDRESS_ENGAGED_MS   follow-ups without the name this long after a reply (default: 20000)
+ *   ADDRESS_FUZZY        similarity (0–1) a misheard name needs; 1 for exact only (default: 0.8)
+ */
+
+const env = (name, fallback) => parseFloat(process.env[name] || fallback);
+const list = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Words for the agent's role, and phrasing that puts a question to it
+const LANGUAGES = {
+  en: {
+    roles: ['assistant', 'ai', 'bot'],
+    indirect: (roles) => [
+      new RegExp(`\\b(ask|asking|hey|hi|hello|ok|okay|thanks|thank you)\\s+(the\\s+|our\\s+|my\\s+)?(${roles})\\b`, 'i'),
+      new RegExp(`\\b(the|our|this)\\s+(${roles})\\s+(think|thinks|say|says|know|knows|suggest|suggests|recommend|recommends|reckon|make of)\\b`, 'i'),
+      new RegExp(`^(what|how|why|who|when|where|which|does|do|can|could|would|will|is|should)\\b.*\\b(the|our)\\s+(${roles})\\b.*\\?\\s*$`, 'i'),
+    ],
+  },
+  zh: {
+    roles: ['小助手', '助手', '机器人', 'ai'],
+    indirect: (roles) => [
+      new RegExp(`(问问|问一下|请|让|叫)(${roles})`, 'i'),
+      new RegExp(`(${roles})(你|觉得|怎么看|认为|说说|来说|来回答|帮)`, 'i'),
+    ],
+  },
+};
+
+// "Okay, …" / "So, …" open a sentence without calling on anyone
+const INTERJECTIONS = new Set(['ok', 'okay', 'so', 'well', 'yes', 'yeah', 'no', 'right', 'and', 'but', 'also', 'now', 'sorry', 'thanks', 'hey', 'hi', 'hello', 'oh', 'um', 'uh', 'alright', 'great', 'sure', 'actually', 'anyway', 'look', 'listen', 'guys', 'everyone', 'folks', 'team']);
+const OTHER_NAME = /^(?:(?:hey|hi|okay|ok|so)\s+)?(\p{Lu}[\p{L}'-]+),/u;
+
+const CJK = /[\u4e00-\u9fff]/;
+const MIN_FUZZY_LETTERS = 4;  // shorter names ("Kai") only match exactly
+const SPLIT_SIMILARITY = 0.9;
+
+// "A.I." → "AI"
+const initialisms = (text) => text.replace(/\b(\p{L})\.(\p{L})\.?/gu, '$1$2');
+
+// Lowercase words, initialisms joined
+function words(text) {
+  return (initialisms(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+// Spelling → rough sound, so "peeka" / "pika" / "pica" come out alike
+export function phonetic(word) {
+  return word.toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/(ee|ea|ie|ey|y)/g, 'i')
+    .replace(/(oo|ou)/g, 'u')
+    .replace(/([^aeiou])h/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+}
+
+export class AddressingDetector {
+  /**
+   * @param name       persona name
+   * @param aliases    other names it answers to
+   * @param languages  keys of LANGUAGES for role words and indirect phrasing
+   */
+  constructor({
+    name = process.env.AGENT_NAME || 'AI Assistant',
+    aliases = list(process.env.AGENT_ALIASES),
+    languages = list(process.env.AGENT_LANGUAGES || 'en,zh'),
+    engagedMs = env('ADDRESS_ENGAGED_MS', 20000),
+    fuzzy = env('ADDRESS_FUZZY', 0.8),
+  } = {}) {
+    this.engagedMs = engagedMs;
+    this.fuzzy = fuzzy;
+    this.triggers = [...new Set([name, ...aliases].map(n => n.trim().toLowerCase()).filter(Boolean))].map(phrase => ({
+      phrase,
+      cjk: CJK.test(phrase),
+      words: words(phrase),
+    }));
+    this.indirect = languages.flatMap(lang => {
+      const language = LANGUAGES[lang];
+      if (!language) throw new Error(`Unknown language: ${lang} (expected one of ${Object.keys(LANGUAGES).join(', ')})`);
+      return language.indirect(language.roles.join('|'));
+    });
+    this.engagedUntil = 0;
+  }
+
+  /**
+   * How `text` addresses the agent: { how: name | fuzzy | indirect | engaged,
+   * trigger, heard }, or null when it doesn't.
+   */
+  match(text, at = Date.now()) {
+    const t = text?.trim();
+    if (!t) return null;
+
+    const named = this.findName(t);
+    if (named) return named;
+
+    const plain = initialisms(t);
+    const indirect = this.indirect.find(p => p.test(plain));
+    if (indirect) return { how: 'indirect', trigger: plain.match(indirect)[0] };
+
+    // Someone else is called on: not a follow-up to us
+    const other = t.match(OTHER_NAME);
+    if (other && !INTERJECTIONS.has(other[1].toLowerCase())) {
+      this.disengage();
+      return null;
+    }
+    if (at < this.engagedUntil) return { how: 'engaged' };
+    return null;
+  }
+
+  // The persona's name or an alias, as said or as STT misspelled it
+  findName(text) {
+    const lower = text.toLowerCase();
+    const heard = words(text);
+    for (const trigger of this.triggers) {
+      if (trigger.cjk) {
+        if (lower.includes(trigger.phrase)) return { how: 'name', trigger: trigger.phrase, heard: trigger.phrase };
+        continue;
+      }
+      const n = trigger.words.length;
+      const target = trigger.words.join('');
+      const sound = phonetic(target);
+      let best = null;
+      for (let size = n; size <= n + 1; size++) {
+        for (let i = 0; i + size <= heard.length; i++) {
+          const window = heard.slice(i, i + size);
+          const joined = window.join('');
+          if (size === n && joined === target) return { how: 'name', trigger: trigger.phrase, heard: window.join(' ') };
+          if (target.length < MIN_FUZZY_LETTERS || this.fuzzy >= 1) continue;
+          // A name heard split in two ("a i assistant") has to be spelled
+          // nearly right: loosely, "pick a" would be "Pica"
+          const spelled = similarity(joined, target);
+          const score = size === n ? Math.max(spelled, similarity(phonetic(joined), sound)) : spelled;
+          const needed = size === n ? this.fuzzy : Math.max(this.fuzzy, SPLIT_SIMILARITY);
+          if (score >= needed && (!best || score > best.score)) best = { score, heard: window.join(' ') };
+        }
+      }
+      if (best) return { how: 'fuzzy', trigger: trigger.phrase, heard: best.heard };
+    }
+    return null;
+  }
+
+  // The agent replied: follow-ups don't need the name for a while
+  engage(at = Date.now()) {
+    this.engagedUntil = at + this.engagedMs;
+  }
+
+  disengage() {
+    this.engagedUntil = 0;
+  }
+
+  get engaged() {
+    return Date.now() < this.engagedUntil;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Audio health monitor — notice a media stream that died or went quiet
+ *
+ * Telnyx media streams drop now and then (typically around the DTMF / IVR
+ * phase), and a stream can stay connected while carrying nothing but
+ * silence. Inbound audio is measured as it arrives:
+ *
+ *   frames    frames per second (50 expected at 20 ms) and gaps between chunks
+ *   level     peak and RMS (dBFS), share of clipped samples
+ *
+ * and two conditions raise a `stall`, which callers answer with another
+ * `streaming_start`:
+ *
+ *   no_frames   nothing arrived for `stallMs`
+ *   silence     frames arrive but stay at digital silence for `silenceMs`
+ *
+ * Restarts are spaced `cooldownMs` apart and stop after `maxRestarts` in a
+ * row; audio coming back (`recovered`) resets the count. A meeting where
+ * everyone is muted is digital silence too, so a silent stretch only gets
+ * `silenceRestarts` attempts: after that the line is left alone and
+ * reported `silent` until sound returns.
+ *
+ * Usage:
+ *   const health = new AudioHealthMonitor({ sampleRate: 8000 });
+ *   health.on('stall', ({ reason }) => restartStreaming());
+ *   health.on('report', (stats) => console.log(stats));   // every windowMs
+ *   health.start();          // in the meeting
+ *   health.push(pcm);        // inbound 16-bit PCM
+ *   health.stats();          // { status, fps, gaps, peak, rmsDbfs, ... }
+ *   health.stop();
+ *
+ * Events: stall { reason, sinceMs, attempt }
+ *         recovered { reason, afterMs }
+ *         gave_up { reason, restarts }
+ *         report { ...stats() }
+ *
+ * Configuration:
+ *   AUDIO_STALL_MS              no frames for this long restarts the stream (default: 5000)
+ *   AUDIO_SILENCE_MS            digital silence for this long restarts it too (default: 60000)
+ *   AUDIO_RESTART_COOLDOWN_MS   minimum time between restarts (default: 15000)
+ *   AUDIO_MAX_RESTARTS          restarts in a row before giving up (default: 5)
+ *   AUDIO_SILENCE_RESTARTS      restarts per silent stretch before leaving it be (default: 2)
+ */
+
+import { EventEmitter } from 'events';
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback);
+
+const CLIP_LEVEL = 32000;      // |sample| at or above this counts as clipped
+const CHECK_EVERY_MS = 1000;
+
+function emptyWindow(at) {
+  return { startedAt: at, samples: 0, sumSquares: 0, peak: 0, clipped: 0, gaps: 0, gapMs: 0 };
+}
+
+export class AudioHealthMonitor extends EventEmitter {
+  constructor({
+    sampleRate = 8000,
+    frameMs = 20,
+    stallMs = env('AUDIO_STALL_MS', 5000),
+    silenceMs = env('AUDIO_SILENCE_MS', 60000),
+    silenceLevel = 32,         // peak below this is a dead line, not a quiet room (~-60 dBFS)
+    lowLevel = 500,            // peak below this over a window is reported as "low"
+    gapMs = 100,               // chunks further apart than this count as a gap
+    windowMs = 5000,
+    cooldownMs = env('AUDIO_RESTART_COOLDOWN_MS', 15000),
+    maxRestarts = env('AUDIO_MAX_RESTARTS', 5),
+    silenceRestarts = env('AUDIO_SILENCE_RESTARTS', 2),
+  } = {}) {
+    super();
+    this.sampleRate = sampleRate;
+    this.frameSamples = sampleRate * frameMs / 1000;
+    this.stallMs = stallMs;
+    this.silenceMs = silenceMs;
+    this.silenceLevel = silenceLevel;
+    this.lowLevel = lowLevel;
+    this.gapMs = gapMs;
+    this.windowMs = windowMs;
+    this.cooldownMs = cooldownMs;
+    this.maxRestarts = maxRestarts;
+    this.silenceRestarts = silenceRestarts;
+
+    this.timer = null;
+    this.startedAt = null;
+    this.lastFrameAt = null;
+    this.lastSoundAt = null;
+    this.window = null;
+    this.last = null;          // summary of the last full window
+    this.frames = 0;
+    this.gaps = 0;
+    this.maxGapMs = 0;
+    this.stalled = null;       // reason of the stall being recovered from
+    this.stalledAt = null;
+    this.restarts = 0;         // in a row, since audio last came back
+    this.totalRestarts = 0;
+    this.lastRestartAt = 0;
+    this.gaveUp = false;
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  start(at = Date.now()) {
+    if (this.running) return;
+    this.startedAt = at;
+    // Stall and silence are measured from now, not from before the meeting
+    this.lastFrameAt = at;
+    this.lastSoundAt = at;
+    this.window = emptyWindow(at);
+    this.timer = setInterval(() => this.check(), CHECK_EVERY_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stalled = null;
+  }
+
+  /**
+   * Inbound 16-bit PCM at sampleRate.
+   */
+  push(pcm, at = Date.now()) {
+    if (!this.running) return;
+    const n = Math.floor(pcm.length / 2);
+    const w = this.window;
+    const interval = at - this.lastFrameAt;
+    if (this.frames > 0 && interval > this.gapMs) {
+      w.gaps++;
+      w.gapMs += interval;
+      this.gaps++;
+      this.maxGapMs = Math.max(this.maxGapMs, interval);
+    }
+    this.lastFrameAt = at;
+    this.frames += n / this.frameSamples;
+
+    let peak = 0;
+    for (let i = 0; i < n; i++) {
+      const s = pcm.readInt16LE(i * 2);
+      const a = Math.abs(s);
+      if (a > peak) peak = a;
+      if (a >= CLIP_LEVEL) w.clipped++;
+      w.sumSquares += s * s;
+    }
+    w.samples += n;
+    w.peak = Math.max(w.peak, peak);
+    if (peak >= this.silenceLevel) this.lastSoundAt = at;
+
+    if (this.stalled && (this.stalled === 'no_frames' || peak >= this.silenceLevel)) {
+      this.emit('recovered', { reason: this.stalled, afterMs: at - this.stalledAt });
+      this.stalled = null;
+      this.restarts = 0;
+      this.gaveUp = false;
+    }
+  }
+
+  check(at = Date.now()) {
+    if (at - this.window.startedAt >= this.windowMs) {
+      this.last = this.summarize(this.window, at);
+      this.window = emptyWindow(at);
+      this.emit('report', this.stats(at));
+    }
+
+    const quietFor = at - this.lastFrameAt;
+    const silentFor = at - this.lastSoundAt;
+    if (quietFor >= this.stallMs) this.stall('no_frames', quietFor, at);
+    else if (silentFor >= this.silenceMs) this.stall('silence', silentFor, at);
+  }
+
+  stall(reason, sinceMs, at) {
+    if (!this.stalled) {
+      this.stalled = reason;
+      this.stalledAt = at;
+    }
+    if (at - this.lastRestartAt < this.cooldownMs) return;
+    const limit = reason === 'silence' ? Math.min(this.silenceRestarts, this.maxRestarts) : this.maxRestarts;
+    if (this.restarts >= limit) {
+      if (!this.gaveUp) this.emit('gave_up', { reason, restarts: this.restarts });
+      this.gaveUp = true;
+      return;
+    }
+    this.restarts++;
+    this.totalRestarts++;
+    this.lastRestartAt = at;
+    this.emit('stall', { reason, sinceMs, attempt: this.restarts });
+  }
+
+  summarize(w, at) {
+    const seconds = Math.max(1, at - w.startedAt) / 1000;
+    return {
+      fps: Math.round(w.samples / this.frameSamples / seconds * 10) / 10,
+      gaps: w.gaps,
+      peak: w.peak,
+      rmsDbfs: w.samples ? Math.round(10 * Math.log10(w.sumSquares / w.samples / 32768 ** 2 + 1e-10) * 10) / 10 : null,
+      clippedPct: w.samples ? Math.round(w.clipped / w.samples * 1000) / 10 : 0,
+    };
+  }
+
+  status(at = Date.now()) {
+    if (!this.running) return 'idle';
+    if (at - this.lastFrameAt >= this.stallMs) return 'stalled';
+    if (at - this.lastSoundAt >= this.silenceMs) return 'silent';
+    const w = this.last;
+    if (!w) return 'starting';
+    if (w.clippedPct > 1) return 'clipping';
+    if (w.peak < this.lowLevel) return 'low';
+    return 'ok';
+  }
+
+  stats(at = Date.now()) {
+    return {
+      status: this.status(at),
+      ...(this.last || { fps: null, gaps: 0, peak: null, rmsDbfs: null, clippedPct: 0 }),
+      frames: Math.floor(this.frames),
+      totalGaps: this.gaps,
+      maxGapMs: this.maxGapMs,
+      lastFrameAgoMs: this.running ? at - this.lastFrameAt : null,
+      silentForMs: this.running ? at - this.lastSoundAt : null,
+      restarts: this.totalRestarts,
+    };
+  }
+}
@@ -0,0 +1,623 @@
+/**
+ * Audio DSP for the Telnyx media stream
+ *
+ * Telnyx streams G.711 (µ-law, or A-law) at 8 kHz in 20 ms frames (160 bytes)
+ * unless the call asks for another stream codec: G.722 (16 kHz audio in the
+ * same 64 kbit/s) or L16 (16-bit linear PCM, 16 kHz). OpenAI tts-1 and
+ * Gemini return 16-bit little-endian PCM at 24 kHz; Gemini wants 16 kHz
+ * input. Everything that crosses those rates goes through here.
+ *
+ * One-shot (a whole utterance):
+ *   const frames = toFrames(pcmToUlaw8k(pcm, 24000));
+ *
+ * Streaming (chunks from a socket — keep one instance per call and direction,
+ * filter state carries across chunks so the edges don't click):
+ *   const inbound = new G711Decoder({ rate: 16000 });     // Telnyx → Gemini
+ *   const outbound = new G711Encoder({ rate: 24000 });    // Gemini → Telnyx
+ *   gemini.sendAudio(inbound.decode(payload));
+ *   ws.send(outbound.encode(pcm24k));
+ *
+ * Whatever codec the stream ended up with (its `start` event says):
+ *   const inbound = decoderForStream(msg.start.media_format, { rate: 16000 });
+ */
+
+export const TELNYX_RATE = 8000;
+export const FRAME_MS = 20;
+export const FRAME_BYTES = TELNYX_RATE * FRAME_MS / 1000; // 160 G.711 samples
+export const ULAW_SILENCE = 0xFF;
+export const ALAW_SILENCE = 0xD5;
+
+// --- G.711 µ-law ---
+
+export const ULAW_DECODE = new Int16Array(256);
+(function buildTable() {
+  for (let i = 0; i < 256; i++) {
+    const u = ~i & 0xFF;
+    const sign = u & 0x80;
+    const exponent = (u >> 4) & 0x07;
+    const mantissa = u & 0x0F;
+    let sample = (mantissa << 3) + 0x84;
+    sample <<= exponent;
+    sample -= 0x84;
+    ULAW_DECODE[i] = sign ? -sample : sample;
+  }
+})();
+
+export function pcmToUlaw(sample) {
+  const BIAS = 0x84;
+  const MAX = 32635;
+  let sign = 0;
+  if (sample < 0) { sign = 0x80; sample = -sample; }
+  if (sample > MAX) sample = MAX;
+  sample += BIAS;
+  let exponent = 7;
+  for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; exponent--, expMask >>= 1) {}
+  const mantissa = (sample >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+// --- G.711 A-law ---
+
+export const ALAW_DECODE = new Int16Array(256);
+(function buildTable() {
+  for (let i = 0; i < 256; i++) {
+    const a = i ^ 0x55;
+    const segment = (a & 0x70) >> 4;
+    let sample = (a & 0x0F) << 4;
+    if (segment === 0) sample += 8;
+    else sample = (sample + 0x108) << (segment - 1);
+    ALAW_DECODE[i] = (a & 0x80) ? sample : -sample;
+  }
+})();
+
+const ALAW_SEGMENT_END = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+export function pcmToAlaw(sample) {
+  let value = sample >> 3; // 13-bit magnitude
+  let mask = 0xD5;
+  if (value < 0) { mask = 0x55; value = -value - 1; }
+  let segment = 0;
+  while (segment < 8 && value > ALAW_SEGMENT_END[segment]) segment++;
+  if (segment >= 8) return 0x7F ^ mask;
+  const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+const CODECS = {
+  ulaw: { decode: ULAW_DECODE, encode: pcmToUlaw, silence: ULAW_SILENCE },
+  alaw: { decode: ALAW_DECODE, encode: pcmToAlaw, silence: ALAW_SILENCE },
+};
+
+function codec(law) {
+  const c = CODECS[law];
+  if (!c) throw new Error(`Unknown G.711 law: ${law} (expected ${Object.keys(CODECS).join(', ')})`);
+  return c;
+}
+
+// G.711 bytes → 16-bit PCM at 8 kHz
+export function decodeG711(buf, law = 'ulaw') {
+  const table = codec(law).decode;
+  const pcm = Buffer.alloc(buf.length * 2);
+  for (let i = 0; i < buf.length; i++) pcm.writeInt16LE(table[buf[i]], i * 2);
+  return pcm;
+}
+
+// 16-bit PCM at 8 kHz → G.711 bytes
+export function encodeG711(pcmBuf, law = 'ulaw') {
+  const encode = codec(law).encode;
+  const n = Math.floor(pcmBuf.length / 2);
+  const out = Buffer.alloc(n);
+  for (let i = 0; i < n; i++) out[i] = encode(pcmBuf.readInt16LE(i * 2));
+  return out;
+}
+
+// --- G.722 (ITU-T G.722, 64 kbit/s mode) ---
+//
+// Sub-band ADPCM: a QMF splits 16 kHz audio into a 0–4 kHz band (6 bits per
+// sample pair) and a 4–8 kHz band (2 bits), one byte per two samples.
+
+const QMF_COEFFS = [3, -11, 12, 32, -210, 951, 3876, -805, 362, -156, 53, -11];
+
+const G722_Q6 = [0, 35, 72, 110, 150, 190, 233, 276, 323, 370, 422, 473, 530, 587, 650, 714,
+  786, 858, 940, 1023, 1121, 1219, 1339, 1458, 1612, 1765, 1980, 2195, 2557, 2919, 0, 0];
+const G722_ILN = [0, 63, 62, 31, 30, 29, 28, 27, 26, 25, 24, 23, 22, 21, 20, 19,
+  18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 0];
+const G722_ILP = [0, 61, 60, 59, 58, 57, 56, 55, 54, 53, 52, 51, 50, 49, 48, 47,
+  46, 45, 44, 43, 42, 41, 40, 39, 38, 37, 36, 35, 34, 33, 32, 0];
+const G722_IHN = [0, 1, 0];
+const G722_IHP = [0, 3, 2];
+const G722_WL = [-60, -30, 58, 172, 334, 538, 1198, 3042];
+const G722_RL42 = [0, 7, 6, 5, 4, 3, 2, 1, 7, 6, 5, 4, 3, 2, 1, 0];
+const G722_ILB = [2048, 2093, 2139, 2186, 2233, 2282, 2332, 2383, 2435, 2489, 2543, 2599, 2656, 2714, 2774, 2834,
+  2896, 2960, 3025, 3091, 3158, 3228, 3298, 3371, 3444, 3520, 3597, 3676, 3756, 3838, 3922, 4008];
+const G722_WH = [0, -214, 798];
+const G722_RH2 = [2, 1, 2, 1];
+const G722_QM2 = [-7408, -1616, 7408, 1616];
+const G722_QM4 = [0, -20456, -12896, -8968, -6288, -4240, -2584, -1200,
+  20456, 12896, 8968, 6288, 4240, 2584, 1200, 0];
+const G722_QM6 = [
+  -136, -136, -136, -136, -24808, -21904, -19008, -16704, -14984, -13512, -12280, -11192, -10232, -9360, -8576, -7856,
+  -7192, -6576, -6000, -5456, -4944, -4464, -4008, -3576, -3168, -2776, -2400, -2032, -1688, -1360, -1040, -728,
+  24808, 21904, 19008, 16704, 14984, 13512, 12280, 11192, 10232, 9360, 8576, 7856, 7192, 6576, 6000, 5456,
+  4944, 4464, 4008, 3576, 3168, 2776, 2400, 2032, 1688, 1360, 1040, 728, 432, 136, -432, -136,
+];
+
+const saturate = (x) => (x > 32767 ? 32767 : x < -32768 ? -32768 : x);
+
+function g722Band(det) {
+  return {
+    s: 0, sp: 0, sz: 0, nb: 0, det,
+    r: [0, 0, 0], a: [0, 0, 0], ap: [0, 0, 0], p: [0, 0, 0],
+    d: [0, 0, 0, 0, 0, 0, 0], b: [0, 0, 0, 0, 0, 0, 0], bp: [0, 0, 0, 0, 0, 0, 0], sg: [0, 0, 0, 0, 0, 0, 0],
+  };
+}
+
+// New scale factor from the log scale factor (blocks 3L / 3H, SCALEL / SCALEH)
+function g722Scale(band, nb, shift) {
+  band.nb = nb;
+  const wd1 = (nb >> 6) & 31;
+  const wd2 = shift - (nb >> 11);
+  band.det = (wd2 < 0 ? G722_ILB[wd1] << -wd2 : G722_ILB[wd1] >> wd2) << 2;
+}
+
+// Adaptive predictor update for one band (block 4), shared by both directions
+function g722Predict(band, d) {
+  band.d[0] = d;
+  band.r[0] = saturate(band.s + d);
+  band.p[0] = saturate(band.sz + d);
+
+  // UPPOL2
+  for (let i = 0; i < 3; i++) band.sg[i] = band.p[i] >> 15;
+  let wd1 = saturate(band.a[1] << 2);
+  let wd2 = band.sg[0] === band.sg[1] ? -wd1 : wd1;
+  if (wd2 > 32767) wd2 = 32767;
+  let wd3 = (wd2 >> 7) + (band.sg[0] === band.sg[2] ? 128 : -128);
+  wd3 += (band.a[2] * 32512) >> 15;
+  band.ap[2] = Math.max(-12288, Math.min(12288, wd3));
+
+  // UPPOL1
+  band.sg[0] = band.p[0] >> 15;
+  band.sg[1] = band.p[1] >> 15;
+  wd1 = band.sg[0] === band.sg[1] ? 192 : -192;
+  wd2 = (band.a[1] * 32640) >> 15;
+  band.ap[1] = saturate(wd1 + wd2);
+  wd3 = saturate(15360 - band.ap[2]);
+  band.ap[1] = Math.max(-wd3, Math.min(wd3, band.ap[1]));
+
+  // UPZERO
+  wd1 = d === 0 ? 0 : 128;
+  band.sg[0] = d >> 15;
+  for (let i = 1; i < 7; i++) {
+    band.sg[i] = band.d[i] >> 15;
+    wd2 = band.sg[i] === band.sg[0] ? wd1 : -wd1;
+    wd3 = (band.b[i] * 32640) >> 15;
+    band.bp[i] = saturate(wd2 + wd3);
+  }
+
+  // DELAYA
+  for (let i = 6; i > 0; i--) {
+    band.d[i] = band.d[i - 1];
+    band.b[i] = band.bp[i];
+  }
+  for (let i = 2; i > 0; i--) {
+    band.r[i] = band.r[i - 1];
+    band.p[i] = band.p[i - 1];
+    band.a[i] = band.ap[i];
+  }
+
+  // FILTEP, FILTEZ, PREDIC
+  wd1 = (band.a[1] * saturate(band.r[1] + band.r[1])) >> 15;
+  wd2 = (band.a[2] * saturate(band.r[2] + band.r[2])) >> 15;
+  band.sp = saturate(wd1 + wd2);
+  let sz = 0;
+  for (let i = 6; i > 0; i--) sz += (band.b[i] * saturate(band.d[i] + band.d[i])) >> 15;
+  band.sz = saturate(sz);
+  band.s = saturate(band.sp + band.sz);
+}
+
+/**
+ * Streaming G.722 → 16-bit PCM at 16 kHz (two samples per byte).
+ */
+export class G722Decoder {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.low = g722Band(32);
+    this.high = g722Band(8);
+    this.x = new Int32Array(24);    // receive QMF history
+  }
+
+  decode(buf) {
+    const { low, high, x } = this;
+    const out = Buffer.alloc(buf.length * 4);
+    for (let n = 0; n < buf.length; n++) {
+      const code = buf[n];
+      const ilow = code & 0x3F;
+      const ihigh = (code >> 6) & 0x03;
+
+      // Low band: reconstruct from the 6-bit code, adapt on its top 4 bits
+      const rlow = Math.max(-16384, Math.min(16383, low.s + ((low.det * G722_QM6[ilow]) >> 15)));
+      const dlow = (low.det * G722_QM4[ilow >> 2]) >> 15;
+      g722Scale(low, Math.max(0, Math.min(18432, ((low.nb * 127) >> 7) + G722_WL[G722_RL42[ilow >> 2]])), 8);
+      g722Predict(low, dlow);
+
+      // High band
+      const dhigh = (high.det * G722_QM2[ihigh]) >> 15;
+      const rhigh = Math.max(-16384, Math.min(16383, dhigh + high.s));
+      g722Scale(high, Math.max(0, Math.min(22528, ((high.nb * 127) >> 7) + G722_WH[G722_RH2[ihigh]])), 10);
+      g722Predict(high, dhigh);
+
+      // Receive QMF: two output samples
+      x.copyWithin(0, 2);
+      x[22] = rlow + rhigh;
+      x[23] = rlow - rhigh;
+      let xout1 = 0;
+      let xout2 = 0;
+      for (let i = 0; i < 12; i++) {
+        xout2 += x[2 * i] * QMF_COEFFS[i];
+        xout1 += x[2 * i + 1] * QMF_COEFFS[11 - i];
+      }
+      out.writeInt16LE(saturate(xout1 >> 11), n * 4);
+      out.writeInt16LE(saturate(xout2 >> 11), n * 4 + 2);
+    }
+    return out;
+  }
+}
+
+/**
+ * Streaming 16-bit PCM at 16 kHz → G.722 (one byte per two samples; an odd
+ * trailing sample waits for the next chunk).
+ */
+export class G722Encoder {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.low = g722Band(32);
+    this.high = g722Band(8);
+    this.x = new Int32Array(24);    // transmit QMF history
+    this.carry = null;
+  }
+
+  encode(pcmBuf) {
+    if (this.carry) {
+      pcmBuf = Buffer.concat([this.carry, pcmBuf]);
+      this.carry = null;
+    }
+    const pairs = Math.floor(pcmBuf.length / 4);
+    if (pcmBuf.length > pairs * 4) this.carry = Buffer.from(pcmBuf.subarray(pairs * 4));
+    const { low, high, x } = this;
+    const out = Buffer.alloc(pairs);
+    for (let n = 0; n < pairs; n++) {
+      // Transmit QMF: split a sample pair into the two bands
+      x.copyWithin(0, 2);
+      x[22] = pcmBuf.readInt16LE(n * 4);
+      x[23] = pcmBuf.readInt16LE(n * 4 + 2);
+      let sumOdd = 0;
+      let sumEven = 0;
+      for (let i = 0; i < 12; i++) {
+        sumOdd += x[2 * i] * QMF_COEFFS[i];
+        sumEven += x[2 * i + 1] * QMF_COEFFS[11 - i];
+      }
+      const xlow = (sumEven + sumOdd) >> 14;
+      const xhigh = (sumEven - sumOdd) >> 14;
+
+      // Low band: 6-bit quantizer
+      const el = saturate(xlow - low.s);
+      let wd = el >= 0 ? el : -(el + 1);
+      let i = 1;
+      for (; i < 30; i++) {
+        if (wd < (G722_Q6[i] * low.det) >> 12) break;
+      }
+      const ilow = el < 0 ? G722_ILN[i] : G722_ILP[i];
+      const dlow = (low.det * G722_QM4[ilow >> 2]) >> 15;
+      g722Scale(low, Math.max(0, Math.min(18432, ((low.nb * 127) >> 7) + G722_WL[G722_RL42[ilow >> 2]])), 8);
+      g722Predict(low, dlow);
+
+      // High band: 2-bit quantizer
+      const eh = saturate(xhigh - high.s);
+      wd = eh >= 0 ? eh : -(eh + 1);
+      const mih = wd >= (564 * high.det) >> 12 ? 2 : 1;
+      const ihigh = eh < 0 ? G722_IHN[mih] : G722_IHP[mih];
+      const dhigh = (high.det * G722_QM2[ihigh]) >> 15;
+      g722Scale(high, Math.max(0, Math.min(22528, ((high.nb * 127) >> 7) + G722_WH[G722_RH2[ihigh]])), 10);
+      g722Predict(high, dhigh);
+
+      out[n] = (ihigh << 6) | ilow;
+    }
+    return out;
+  }
+}
+
+// --- Resampling ---
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Band-limited polyphase resampler for 16-bit PCM (rational ratios, so
+ * 8 ↔ 16 ↔ 24 kHz are exact). The prototype low-pass is a Blackman-windowed
+ * sinc cut just below the lower Nyquist, so downsampling doesn't alias and
+ * upsampling doesn't image.
+ *
+ * Stateful: the last few input samples (and an odd trailing byte) carry into
+ * the next process() call, so feeding a stream chunk by chunk gives the same
+ * output as feeding it whole. The filter delays the signal by about
+ * `zeroCrossings` samples at the lower rate; flush() pushes that tail out.
+ */
+export class Resampler {
+  /**
+   * @param fromRate       input sample rate (Hz)
+   * @param toRate         output sample rate (Hz)
+   * @param zeroCrossings  sinc lobes each side — quality vs CPU (default: 10)
+   * @param rolloff        cutoff as a fraction of the lower Nyquist (default: 0.92)
+   */
+  constructor(fromRate, toRate, { zeroCrossings = 10, rolloff = 0.92 } = {}) {
+    if (!(fromRate > 0 && toRate > 0)) throw new Error(`Bad resample rates: ${fromRate} → ${toRate}`);
+    const g = gcd(fromRate, toRate);
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.up = toRate / g;
+    this.down = fromRate / g;
+    this.passthrough = this.up === 1 && this.down === 1;
+
+    // Prototype filter at the upsampled rate, split into `up` phases of
+    // `taps` coefficients each: phase p holds h[p], h[p + up], h[p + 2·up]…
+    const factor = Math.max(this.up, this.down);
+    const cutoff = rolloff * 0.5 / factor; // cycles per upsampled sample
+    this.taps = Math.ceil(2 * zeroCrossings * factor / this.up);
+    const length = this.taps * this.up;
+    const center = (length - 1) / 2;
+    const prototype = new Float64Array(length);
+    for (let n = 0; n < length; n++) {
+      const x = n - center;
+      const sinc = x === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * x) / (2 * Math.PI * cutoff * x);
+      const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (length - 1));
+      prototype[n] = 2 * cutoff * sinc * window;
+    }
+    // Unity DC gain per phase (zero-stuffing divides the level by `up`)
+    this.phases = [];
+    for (let p = 0; p < this.up; p++) {
+      const phase = new Float64Array(this.taps);
+      let sum = 0;
+      for (let k = 0; k < this.taps; k++) {
+        phase[k] = prototype[p + k * this.up] || 0;
+        sum += phase[k];
+      }
+      if (sum) for (let k = 0; k < this.taps; k++) phase[k] /= sum;
+      this.phases.push(phase);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.history = new Float64Array(this.taps - 1); // previous chunk's tail
+    this.position = 0;                               // next output, in upsampled units from the chunk start
+    this.carry = null;                               // odd byte from the last Buffer
+  }
+
+  /**
+   * 16-bit LE PCM Buffer (or Int16Array) at fromRate → 16-bit LE PCM Buffer at toRate.
+   */
+  process(input) {
+    const samples = this.toSamples(input);
+    if (this.passthrough) return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+
+    const n = samples.length;
+    const h = this.history.length;
+    const buf = new Float64Array(h + n);
+    buf.set(this.history);
+    for (let i = 0; i < n; i++) buf[h + i] = samples[i];
+
+    const outLen = Math.max(0, Math.ceil((n * this.up - this.position) / this.down));
+    const out = Buffer.alloc(outLen * 2);
+    let t = this.position;
+    for (let m = 0; m < outLen; m++, t += this.down) {
+      const i = Math.floor(t / this.up);
+      const phase = this.phases[t - i * this.up];
+      let acc = 0;
+      for (let k = 0, j = h + i; k < this.taps; k++, j--) acc += phase[k] * buf[j];
+      out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(acc))), m * 2);
+    }
+
+    this.position = t - n * this.up;
+    this.history = buf.slice(buf.length - h);
+    return out;
+  }
+
+  // Output still held in the filter (end of an utterance)
+  flush() {
+    const tail = this.process(new Int16Array(this.taps));
+    this.reset();
+    return tail;
+  }
+
+  toSamples(input) {
+    if (input instanceof Int16Array) return input;
+    let bytes = input;
+    if (this.carry !== null) {
+      bytes = Buffer.concat([Buffer.from([this.carry]), bytes]);
+      this.carry = null;
+    }
+    if (bytes.length % 2) {
+      this.carry = bytes[bytes.length - 1];
+      bytes = bytes.subarray(0, bytes.length - 1);
+    }
+    const samples = new Int16Array(bytes.length / 2);
+    for (let i = 0; i < samples.length; i++) samples[i] = bytes.readInt16LE(i * 2);
+    return samples;
+  }
+}
+
+/**
+ * Streaming Telnyx → PCM: 8 kHz G.711 in, 16-bit PCM at `rate` out.
+ */
+export class G711Decoder {
+  constructor({ law = 'ulaw', rate = TELNYX_RATE } = {}) {
+    this.law = law;
+    codec(law);
+    this.resampler = new Resampler(TELNYX_RATE, rate);
+  }
+
+  decode(buf) {
+    return this.resampler.process(decodeG711(buf, this.law));
+  }
+
+  reset() {
+    this.resampler.reset();
+  }
+}
+
+/**
+ * Streaming PCM → Telnyx: 16-bit PCM at `rate` in, 8 kHz G.711 out.
+ */
+export class G711Encoder {
+  constructor({ law = 'ulaw', rate = 24000 } = {}) {
+    this.law = law;
+    codec(law);
+    this.resampler = new Resampler(rate, TELNYX_RATE);
+  }
+
+  encode(pcmBuf) {
+    return encodeG711(this.resampler.process(pcmBuf), this.law);
+  }
+
+  flush() {
+    return encodeG711(this.resampler.flush(), this.law);
+  }
+
+  reset() {
+    this.resampler.reset();
+  }
+}
+
+// --- Stream codecs ---
+
+/**
+ * Codecs a Telnyx media stream can be asked for (`stream_codec` on the call
+ * or streaming_start) and the rate of the audio they carry. G.722's RTP
+ * clock says 8000 but the audio is 16 kHz; L16 runs at whatever rate the
+ * stream's media_format reports.
+ */
+export const STREAM_CODECS = {
+  PCMU: { rate: 8000 },
+  PCMA: { rate: 8000 },
+  G722: { rate: 16000 },
+  L16: { rate: 16000 },
+};
+
+const CODEC_ALIASES = { ULAW: 'PCMU', MULAW: 'PCMU', ALAW: 'PCMA' };
+
+// "g.722", "audio/PCMU", "alaw" … → a STREAM_CODECS key, or null
+export function streamCodec(name) {
+  const key = String(name || '').toUpperCase().replace(/^AUDIO\//, '').replace(/[^A-Z0-9]/g, '');
+  const codec = CODEC_ALIASES[key] || key;
+  return STREAM_CODECS[codec] ? codec : null;
+}
+
+/**
+ * Streaming Telnyx → PCM for any stream codec: payloads in, 16-bit PCM at
+ * `rate` out. L16 arrives in network byte order (big-endian, RFC 3551
+ * §4.5.11) and is swapped to the little-endian PCM used everywhere else.
+ */
+export class StreamDecoder {
+  /**
+   * @param codec       STREAM_CODECS key (or an alias streamCodec() knows)
+   * @param streamRate  L16 only: the stream's sample rate
+   * @param rate        output sample rate
+   */
+  constructor({ codec = 'PCMU', streamRate, rate = TELNYX_RATE } = {}) {
+    this.codec = streamCodec(codec);
+    if (!this.codec) throw new Error(`Unknown stream codec: ${codec} (expected ${Object.keys(STREAM_CODECS).join(', ')})`);
+    this.streamRate = this.codec === 'L16' && streamRate ? streamRate : STREAM_CODECS[this.codec].rate;
+    this.rate = rate;
+    this.g722 = this.codec === 'G722' ? new G722Decoder() : null;
+    this.resampler = new Resampler(this.streamRate, rate);
+    this.odd = null;   // L16: trailing byte of a sample split across payloads
+  }
+
+  decode(buf) {
+    switch (this.codec) {
+      case 'PCMU': return this.resampler.process(decodeG711(buf, 'ulaw'));
+      case 'PCMA': return this.resampler.process(decodeG711(buf, 'alaw'));
+      case 'G722': return this.resampler.process(this.g722.decode(buf));
+      default: return this.resampler.process(this.l16(buf));
+    }
+  }
+
+  // Big-endian L16 → little-endian PCM
+  l16(buf) {
+    if (this.odd) {
+      buf = Buffer.concat([this.odd, buf]);
+      this.odd = null;
+    }
+    const even = buf.length & ~1;
+    if (even < buf.length) this.odd = Buffer.from(buf.subarray(even));
+    return Buffer.from(buf.subarray(0, even)).swap16();
+  }
+
+  reset() {
+    this.resampler.reset();
+    this.g722?.reset();
+    this.odd = null;
+  }
+}
+
+/**
+ * Decoder for a media stream's `start` event media_format
+ * ({ encoding, sample_rate }). A missing or unknown encoding falls back to
+ * `fallback`, the codec that was asked for.
+ */
+export function decoderForStream(mediaFormat, { rate = TELNYX_RATE, fallback = 'PCMU' } = {}) {
+  const codec = streamCodec(mediaFormat?.encoding) || fallback;
+  return new StreamDecoder({ codec, streamRate: mediaFormat?.sample_rate, rate });
+}
+
+/**
+ * 16-bit PCM at `rate` → 8 kHz µ-law, for a complete clip (TTS output).
+ */
+export function pcmToUlaw8k(pcmBuf, rate = 24000) {
+  const encoder = new G711Encoder({ rate });
+  return Buffer.concat([encoder.encode(pcmBuf), encoder.flush()]);
+}
+
+/**
+ * Wrap 16-bit mono PCM in a WAV header (uploads to the transcription API).
+ */
+export function pcmToWav(pcm, rate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);       // fmt chunk size
+  header.writeUInt16LE(1, 20);        // PCM
+  header.writeUInt16LE(1, 22);        // mono
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);        // block align
+  header.writeUInt16LE(16, 34);       // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Split G.711 audio into 20 ms frames; the last one is padded with silence.
+ */
+export function toFrames(g711, frameBytes = FRAME_BYTES, silence = ULAW_SILENCE) {
+  const frames = [];
+  for (let i = 0; i < g711.length; i += frameBytes) {
+    const frame = g711.subarray(i, i + frameBytes);
+    frames.push(frame.length === frameBytes
+      ? frame
+      : Buffer.concat([frame, Buffer.alloc(frameBytes - frame.length, silence)]));
+  }
+  return frames;
+}
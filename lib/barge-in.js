@@ -0,0 +1,85 @@
+/**
+ * Barge-in — notice a participant talking over the agent
+ *
+ * Armed while the agent speaks. Two ways in, depending on what the agent
+ * can hear:
+ *   push(pcm)         inbound media-stream audio: speech that stays
+ *                     `thresholdDb` above the line's noise floor for
+ *                     `minSpeechMs` (a cough or a door doesn't count)
+ *   transcript(text)  Telnyx transcription (agents without a media
+ *                     stream): interim results are enough, as long as they
+ *                     hold `minWords` words at `minConfidence`
+ *
+ * Usage:
+ *   const bargeIn = new BargeInDetector();
+ *   bargeIn.on('barge_in', ({ source, text }) => stopSpeaking());
+ *   bargeIn.arm();      // playback started
+ *   bargeIn.disarm();   // playback ended
+ *
+ * Configuration:
+ *   BARGE_IN                  set to "false" to let the agent finish regardless
+ *   BARGE_IN_THRESHOLD_DB     sensitivity: dB above the noise floor (default: 12)
+ *   BARGE_IN_MIN_SPEECH_MS    speech needed before the agent stops (default: 300)
+ *   BARGE_IN_MIN_WORDS        transcript words needed (default: 2)
+ *   BARGE_IN_MIN_CONFIDENCE   transcript confidence needed (default: 0.5)
+ */
+
+import { EventEmitter } from 'events';
+import { VoiceActivityDetector } from './vad.js';
+
+export class BargeInDetector extends EventEmitter {
+  constructor({
+    sampleRate = 8000,
+    enabled = process.env.BARGE_IN !== 'false',
+    thresholdDb = parseFloat(process.env.BARGE_IN_THRESHOLD_DB || '12'),
+    minSpeechMs = parseInt(process.env.BARGE_IN_MIN_SPEECH_MS || '300'),
+    minWords = parseInt(process.env.BARGE_IN_MIN_WORDS || '2'),
+    minConfidence = parseFloat(process.env.BARGE_IN_MIN_CONFIDENCE || '0.5'),
+  } = {}) {
+    super();
+    this.enabled = enabled;
+    this.minSpeechMs = minSpeechMs;
+    this.minWords = minWords;
+    this.minConfidence = minConfidence;
+    this.armed = false;
+
+    // Runs all the time so the noise floor is settled when playback starts;
+    // only the start of speech matters here, utterances are not kept.
+    this.vad = new VoiceActivityDetector({
+      sampleRate,
+      thresholdDb,
+      startFrames: Math.max(1, Math.ceil(minSpeechMs / 20)),
+      preRollMs: 0,
+      hangoverMs: 300,
+      minSpeechMs: 0,
+      maxUtteranceMs: 2000,
+    });
+    this.vad.on('speech_start', () => this.trigger({ source: 'audio' }));
+  }
+
+  arm() {
+    this.armed = this.enabled;
+  }
+
+  disarm() {
+    this.armed = false;
+  }
+
+  push(pcm) {
+    this.vad.push(pcm);
+  }
+
+  transcript(text, { confidence } = {}) {
+    if (!this.armed || !text?.trim()) return;
+    if (confidence != null && confidence < this.minConfidence) return;
+    // Chinese has no spaces: two characters count as enough
+    if (text.trim().split(/\s+/).length < this.minWords && !/[\u4e00-\u9fff]{2,}/.test(text)) return;
+    this.trigger({ source: 'transcript', text: text.trim() });
+  }
+
+  trigger(info) {
+    if (!this.armed) return;
+    this.disarm();
+    this.emit('barge_in', { ...info, at: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Dial-in number pool
+ *
+ * Ranks the configured PSTN dial-in numbers by how close they are to the
+ * caller's DID (same country, then same region), then by priority, and
+ * hands out the next one when a trunk is busy or unreachable.
+ *
+ * Configuration (first match wins):
+ *   ZOOM_DIAL_IN_POOL  JSON array of { number, region, priority, location }
+ *                      or "number[:region[:priority]],..."
+ *   ZOOM_DIAL_IN       single preferred number, always tried first
+ *   ZOOM_CALLER_REGION region of TELNYX_DID when its area code isn't known
+ *
+ * Teams, Meet and Webex numbers are per tenant, so for those platforms the
+ * pool is only the invitation's numbers (plus an explicit one).
+ */
+
+// Zoom US dial-ins
+export const DEFAULT_DIAL_INS = [
+  { number: '+16699009128', region: 'us-west', location: 'US (San Jose)', priority: 1 },
+  { number: '+12532158782', region: 'us-west', location: 'US (Tacoma)', priority: 2 },
+  { number: '+13462487799', region: 'us-central', location: 'US (Houston)', priority: 1 },
+  { number: '+13126266799', region: 'us-central', location: 'US (Chicago)', priority: 2 },
+  { number: '+16465588656', region: 'us-east', location: 'US (New York)', priority: 1 },
+  { number: '+13017158592', region: 'us-east', location: 'US (Washington DC)', priority: 2 },
+];
+
+// NANP area code hints for the caller's DID. Not exhaustive — an unknown
+// area code just falls back to priority order within the country.
+const AREA_CODE_REGIONS = {
+  'us-west': [
+    206, 209, 213, 253, 310, 323, 360, 408, 415, 425, 442, 503, 510, 530, 541, 559, 562,
+    619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805, 818, 831,
+    858, 909, 916, 925, 949, 951, 971, 480, 520, 602, 623, 928, 208, 801, 385, 406, 907, 808,
+  ],
+  'us-central': [
+    210, 214, 217, 224, 254, 281, 309, 312, 314, 316, 318, 320, 331, 346, 361, 402, 405,
+    409, 414, 417, 430, 432, 469, 479, 501, 504, 507, 512, 515, 531, 563, 573, 580, 608,
+    612, 618, 630, 636, 641, 651, 682, 708, 712, 713, 715, 737, 763, 773, 779, 785, 815,
+    816, 817, 830, 832, 847, 903, 913, 915, 918, 920, 936, 940, 952, 956, 972, 979, 303, 720, 719,
+  ],
+  'us-east': [
+    201, 202, 203, 212, 215, 216, 229, 231, 234, 239, 240, 248, 267, 269, 276, 301, 302,
+    304, 305, 313, 315, 321, 330, 332, 336, 347, 352, 386, 404, 407, 410, 412, 413, 419,
+    434, 440, 443, 470, 475, 484, 508, 513, 516, 517, 518, 540, 551, 561, 570, 571, 585,
+    586, 603, 607, 609, 610, 614, 616, 617, 631, 646, 678, 703, 704, 716, 718, 727, 732,
+    734, 740, 754, 757, 770, 774, 781, 786, 804, 813, 828, 845, 848, 856, 857, 860, 862,
+    904, 908, 910, 914, 917, 919, 929, 937, 941, 954, 973, 978, 980, 984,
+  ],
+};
+
+// City names as they appear in Zoom invitations → region
+const CITY_REGIONS = {
+  'san jose': 'us-west', 'tacoma': 'us-west', 'los angeles': 'us-west', 'seattle': 'us-west',
+  'houston': 'us-central', 'chicago': 'us-central', 'denver': 'us-central',
+  'new york': 'us-east', 'washington dc': 'us-east', 'washington d.c': 'us-east', 'germantown': 'us-east',
+};
+
+const FAILOVER_REASONS = ['BUSY', 'NO_ANSWER', 'DIAL_ERROR'];
+
+function normalize(number) {
+  return '+' + String(number).replace(/\D/g, '');
+}
+
+// Country calling code, good enough for ranking: NANP is +1, everything
+// else is compared on its first two digits.
+function countryOf(number) {
+  const digits = normalize(number).slice(1);
+  return digits.startsWith('1') ? '1' : digits.slice(0, 2);
+}
+
+export function regionOfNumber(number) {
+  const digits = normalize(number).slice(1);
+  if (!digits.startsWith('1')) return null;
+  const areaCode = parseInt(digits.slice(1, 4));
+  return Object.keys(AREA_CODE_REGIONS).find(r => AREA_CODE_REGIONS[r].includes(areaCode)) || null;
+}
+
+function regionOfEntry(entry) {
+  if (entry.region) return entry.region;
+  const city = (entry.city || entry.location?.match(/\(([^)]+)\)/)?.[1] || '').toLowerCase();
+  return CITY_REGIONS[city] || regionOfNumber(entry.number);
+}
+
+// "+16699009128:us-west:1,+16465588656:us-east:2" or a JSON array
+export function parsePoolConfig(value) {
+  if (!value) return [];
+  if (value.trim().startsWith('[')) return JSON.parse(value);
+  return value.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+    const [number, region, priority] = item.split(':');
+    return { number, region: region || undefined, priority: priority ? parseInt(priority) : undefined };
+  });
+}
+
+export class DialInPool {
+  /**
+   * @param entries     [{ number, region?, priority?, location? }] — duplicates are merged
+   * @param callerNumber  our DID, used to find the nearest dial-in
+   * @param callerRegion  overrides the area-code lookup for the DID
+   */
+  constructor(entries, { callerNumber, callerRegion } = {}) {
+    this.callerNumber = callerNumber || '';
+    this.callerRegion = callerRegion || (callerNumber && regionOfNumber(callerNumber)) || null;
+    this.attempts = [];    // { number, reason, at }
+    this.connected = null;
+
+    const byNumber = new Map();
+    for (const [index, raw] of entries.entries()) {
+      const number = normalize(raw.number);
+      const priority = raw.priority ?? 100;
+      const existing = byNumber.get(number);
+      if (existing) {
+        // Same number listed twice (e.g. invitation + pool): keep the better priority
+        existing.priority = Math.min(existing.priority, priority);
+        existing.location ||= raw.location;
+        existing.region ||= raw.region;
+        continue;
+      }
+      byNumber.set(number, { ...raw, number, priority, index });
+    }
+    this.entries = [...byNumber.values()];
+    for (const entry of this.entries) entry.region = regionOfEntry(entry);
+
+    this.ranked = this.rank();
+    this.position = 0;
+  }
+
+  /**
+   * Pool for one session: an explicit number and ZOOM_DIAL_IN are pinned
+   * first, then the meeting's own invitation numbers and the configured
+   * (or default) pool, nearest first. May be empty for non-Zoom platforms.
+   */
+  static fromEnv({ pinned, invitationDialIns = [], callerNumber, platform = 'zoom' } = {}) {
+    const isZoom = platform === 'zoom';
+    const entries = [];
+    if (pinned) entries.push({ number: pinned, priority: -1, location: 'requested' });
+    if (isZoom && process.env.ZOOM_DIAL_IN) entries.push({ number: process.env.ZOOM_DIAL_IN, priority: -1 });
+    entries.push(...invitationDialIns.map(d => ({ ...d, priority: d.priority ?? 50 })));
+    if (isZoom) {
+      const configured = parsePoolConfig(process.env.ZOOM_DIAL_IN_POOL);
+      entries.push(...(configured.length ? configured : DEFAULT_DIAL_INS));
+    }
+
+    return new DialInPool(entries, {
+      callerNumber: callerNumber || process.env.TELNYX_DID,
+      callerRegion: process.env.ZOOM_CALLER_REGION,
+    });
+  }
+
+  // Nearest first: pinned, same country, same region, then priority
+  rank() {
+    const callerCountry = this.callerNumber ? countryOf(this.callerNumber) : null;
+    const score = (e) => [
+      e.priority < 0 ? 0 : 1,
+      callerCountry && countryOf(e.number) !== callerCountry ? 1 : 0,
+      this.callerRegion && e.region !== this.callerRegion ? 1 : 0,
+      e.priority,
+      e.index,
+    ];
+    return [...this.entries].sort((a, b) => {
+      const sa = score(a), sb = score(b);
+      for (let i = 0; i < sa.length; i++) if (sa[i] !== sb[i]) return sa[i] - sb[i];
+      return 0;
+    });
+  }
+
+  current() {
+    return this.ranked[this.position] || null;
+  }
+
+  // Whether this failure reason moves to another trunk
+  shouldFailover(reason) {
+    return FAILOVER_REASONS.includes(reason);
+  }
+
+  /**
+   * Record a failed attempt on the current number and advance.
+   * Returns the next entry, or null when every number has been tried.
+   */
+  failover(reason) {
+    const current = this.current();
+    if (current) this.attempts.push({ number: current.number, reason, at: new Date().toISOString() });
+    if (this.position + 1 >= this.ranked.length) return null;
+    this.position++;
+    return this.current();
+  }
+
+  // Back to the nearest number (used when retrying after exhausting the pool)
+  reset() {
+    this.position = 0;
+  }
+
+  markConnected() {
+    const current = this.current();
+    this.connected = current && { number: current.number, region: current.region, location: current.location || '' };
+    if (current) this.attempts.push({ number: current.number, reason: 'CONNECTED', at: new Date().toISOString() });
+    return this.connected;
+  }
+}
@@ -0,0 +1,470 @@
+/**
+ * Speaker diarization — who said it, from the one mixed inbound track
+ *
+ * Everyone in the meeting reaches us on the same PSTN leg. Each VAD
+ * utterance gets a voice embedding computed right here (no service, no
+ * model files):
+ *
+ *   spectrum   mean and spread of 12 mel cepstra over the speech frames,
+ *              telephone band only (100–3800 Hz) so 8 and 16 kHz streams agree
+ *   pitch      median F0 of the voiced frames
+ *
+ * and is clustered online against the speakers heard so far: close enough
+ * to one of them (`threshold`) joins it and moves its centroid, otherwise
+ * it is a new speaker. Labels ("Speaker 1", "Speaker 2", ...) go by order of
+ * first appearance and never change; utterances shorter than `minNewMs` only
+ * ever join an existing speaker, a cough doesn't make a new one.
+ *
+ * Transcripts that come from elsewhere (Telnyx STT) carry no audio timing;
+ * speakerFor() finds the utterance that overlaps the stretch the text must
+ * have taken to say, just before it arrived, and attach() labels an entry
+ * as soon as that utterance is in (the VAD may still be in its hangover).
+ *
+ * Usage:
+ *   const diarizer = new SpeakerDiarizer();
+ *   vad.on('utterance', (u) => diarizer.defer(u));       // off the socket handler
+ *   diarizer.segment(utterance);                         // { speaker, similarity, isNew }
+ *   diarizer.speakerFor(text, Date.now());               // 'Speaker 2' or null
+ *   diarizer.attach(entry);                              // sets entry.speaker, now or shortly
+ *   await diarizer.whenLabelled(entries, 800);           // give pending ones a moment
+ *   speakerTurns(entries);                               // "Speaker 1: ...\nSpeaker 2: ..."
+ *   speakerTurns(entries, (l) => roster.display(l));     // "Alice: ...\nSpeaker 2: ..."
+ *   diarizer.speakers();                                 // [{ label, segments, speechMs }]
+ *
+ * Events: speaker { speaker, similarity, isNew, startedAt, endedAt }
+ *         labelled { entry, speaker }   attach() gave an entry its speaker
+ *
+ * Configuration:
+ *   DIARIZE                set to "false" to turn diarization off (bridge, m2, m3)
+ *   DIARIZE_THRESHOLD      similarity (0–1) an utterance needs to join a speaker (default: 0.45)
+ *   DIARIZE_MAX_SPEAKERS   no new speakers past this many (default: 8)
+ */
+
+import { EventEmitter } from 'events';
+import { speechMs } from './etiquette.js';
+
+const env = (name, fallback) => parseFloat(process.env[name] || fallback);
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+const MEL_BANDS = 24;
+const CEPSTRA = 12;             // c1..c12; c0 is loudness, not voice
+const LOW_HZ = 100;
+const HIGH_HZ = 3800;
+const SPEECH_RANGE_DB = 30;     // frames this far below the loudest are pauses
+const MIN_FRAMES = 20;          // under 0.2 s of speech says nothing about the voice
+const PITCH_FRAME_MS = 40;      // two periods at the lowest F0
+const PITCH_RATE = 8000;
+const PITCH_EVERY = 3;          // speech frames per pitch estimate
+const MIN_PITCH_FRAMES = 5;
+const MAX_FRAMES = 1000;        // 10 s of speech is plenty to know a voice by
+const F0_MIN = 60;
+const F0_MAX = 400;
+const VOICED_CORRELATION = 0.45;
+const OCTAVE_TOLERANCE = 0.9;
+const PITCH_SCALE = 0.25;       // a quarter octave of F0 weighs like one spread of a cepstrum...
+const PITCH_WEIGHT = 3;         // ...in each of three of them: it tells voices apart best
+const PITCH_CAP = 0.5;          // octaves; past this it's a different voice or an octave error
+const STT_LAG_MS = 1500;        // a transcript arrives about this long after the words end
+const TIMELINE_SIZE = 500;
+const ATTACH_WAIT_MS = 5000;    // a transcript still unlabelled after this stays so
+const POLL_MS = 50;
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🗣️ Diarize: ${msg}`);
+}
+
+// --- Features ---
+
+// In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Triangular mel filters over FFT bins, and the window, per sample rate
+const analyzers = new Map();
+function analyzer(sampleRate) {
+  if (analyzers.has(sampleRate)) return analyzers.get(sampleRate);
+  const frame = Math.round(sampleRate * FRAME_MS / 1000);
+  let size = 1;
+  while (size < frame) size <<= 1;
+  const high = Math.min(HIGH_HZ, sampleRate / 2 - 100);
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    melToHz(hzToMel(LOW_HZ) + (hzToMel(high) - hzToMel(LOW_HZ)) * i / (MEL_BANDS + 1)) * size / sampleRate);
+  const filters = [];
+  for (let m = 1; m <= MEL_BANDS; m++) {
+    const from = Math.ceil(edges[m - 1]);
+    const to = Math.min(Math.floor(edges[m + 1]), size / 2);
+    const weights = Float64Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => {
+      const k = from + i;
+      return k <= edges[m] ? (k - edges[m - 1]) / (edges[m] - edges[m - 1]) : (edges[m + 1] - k) / (edges[m + 1] - edges[m]);
+    });
+    filters.push({ from, weights });
+  }
+  const dct = Array.from({ length: CEPSTRA }, (_, c) =>
+    Float64Array.from({ length: MEL_BANDS }, (_, m) => Math.cos(Math.PI * (c + 1) * (m + 0.5) / MEL_BANDS)));
+  const window = Float64Array.from({ length: frame }, (_, i) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frame - 1)));
+  // Pitch is tracked at 8 kHz whatever the stream's rate
+  const decimate = Math.max(1, Math.round(sampleRate / PITCH_RATE));
+  const pitchFrame = Math.round(sampleRate * PITCH_FRAME_MS / 1000);
+  const a = { frame, hop: Math.round(sampleRate * HOP_MS / 1000), size, filters, dct, window, decimate, pitchFrame };
+  analyzers.set(sampleRate, a);
+  return a;
+}
+
+// F0 of one frame by normalized autocorrelation, or null if unvoiced
+function pitch(x, sampleRate) {
+  const minLag = Math.floor(sampleRate / F0_MAX);
+  const maxLag = Math.min(Math.ceil(sampleRate / F0_MIN), x.length - 1);
+  const r = new Float64Array(maxLag + 1);
+  const energy = new Float64Array(x.length + 1);  // energy[i]: sum of x² before i
+  for (let i = 0; i < x.length; i++) energy[i + 1] = energy[i] + x[i] * x[i];
+  let best = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < x.length; i++) sum += x[i] * x[i + lag];
+    const e1 = energy[x.length - lag];
+    const e2 = energy[x.length] - energy[lag];
+    r[lag] = sum / Math.sqrt(e1 * e2 + 1e-9);
+    best = Math.max(best, r[lag]);
+  }
+  if (best < VOICED_CORRELATION) return null;
+  // Multiples of the period correlate as well: take the shortest lag that nearly peaks
+  for (let lag = minLag + 1; lag < maxLag; lag++) {
+    if (r[lag] >= best * OCTAVE_TOLERANCE && r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1]) return sampleRate / lag;
+  }
+  return null;
+}
+
+// `length` samples from `start`, averaged down by `decimate`
+function samplesAt(pcm, start, length, total, decimate) {
+  const x = new Float64Array(Math.floor(Math.min(length, total - start) / decimate));
+  for (let i = 0; i < x.length; i++) {
+    let s = 0;
+    for (let j = 0; j < decimate; j++) s += pcm.readInt16LE((start + i * decimate + j) * 2);
+    x[i] = s / decimate / 32768;
+  }
+  return x;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Voice embedding of 16-bit PCM: { mean, spread, f0, frames }, or null
+ * when there is too little speech in it.
+ */
+export function embed(pcm, sampleRate) {
+  const { frame, hop, size, filters, dct, window, decimate, pitchFrame } = analyzer(sampleRate);
+  const samples = Math.floor(pcm.length / 2);
+  const frames = [];
+  for (let start = 0; start + frame <= samples; start += hop) {
+    const x = new Float64Array(frame);
+    let energy = 0;
+    for (let i = 0; i < frame; i++) {
+      x[i] = pcm.readInt16LE((start + i) * 2) / 32768;
+      energy += x[i] * x[i];
+    }
+    frames.push({ x, start, db: 10 * Math.log10(energy / frame + 1e-12) });
+  }
+  if (!frames.length) return null;
+  const loudest = Math.max(...frames.map(f => f.db));
+  let speech = frames.filter(f => f.db > loudest - SPEECH_RANGE_DB);
+  if (speech.length < MIN_FRAMES) return null;
+  if (speech.length > MAX_FRAMES) {
+    const stride = speech.length / MAX_FRAMES;
+    speech = Array.from({ length: MAX_FRAMES }, (_, i) => speech[Math.floor(i * stride)]);
+  }
+
+  const sum = new Float64Array(CEPSTRA);
+  const squares = new Float64Array(CEPSTRA);
+  const f0s = [];
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const logMel = new Float64Array(MEL_BANDS);
+  speech.forEach(({ x, start }, index) => {
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < frame; i++) re[i] = x[i] * window[i];
+    fft(re, im);
+    filters.forEach(({ from, weights }, m) => {
+      let e = 0;
+      for (let i = 0; i < weights.length; i++) e += weights[i] * (re[from + i] ** 2 + im[from + i] ** 2);
+      logMel[m] = Math.log(e + 1e-10);
+    });
+    dct.forEach((basis, c) => {
+      let v = 0;
+      for (let m = 0; m < MEL_BANDS; m++) v += logMel[m] * basis[m];
+      sum[c] += v;
+      squares[c] += v * v;
+    });
+    if (index % PITCH_EVERY) return;
+    const f0 = pitch(samplesAt(pcm, start, pitchFrame, samples, decimate), sampleRate / decimate);
+    if (f0) f0s.push(f0);
+  });
+
+  const n = speech.length;
+  const mean = Array.from(sum, s => s / n);
+  const spread = Array.from(squares, (s, i) => Math.sqrt(Math.max(s / n - mean[i] ** 2, 1e-6)));
+  // A few voiced frames are octave errors as often as not
+  const f0 = f0s.length >= MIN_PITCH_FRAMES ? median(f0s) : null;
+  return { mean, spread, f0, frames: n };
+}
+
+/**
+ * How alike two embeddings are, 0–1: the cepstral means apart in units of
+ * their spread, and the pitch apart in quarter octaves.
+ */
+export function similarity(a, b) {
+  let sum = 0;
+  for (let i = 0; i < CEPSTRA; i++) {
+    const spread = (a.spread[i] + b.spread[i]) / 2;
+    sum += ((a.mean[i] - b.mean[i]) / spread) ** 2;
+  }
+  let dims = CEPSTRA;
+  if (a.f0 && b.f0) {
+    sum += PITCH_WEIGHT * (Math.min(Math.abs(Math.log2(a.f0 / b.f0)), PITCH_CAP) / PITCH_SCALE) ** 2;
+    dims += PITCH_WEIGHT;
+  }
+  return Math.exp(-Math.sqrt(sum / dims));
+}
+
+/**
+ * Transcript entries ({ text, speaker }) as speaker-tagged lines for an
+ * LLM, one line per change of speaker. Null when none of them is labelled.
+ * `name` turns a label into what to call the speaker (see lib/roster.js).
+ */
+export function speakerTurns(entries, name = (label) => label) {
+  if (!entries.some(e => e.speaker)) return null;
+  const lines = [];
+  for (const { text, speaker } of entries) {
+    const label = speaker ? name(speaker) : 'Unknown speaker';
+    const last = lines[lines.length - 1];
+    if (last?.label === label) last.text += ` ${text}`;
+    else lines.push({ label, text });
+  }
+  return lines.map(({ label, text }) => `${label}: ${text}`).join('\n');
+}
+
+// --- Clustering ---
+
+export class SpeakerDiarizer extends EventEmitter {
+  constructor({
+    threshold = env('DIARIZE_THRESHOLD', 0.45),
+    maxSpeakers = env('DIARIZE_MAX_SPEAKERS', 8),
+    minNewMs = 1000,           // shorter utterances never start a new speaker
+    log = defaultLog,
+  } = {}) {
+    super();
+    this.threshold = threshold;
+    this.maxSpeakers = maxSpeakers;
+    this.minNewMs = minNewMs;
+    this.log = log;
+    this.clusters = [];        // { label, centroid, weight, f0Weight, segments, speechMs }
+    this.timeline = [];        // { startedAt, endedAt, speaker } (ms), oldest first
+    this.pending = [];         // { entry, at } waiting for their utterance
+    this.deferred = Promise.resolve();
+  }
+
+  /**
+   * A VAD utterance ({ pcm, sampleRate, startedAt, endedAt, durationMs }).
+   * Returns { speaker, similarity, isNew }, or null when it is too short
+   * or too quiet to tell.
+   */
+  segment({ pcm, sampleRate, startedAt, endedAt, durationMs }) {
+    const embedding = embed(pcm, sampleRate);
+    if (!embedding) return null;
+
+    let best = null;
+    let bestSimilarity = 0;
+    for (const cluster of this.clusters) {
+      const s = similarity(embedding, cluster.centroid);
+      if (s > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = s;
+      }
+    }
+
+    const canStart = this.clusters.length < this.maxSpeakers && (durationMs >= this.minNewMs || !best);
+    let isNew = false;
+    if (!best || (bestSimilarity < this.threshold && canStart)) {
+      best = this.newSpeaker(embedding);
+      bestSimilarity = 1;
+      isNew = true;
+    } else {
+      this.join(best, embedding);
+    }
+    best.segments++;
+    best.speechMs += durationMs;
+
+    const at = { startedAt: +new Date(startedAt), endedAt: +new Date(endedAt) };
+    this.timeline.push({ ...at, speaker: best.label });
+    if (this.timeline.length > TIMELINE_SIZE) this.timeline.shift();
+
+    const result = { speaker: best.label, similarity: Math.round(bestSimilarity * 100) / 100, isNew };
+    this.log(isNew ? 'info' : 'debug', `${best.label}${isNew ? ' (new)' : ''} — ${(durationMs / 1000).toFixed(1)}s, similarity ${result.similarity}${embedding.f0 ? `, F0 ${Math.round(embedding.f0)} Hz` : ''}`);
+    this.emit('speaker', { ...result, startedAt, endedAt });
+    this.settle();
+    return result;
+  }
+
+  /**
+   * segment() once the I/O callbacks queued now have run, one utterance
+   * per turn of the event loop and in order: an embedding takes about
+   * 10 ms per second of speech, too long to hold up a media socket's
+   * message handler. Resolves with segment()'s result.
+   */
+  defer(utterance) {
+    this.deferred = this.deferred.then(() => new Promise(resolve => setImmediate(() => {
+      try {
+        resolve(this.segment(utterance));
+      } catch (err) {
+        this.log('error', `Segment failed: ${err.message}`);
+        resolve(null);
+      }
+    })));
+    return this.deferred;
+  }
+
+  /**
+   * Set `entry.speaker` for a transcript entry ({ text }) that arrived at
+   * `at`: right away if its utterance has been diarized, else once it is
+   * (within ATTACH_WAIT_MS). Returns the speaker, or null for now.
+   */
+  attach(entry, at = Date.now()) {
+    at = +new Date(at);
+    const speaker = this.heardBy(at) ? this.speakerFor(entry.text, at) : null;
+    if (speaker) this.label(entry, speaker);
+    else this.pending.push({ entry, at });
+    return speaker;
+  }
+
+  // Has the utterance holding the last words of a transcript arriving at `at` been diarized?
+  heardBy(at) {
+    const last = this.timeline[this.timeline.length - 1];
+    return Boolean(last) && last.endedAt >= at - STT_LAG_MS;
+  }
+
+  // Resolves once every entry has a speaker, or after `maxMs`
+  async whenLabelled(entries, maxMs) {
+    const deadline = Date.now() + maxMs;
+    while (entries.some(e => !e.speaker) && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, POLL_MS));
+    }
+  }
+
+  settle(now = Date.now()) {
+    this.pending = this.pending.filter(({ entry, at }) => {
+      const speaker = this.heardBy(at) ? this.speakerFor(entry.text, at) : null;
+      if (speaker) this.label(entry, speaker);
+      return !speaker && now - at < ATTACH_WAIT_MS;
+    });
+  }
+
+  label(entry, speaker) {
+    entry.speaker = speaker;
+    this.emit('labelled', { entry, speaker });
+  }
+
+  newSpeaker(embedding) {
+    const cluster = {
+      label: `Speaker ${this.clusters.length + 1}`,
+      centroid: { mean: [...embedding.mean], spread: [...embedding.spread], f0: embedding.f0 },
+      weight: embedding.frames,
+      f0Weight: embedding.f0 ? embedding.frames : 0,
+      segments: 0,
+      speechMs: 0,
+    };
+    this.clusters.push(cluster);
+    return cluster;
+  }
+
+  // Move the centroid toward the utterance, by how much speech each holds
+  join(cluster, embedding) {
+    const { centroid } = cluster;
+    const w = embedding.frames / (cluster.weight + embedding.frames);
+    for (let i = 0; i < CEPSTRA; i++) {
+      centroid.mean[i] += (embedding.mean[i] - centroid.mean[i]) * w;
+      centroid.spread[i] += (embedding.spread[i] - centroid.spread[i]) * w;
+    }
+    if (embedding.f0) {
+      const fw = embedding.frames / (cluster.f0Weight + embedding.frames);
+      centroid.f0 = centroid.f0 ? 2 ** (Math.log2(centroid.f0) + Math.log2(embedding.f0 / centroid.f0) * fw) : embedding.f0;
+      cluster.f0Weight += embedding.frames;
+    }
+    cluster.weight += embedding.frames;
+  }
+
+  // The speaker heard most between `from` and `to` (ms or Date), or null
+  speakerAt(from, to) {
+    const start = +new Date(from);
+    const end = +new Date(to);
+    const heard = new Map();
+    for (let i = this.timeline.length - 1; i >= 0; i--) {
+      const s = this.timeline[i];
+      if (s.endedAt < start) break;
+      const overlap = Math.min(end, s.endedAt) - Math.max(start, s.startedAt);
+      if (overlap > 0) heard.set(s.speaker, (heard.get(s.speaker) || 0) + overlap);
+    }
+    let speaker = null;
+    for (const [label, ms] of heard) {
+      if (!speaker || ms > heard.get(speaker)) speaker = label;
+    }
+    return speaker;
+  }
+
+  /**
+   * Who said `text`, a transcript that arrived at `at` without timing of
+   * its own: the stretch it takes to say, ending STT_LAG_MS before it came.
+   */
+  speakerFor(text, at = Date.now()) {
+    const end = +new Date(at);
+    return this.speakerAt(end - STT_LAG_MS - speechMs(text), end);
+  }
+
+  speakers() {
+    return this.clusters.map(({ label, segments, speechMs, centroid }) => ({
+      label, segments, speechMs, f0: centroid.f0 ? Math.round(centroid.f0) : null,
+    }));
+  }
+
+  toJSON() {
+    return { clusters: this.clusters };
+  }
+
+  // Known voices keep their labels across a bridge restart
+  restore(saved = {}) {
+    this.clusters = (saved.clusters || []).map(c => ({ ...c, centroid: { ...c.centroid } }));
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Echo suppressor — keep hearing people while the agent talks
+ *
+ * Anyone in the meeting on a speakerphone plays the agent's voice back into
+ * the conference, so the inbound track carries the agent a few hundred ms
+ * late. Instead of going deaf while speaking, agents feed what they played
+ * (Telnyx's outbound track) in as a reference:
+ *
+ *   Audio   the echo path delay and loss are learned by lining up inbound
+ *           and reference energy; inbound chunks no louder than the echo the
+ *           reference predicts are attenuated, anything clearly louder
+ *           (someone talking over the agent) passes untouched.
+ *   Text    agents without a media stream (or as a second net behind STT)
+ *           drop transcripts that repeat what the agent just said.
+ *
+ * Usage:
+ *   const echo = new EchoSuppressor({ sampleRate: 8000 });
+ *   echo.reference(outboundPcm);          // outbound track chunk
+ *   const clean = echo.process(inboundPcm);
+ *   echo.said(text);                      // the agent's words
+ *   if (echo.isEcho(transcript)) return;  // skip our own voice
+ *
+ * Chunks are handled as they arrive (Telnyx sends 20 ms).
+ *
+ * Configuration:
+ *   ECHO_SUPPRESSION        set to "false" to pass audio and transcripts through
+ *   ECHO_MAX_DELAY_MS       longest echo path looked for (default: 1000)
+ *   ECHO_MARGIN_DB          how much louder than the predicted echo counts as a person (default: 6)
+ *   ECHO_TEXT_MEMORY_MS     how long after speaking transcripts are compared (default: 8000)
+ *   ECHO_TEXT_THRESHOLD     share of a transcript's words the agent just said, in order, to drop it (default: 0.6)
+ */
+
+const env = (name, fallback) => parseFloat(process.env[name] || fallback);
+
+const DEFAULT_ERL_DB = 6;        // assumed echo loss until one is measured
+const ATTENUATION = 0.05;        // -26 dB on suppressed chunks
+const ESTIMATE_EVERY_MS = 1000;
+const MIN_CORRELATION = 0.5;
+
+function energy(pcm) {
+  let sum = 0;
+  const n = Math.floor(pcm.length / 2);
+  for (let i = 0; i < n; i++) {
+    const s = pcm.readInt16LE(i * 2);
+    sum += s * s;
+  }
+  return n ? sum / n : 0;
+}
+
+const toDb = (ratio) => 10 * Math.log10(ratio);
+const fromDb = (db) => Math.pow(10, db / 10);
+
+// Lowercased words; CJK characters count as words of their own
+function words(text) {
+  return (text.toLowerCase().match(/[\u4e00-\u9fff]|[\p{L}\p{N}']+/gu) || []);
+}
+
+// Longest common subsequence of two word lists
+function lcs(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+export class EchoSuppressor {
+  constructor({
+    sampleRate = 8000,
+    enabled = process.env.ECHO_SUPPRESSION !== 'false',
+    maxDelayMs = env('ECHO_MAX_DELAY_MS', 1000),
+    marginDb = env('ECHO_MARGIN_DB', 6),
+    textMemoryMs = env('ECHO_TEXT_MEMORY_MS', 8000),
+    textThreshold = env('ECHO_TEXT_THRESHOLD', 0.6),
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.enabled = enabled;
+    this.maxDelayMs = maxDelayMs;
+    this.margin = fromDb(marginDb);
+    this.textMemoryMs = textMemoryMs;
+    this.textThreshold = textThreshold;
+
+    this.refs = [];        // { at, energy } of played chunks, last maxDelay + a window
+    this.inbound = [];     // { at, energy } of inbound chunks, same span
+    this.delayMs = null;   // measured echo path delay
+    this.erl = fromDb(DEFAULT_ERL_DB); // echo return loss (reference / echo energy)
+    this.lastEstimate = 0;
+    this.spoken = [];      // { words, until } the agent's recent speech
+    this.suppressed = 0;
+    this.passed = 0;
+  }
+
+  /**
+   * What the agent played, as 16-bit PCM at sampleRate.
+   */
+  reference(pcm, at = Date.now()) {
+    this.refs.push({ at, energy: energy(pcm) });
+    this.trim(this.refs, at);
+  }
+
+  /**
+   * Inbound 16-bit PCM → the same with the agent's echo attenuated.
+   */
+  process(pcm, at = Date.now()) {
+    const e = energy(pcm);
+    this.inbound.push({ at, energy: e });
+    this.trim(this.inbound, at);
+    if (!this.enabled || !this.refs.length) return pcm;
+
+    if (at - this.lastEstimate >= ESTIMATE_EVERY_MS) {
+      this.lastEstimate = at;
+      this.estimate();
+    }
+
+    // Loudest thing the agent played that could be echoing back right now
+    const from = this.delayMs === null ? at - this.maxDelayMs : at - this.delayMs - 40;
+    const to = this.delayMs === null ? at : at - this.delayMs + 40;
+    let ref = 0;
+    for (const r of this.refs) {
+      if (r.at >= from && r.at <= to && r.energy > ref) ref = r.energy;
+    }
+    if (ref === 0 || e > ref / this.erl * this.margin) {
+      this.passed++;
+      return pcm;
+    }
+
+    this.suppressed++;
+    const out = Buffer.alloc(pcm.length);
+    for (let i = 0; i + 1 < pcm.length; i += 2) out.writeInt16LE(Math.round(pcm.readInt16LE(i) * ATTENUATION), i);
+    return out;
+  }
+
+  trim(list, now) {
+    const keep = now - this.maxDelayMs - 3000;
+    while (list.length && list[0].at < keep) list.shift();
+  }
+
+  /**
+   * Line up inbound and reference energy over the last few seconds. A clear
+   * peak gives the echo delay; the median level ratio there gives the loss.
+   */
+  estimate() {
+    const step = 20;
+    const end = this.inbound.length ? this.inbound[this.inbound.length - 1].at : 0;
+    const start = end - 3000;
+    const bins = Math.floor(3000 / step);
+    const bin = (list, offset) => {
+      const out = new Float64Array(bins);
+      for (const { at, energy: e } of list) {
+        const i = Math.floor((at + offset - start) / step);
+        if (i >= 0 && i < bins) out[i] = Math.max(out[i], e);
+      }
+      return out;
+    };
+    const logOf = (bins) => bins.map(e => toDb(e + 1));
+    const inbound = bin(this.inbound, 0);
+    const inboundDb = logOf(inbound);
+
+    let best = { corr: 0, lag: null, ref: null };
+    for (let lag = 0; lag <= this.maxDelayMs; lag += step) {
+      const ref = bin(this.refs, lag);
+      const corr = correlation(logOf(ref), inboundDb);
+      if (corr > best.corr) best = { corr, lag, ref };
+    }
+    if (best.corr < MIN_CORRELATION) return;
+
+    const ratios = [];
+    for (let i = 0; i < bins; i++) {
+      if (best.ref[i] > 0 && inbound[i] > 0) ratios.push(best.ref[i] / inbound[i]);
+    }
+    if (ratios.length < 10) return;
+    ratios.sort((a, b) => a - b);
+    this.delayMs = best.lag;
+    this.erl = Math.max(1, ratios[Math.floor(ratios.length / 2)]);
+  }
+
+  /**
+   * The agent is about to say `text` (durationMs if known, else estimated).
+   */
+  said(text, { durationMs, at = Date.now() } = {}) {
+    const w = words(text);
+    if (!w.length) return;
+    const speakMs = durationMs ?? w.length * 400;
+    this.spoken.push({ words: w, until: at + speakMs + this.textMemoryMs });
+  }
+
+  /**
+   * Does this transcript repeat what the agent just said?
+   */
+  isEcho(text, at = Date.now()) {
+    if (!this.enabled) return false;
+    this.spoken = this.spoken.filter(s => s.until >= at);
+    const heard = words(text);
+    // A one-word reply ("yes") is too likely to be a real answer
+    if (heard.length < 2) return false;
+    return this.spoken.some(s => lcs(heard, s.words) / heard.length >= this.textThreshold);
+  }
+
+  stats() {
+    return {
+      delayMs: this.delayMs,
+      erlDb: Math.round(toDb(this.erl) * 10) / 10,
+      suppressed: this.suppressed,
+      passed: this.passed,
+    };
+  }
+}
+
+function correlation(a, b) {
+  const n = a.length;
+  let ma = 0, mb = 0;
+  for (let i = 0; i < n; i++) { ma += a[i]; mb += b[i]; }
+  ma /= n; mb /= n;
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < n; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
@@ -0,0 +1,225 @@
+/**
+ * Meeting etiquette — a talk-time budget for the agent
+ *
+ * An agent that answers everything ends up running the meeting. Speech is
+ * counted on both sides, the agent's (as played) against the participants'
+ * (VAD utterances, or an estimate from the transcript where there is no
+ * audio), and three rules apply before the agent speaks:
+ *
+ *   share       the agent's part of all speech stays under `maxShare`;
+ *               the first `graceMs` are free so it can say hello
+ *   cooldown    unprompted turns (nobody asked the agent) are `cooldownMs` apart
+ *   cross-talk  never start while someone is talking; a prompted reply
+ *               waits up to `crossTalkWaitMs` for them to stop
+ *
+ * A reply that doesn't fit what is left of the budget is cut to the
+ * sentences that do — a prompted one always keeps a brief answer — and an
+ * unprompted one past the budget isn't said at all.
+ *
+ * Usage:
+ *   const talk = new TalkBudget();
+ *   talk.talking();                    // a participant is speaking (VAD start, interim transcript)
+ *   talk.heard(durationMs);            // ... and was heard for this long
+ *   talk.quiet();                      // ... and stopped
+ *   const { action, reason, text } = await talk.check(reply, { prompted: true });
+ *   // action: speak | shorten | skip
+ *   talk.spoke(sentMs);                // the agent spoke for this long
+ *   talk.stats();                      // { agentMs, meetingMs, share, remainingMs, ... }
+ *
+ * Configuration:
+ *   TALK_MAX_SHARE           largest share of all speech the agent may take, 0–1; 1 turns the budget off (default: 0.1)
+ *   TALK_GRACE_MS            agent speech allowed before the share applies (default: 30000)
+ *   TALK_COOLDOWN_MS         minimum time between unprompted turns; 0 turns it off (default: 60000)
+ *   TALK_CROSSTALK_WAIT_MS   how long a prompted reply waits for others to stop talking (default: 5000)
+ */
+
+const env = (name, fallback) => parseFloat(process.env[name] || fallback);
+
+const MS_PER_WORD = 400;       // ~150 words per minute
+const MS_PER_CJK_CHAR = 250;   // ~4 characters per second
+const BRIEF_MS = 8000;         // a prompted reply is never cut below this
+const STALE_TALK_MS = 15000;   // a talking() with no quiet() after this long is over
+const QUIET_POLL_MS = 100;
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`⚖️ Talk: ${msg}`);
+}
+
+/**
+ * Rough time `text` takes to say, for transcripts without audio timing and
+ * for replies before they are spoken.
+ */
+export function speechMs(text) {
+  const t = text || '';
+  const cjk = (t.match(/[\u4e00-\u9fff]/g) || []).length;
+  const words = (t.replace(/[\u4e00-\u9fff]/g, ' ').match(/[\p{L}\p{N}']+/gu) || []).length;
+  return cjk * MS_PER_CJK_CHAR + words * MS_PER_WORD;
+}
+
+/**
+ * The leading sentences of `text` that can be said in `maxMs`; a first
+ * sentence that is too long on its own is cut at a word (CJK: a character).
+ */
+export function shorten(text, maxMs) {
+  const sentences = text.trim().match(/[^.!?。！？]+[.!?。！？]*["'”’)\]]*\s*/g) || [];
+  let out = '';
+  for (const sentence of sentences) {
+    if (speechMs(out + sentence) > maxMs) break;
+    out += sentence;
+  }
+  if (out.trim()) return out.trim();
+
+  const first = (sentences[0] || text).trim();
+  const pieces = first.match(/[\u4e00-\u9fff]|[^\s\u4e00-\u9fff]+\s*|\s+/g) || [];
+  for (const piece of pieces) {
+    if (speechMs(out + piece) > maxMs) break;
+    out += piece;
+  }
+  out = out.trim().replace(/[,，、;；:：]$/, '');
+  return out ? `${out}…` : '';
+}
+
+export class TalkBudget {
+  constructor({
+    maxShare = env('TALK_MAX_SHARE', 0.1),
+    graceMs = env('TALK_GRACE_MS', 30000),
+    cooldownMs = env('TALK_COOLDOWN_MS', 60000),
+    crossTalkWaitMs = env('TALK_CROSSTALK_WAIT_MS', 5000),
+    log = defaultLog,
+  } = {}) {
+    if (!(maxShare > 0 && maxShare <= 1)) throw new Error(`Talk share must be between 0 and 1, got ${maxShare}`);
+    this.maxShare = maxShare;
+    this.graceMs = graceMs;
+    this.cooldownMs = cooldownMs;
+    this.crossTalkWaitMs = crossTalkWaitMs;
+    this.log = log;
+    this.restore();
+    this.talkingSince = null;  // a participant is speaking
+    this.lastVoiceAt = 0;
+  }
+
+  // --- What was said ---
+
+  // A participant is speaking (call again as long as they go on)
+  talking(at = Date.now()) {
+    if (this.talkingSince === null) this.talkingSince = at;
+    this.lastVoiceAt = at;
+  }
+
+  quiet() {
+    this.talkingSince = null;
+  }
+
+  // Participants spoke for `ms`
+  heard(ms) {
+    if (ms > 0) this.meetingMs += ms;
+  }
+
+  // The agent spoke for `ms`
+  spoke(ms) {
+    if (ms > 0) this.agentMs += ms;
+  }
+
+  crossTalk(at = Date.now()) {
+    return this.talkingSince !== null && at - this.lastVoiceAt < STALE_TALK_MS;
+  }
+
+  get share() {
+    const total = this.agentMs + this.meetingMs;
+    return total ? this.agentMs / total : 0;
+  }
+
+  // Agent speech still allowed before the share is exceeded
+  get remainingMs() {
+    if (this.maxShare >= 1) return Infinity;
+    const allowed = Math.max(this.graceMs, this.meetingMs * this.maxShare / (1 - this.maxShare));
+    return Math.max(0, allowed - this.agentMs);
+  }
+
+  // --- Before speaking ---
+
+  /**
+   * May the agent say `text` now? `prompted`: it was asked (addressed, or
+   * answering a reply to it). Resolves to { action, reason, text }, where
+   * `text` is what to say (shortened, or null when skipped).
+   */
+  async check(text, { prompted = false } = {}) {
+    const verdict = await this.verdict(text, prompted);
+    this.log('info', `${verdict.action} — ${verdict.reason} (${prompted ? 'prompted' : 'unprompted'}, share ${(this.share * 100).toFixed(1)}%)`);
+    if (verdict.action === 'skip') this.skipped++;
+    else {
+      if (verdict.action === 'shorten') this.shortened++;
+      this.turns++;
+      if (!prompted) {
+        this.unpromptedTurns++;
+        this.lastUnpromptedAt = Date.now();
+      }
+    }
+    return verdict;
+  }
+
+  async verdict(text, prompted) {
+    const skip = (reason) => ({ action: 'skip', reason, text: null });
+
+    if (!prompted && this.lastUnpromptedAt && Date.now() - this.lastUnpromptedAt < this.cooldownMs) {
+      return skip(`cooldown (${Math.ceil((this.cooldownMs - (Date.now() - this.lastUnpromptedAt)) / 1000)}s left)`);
+    }
+    if (this.crossTalk()) {
+      if (!prompted || !await this.whenQuiet(this.crossTalkWaitMs)) return skip('cross-talk');
+    }
+
+    const remaining = this.remainingMs;
+    const needed = speechMs(text);
+    if (needed <= remaining) return { action: 'speak', reason: 'within budget', text };
+    if (!prompted && remaining <= 0) return skip('over budget');
+
+    const short = shorten(text, prompted ? Math.max(remaining, BRIEF_MS) : remaining);
+    if (!short) return skip('over budget');
+    if (short === text.trim()) return { action: 'speak', reason: 'brief answer over budget', text };
+    return { action: 'shorten', reason: `${(remaining / 1000).toFixed(1)}s of budget left`, text: short };
+  }
+
+  // Resolves true once nobody is talking, false after `maxMs`
+  async whenQuiet(maxMs) {
+    const deadline = Date.now() + maxMs;
+    while (this.crossTalk()) {
+      if (Date.now() >= deadline) return false;
+      await new Promise(r => setTimeout(r, QUIET_POLL_MS));
+    }
+    return true;
+  }
+
+  // --- Metrics ---
+
+  stats() {
+    return {
+      agentMs: Math.round(this.agentMs),
+      meetingMs: Math.round(this.meetingMs),
+      share: Math.round(this.share * 1000) / 1000,
+      maxShare: this.maxShare,
+      remainingMs: Number.isFinite(this.remainingMs) ? Math.round(this.remainingMs) : null,
+      turns: this.turns,
+      unpromptedTurns: this.unpromptedTurns,
+      shortened: this.shortened,
+      skipped: this.skipped,
+      lastUnpromptedAt: this.lastUnpromptedAt ? new Date(this.lastUnpromptedAt).toISOString() : null,
+      crossTalk: this.crossTalk(),
+    };
+  }
+
+  toJSON() {
+    const { agentMs, meetingMs, turns, unpromptedTurns, shortened, skipped, lastUnpromptedAt } = this;
+    return { agentMs, meetingMs, turns, unpromptedTurns, shortened, skipped, lastUnpromptedAt };
+  }
+
+  // Carry the counts across a bridge restart
+  restore(saved = {}) {
+    this.agentMs = saved.agentMs || 0;
+    this.meetingMs = saved.meetingMs || 0;
+    this.turns = saved.turns || 0;
+    this.unpromptedTurns = saved.unpromptedTurns || 0;
+    this.shortened = saved.shortened || 0;
+    this.skipped = saved.skipped || 0;
+    this.lastUnpromptedAt = saved.lastUnpromptedAt || null;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Thinking cues — short spoken fillers while the brain is slow
+ *
+ * A brain / tool call can take many seconds, and on a phone line silence
+ * sounds like a dropped call. Once a call has run `ackMs` the agent says a
+ * short acknowledgement in the speaker's language ("let me check that");
+ * if it is still going `progressMs` later, a progress cue ("still on it"),
+ * and one more after another `progressMs`. Phrases rotate so the same one
+ * is never heard twice in a row.
+ *
+ * The answer always wins: done() cancels whatever hasn't been said yet and
+ * resolves once a cue already playing has finished, so the real answer
+ * never gets cut off by (or talked over by) a filler.
+ *
+ * Usage:
+ *   const cues = new ThinkingCues({ speak: (text) => say(text), isSpeaking: () => speaking });
+ *   const thinking = cues.start(userText);   // the language is taken from it
+ *   try { answer = await brain(userText); } finally { await thinking.done(); }
+ *   say(answer);
+ *
+ * Configuration:
+ *   FILLER                set to "false" to wait in silence
+ *   FILLER_ACK_MS         call time before the acknowledgement (default: 2500)
+ *   FILLER_PROGRESS_MS    time between progress cues after that (default: 8000)
+ */
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback);
+
+export const CUES = {
+  en: {
+    ack: [
+      'Let me check that.',
+      'One moment.',
+      'Good question, let me look into it.',
+      'Give me a second.',
+      'Let me find out.',
+      'Sure, checking now.',
+    ],
+    progress: [
+      'Still working on it.',
+      'Almost there, bear with me.',
+      'This is taking a moment, hang on.',
+      'Still checking, just a few more seconds.',
+    ],
+  },
+  zh: {
+    ack: [
+      '我查一下。',
+      '稍等一下。',
+      '好问题，我看看。',
+      '让我想一想。',
+      '好的，马上查。',
+    ],
+    progress: [
+      '还在查，请稍等。',
+      '马上就好。',
+      '再给我几秒钟。',
+      '还在处理，稍等片刻。',
+    ],
+  },
+};
+
+const QUIET_POLL_MS = 100;
+const RETRY_MS = 1000;     // a cue due while something is playing waits this long
+const MAX_PROGRESS = 2;    // progress cues per call, after the acknowledgement
+const MAX_CUE_MS = 6000;   // never hold an answer longer than this for a cue
+
+// Chinese if the speaker used any Han characters, else English
+export function cueLanguage(text) {
+  return /[\u4e00-\u9fff]/.test(text || '') ? 'zh' : 'en';
+}
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`⏳ ${msg}`);
+}
+
+export class ThinkingCues {
+  /**
+   * @param speak       (text) => void | Promise — plays a cue
+   * @param isSpeaking  () => boolean — is anything playing right now
+   */
+  constructor({
+    speak,
+    isSpeaking = () => false,
+    enabled = process.env.FILLER !== 'false',
+    ackMs = env('FILLER_ACK_MS', 2500),
+    progressMs = env('FILLER_PROGRESS_MS', 8000),
+    cues = CUES,
+    random = Math.random,
+    log = defaultLog,
+  }) {
+    this.speak = speak;
+    this.isSpeaking = isSpeaking;
+    this.enabled = enabled;
+    this.ackMs = ackMs;
+    this.progressMs = progressMs;
+    this.cues = cues;
+    this.random = random;
+    this.log = log;
+    this.last = {};            // `${lang}.${kind}` → last phrase said
+  }
+
+  // A phrase of `kind`, never the one said last time
+  pick(lang, kind) {
+    const phrases = (this.cues[lang] || this.cues.en)[kind];
+    const key = `${lang}.${kind}`;
+    const choices = phrases.length > 1 ? phrases.filter(p => p !== this.last[key]) : phrases;
+    const phrase = choices[Math.floor(this.random() * choices.length)];
+    this.last[key] = phrase;
+    return phrase;
+  }
+
+  /**
+   * A brain / tool call for `text` has started. Returns { done, said }:
+   * done() stops further cues and waits out one that is playing.
+   */
+  start(text) {
+    const lang = cueLanguage(text);
+    const startedAt = Date.now();
+    let timer = null;
+    let finished = false;
+    let lastCueAt = null;
+    const said = [];
+
+    const say = (kind) => {
+      if (finished) return;
+      // Something is playing already — try again shortly
+      if (this.isSpeaking()) {
+        timer = setTimeout(() => say(kind), RETRY_MS);
+        return;
+      }
+      const phrase = this.pick(lang, kind);
+      said.push(phrase);
+      lastCueAt = Date.now();
+      this.log('info', `${kind === 'ack' ? 'Acknowledging' : 'Still thinking'} after ${((lastCueAt - startedAt) / 1000).toFixed(1)}s: "${phrase}"`);
+      Promise.resolve(this.speak(phrase)).catch(err => this.log('warn', `Cue failed: ${err.message}`));
+      if (said.length <= MAX_PROGRESS) timer = setTimeout(() => say('progress'), this.progressMs);
+    };
+
+    if (this.enabled) timer = setTimeout(() => say('ack'), this.ackMs);
+
+    const done = async () => {
+      finished = true;
+      clearTimeout(timer);
+      // Let a cue that is playing finish rather than cutting into it
+      if (lastCueAt === null) return;
+      const deadline = lastCueAt + MAX_CUE_MS;
+      while (this.isSpeaking() && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, QUIET_POLL_MS));
+      }
+    };
+
+    return { done, said };
+  }
+}
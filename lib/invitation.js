@@ -0,0 +1,200 @@
+/**
+ * Meeting invitation parser (Zoom, Microsoft Teams, Google Meet, Webex)
+ *
+ * Accepts a pasted invitation, a join URL or an ICS file / DESCRIPTION,
+ * works out which platform it is for (which picks the IVR profile in
+ * lib/ivr.js) and pulls out what the phone leg needs:
+ *
+ *   {
+ *     platform:      'zoom',          // zoom | teams | meet | webex
+ *     meetingId:     '85246483135',   // Teams conference ID / Meet PIN / Webex access code
+ *     passcode:      '123456',        // numeric phone passcode (not the pwd= hash)
+ *     participantId: '',
+ *     joinUrl:       'https://us02web.zoom.us/j/85246483135?pwd=...',
+ *     dialIns: [{ number: '+16699009128', location: 'US (San Jose)', country: 'US', city: 'San Jose' }, ...],
+ *   }
+ */
+
+import { existsSync, readFileSync } from 'fs';
+
+// Join URLs, also the strongest hint of the platform
+const JOIN_URLS = {
+  teams: /https?:\/\/teams\.(?:microsoft|live)\.com\/[^\s"'<>]+/i,
+  meet: /(?:https?:\/\/)?meet\.google\.com\/[a-z]+(?:-[a-z]+)+/i,
+  webex: /https?:\/\/[\w.-]*webex\.com\/[^\s"'<>]+/i,
+  zoom: /https?:\/\/[\w.-]*zoom(?:gov)?\.(?:us|com)\/[^\s"'<>]+/i,
+};
+
+// Wording that gives the platform away when there is no URL
+const PLATFORM_HINTS = {
+  teams: /Microsoft Teams|Phone conference ID/i,
+  meet: /Google Meet|meet\.google\.com/i,
+  webex: /Webex|access code\)/i,
+  zoom: /Zoom meeting|zoom\.us/i,
+};
+
+// Meeting ID label per platform
+const ID_LABELS = {
+  zoom: /(?:Meeting|Webinar) ID[:\s]+([\d ]{9,14}\d)/i,
+  teams: /Phone conference ID[:\s]+([\d ]{5,20}\d)/i,
+  meet: /PIN[:\s]+([\d ]{8,18}\d)/i,
+  webex: /(?:Meeting number|Access code)(?: \(access code\))?[:\s]+([\d ]{8,14}\d)/i,
+};
+
+// ICS: unfold continuation lines, unescape text values
+function unfoldIcs(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+function digits(str) {
+  return (str || '').replace(/\D/g, '');
+}
+
+// "+1 669 900 9128" → "+16699009128"
+function normalizeNumber(str) {
+  return '+' + digits(str);
+}
+
+// "US (San Jose)" → { country: 'US', city: 'San Jose' }
+// Teams lists "United States, Los Angeles" instead
+function splitLocation(location) {
+  const comma = location.match(/^([A-Za-z .]+),\s*([A-Za-z .]+)$/);
+  if (comma) return { country: comma[1].trim(), city: comma[2].trim() };
+  const match = location.match(/^([A-Za-z .]+?)\s*(?:\(([^)]+)\))?$/);
+  if (!match) return { country: '', city: '' };
+  return { country: match[1].trim(), city: (match[2] || '').trim() };
+}
+
+function addDialIn(list, number, location = '') {
+  // Webex: "Call-in toll number (US/Canada)" → "US/Canada"
+  location = location
+    .replace(/^call-in (toll(-free)? )?number\s*/i, '')
+    .replace(/^\((.*)\)$/, '$1')
+    .trim();
+  const normalized = normalizeNumber(number);
+  if (digits(normalized).length < 8) return;
+  const existing = list.find(d => d.number === normalized);
+  if (existing) {
+    if (!existing.location && location) Object.assign(existing, { location, ...splitLocation(location) });
+    return;
+  }
+  list.push({ number: normalized, location, ...splitLocation(location) });
+}
+
+/**
+ * Which platform an invitation is for: the join URL decides, then telltale
+ * wording. Plain meeting IDs default to Zoom.
+ */
+export function detectPlatform(text) {
+  const platforms = Object.keys(JOIN_URLS);
+  return platforms.find(p => JOIN_URLS[p].test(text)) ||
+    platforms.find(p => PLATFORM_HINTS[p].test(text)) ||
+    'zoom';
+}
+
+/**
+ * Parse invitation text, a join URL or ICS content.
+ */
+export function parseInvitation(input) {
+  // Meet / Google Calendar wrap numbers in bidi marks: "‪+1 413-438-5234‬"
+  let text = String(input || '').replace(/[\u200e\u200f\u202a-\u202e]/g, '');
+  if (/BEGIN:VCALENDAR|BEGIN:VEVENT|^DESCRIPTION[;:]/m.test(text)) text = unfoldIcs(text);
+
+  const platform = detectPlatform(text);
+  const result = { platform, meetingId: '', passcode: '', participantId: '', joinUrl: '', dialIns: [] };
+
+  const url = text.match(JOIN_URLS[platform]);
+  if (url) result.joinUrl = url[0].replace(/[.,;)]+$/, '').replace(/^(?!https?:)/, 'https://');
+
+  // Zoom join URL: /j/<id>, /w/<id> (webinar), /wc/join/<id>, or ?confno=<id>
+  if (platform === 'zoom' && result.joinUrl) {
+    const id = result.joinUrl.match(/\/(?:j|w|s|wc\/join)\/(\d{9,11})|[?&]confno=(\d{9,11})/);
+    if (id) result.meetingId = id[1] || id[2];
+  }
+
+  // One tap mobile: +16699009128,,85246483135#,,,,*123456# US (San Jose)
+  // (older invites: ...#,,,,,,0#,,123456# — participant skip, then passcode)
+  // Teams: +1 323-849-4874,,123456789#  United States, Los Angeles
+  // Webex: +1-650-479-3208,,25501234567## Call-in toll number (US/Canada)
+  for (const m of text.matchAll(/(\+\d[\d -]{7,}\d),,(\d{6,15})#+([,*\d#]*)[ \t]*([^\n]*)/g)) {
+    result.meetingId ||= m[2];
+    const tail = m[3].split(',').filter(Boolean);
+    const starred = tail.find(t => t.startsWith('*'));
+    const code = starred ? digits(starred) : tail.length > 1 ? digits(tail[tail.length - 1]) : '';
+    if (code) result.passcode ||= code;
+    addDialIn(result.dialIns, m[1], m[4].trim());
+  }
+
+  // Labelled fields. A Teams "Meeting ID" is the 12-digit app ID, not the
+  // phone conference ID, so each platform only trusts its own label.
+  const meetingId = text.match(ID_LABELS[platform]);
+  if (meetingId) result.meetingId ||= digits(meetingId[1]);
+
+  // Only a numeric passcode can be typed on the phone keypad; the first
+  // "Passcode:" in an invite is often the alphanumeric one for the app.
+  // Teams and Meet never ask for one on the phone.
+  if (platform === 'zoom' || platform === 'webex') {
+    for (const m of text.matchAll(/(?:numeric |phone |meeting )?(?:passcode|password)[:\s]+([^\s]+)/gi)) {
+      if (/^\d+$/.test(m[1]) && !result.passcode) result.passcode = m[1];
+    }
+    // Webex: "Meeting password: HyE3bKp3 (49332573 from phones and video systems)"
+    const fromPhones = text.match(/\((\d+) from (?:phones|video)/i);
+    if (fromPhones) result.passcode ||= fromPhones[1];
+  }
+
+  const participantId = text.match(/(?:participant|attendee) ID[:\s]+(\d+)/i);
+  if (participantId) result.participantId = participantId[1];
+
+  // "Dial by your location" block: one number per line, location after it
+  const dialSection = text.split(/Dial by your location/i)[1];
+  if (dialSection) {
+    for (const line of dialSection.split('\n')) {
+      if (/Meeting ID|Find your local number|Join by (SIP|H\.323)|Passcode/i.test(line)) break;
+      const m = line.match(/^[\s•*-]*(\+[\d ]{8,}\d)\s*(.*)$/);
+      if (m) addDialIn(result.dialIns, m[1], m[2].trim());
+    }
+  }
+
+  // Other platforms list plain numbers under "Join by phone" / "Call in":
+  //   (US) +1 413-438-5234 PIN: 612 286 919#
+  //   +1-650-479-3208 Call-in toll number (US/Canada)
+  if (platform !== 'zoom') {
+    for (const m of text.matchAll(/^[\s•*-]*(?:\(([A-Z]{2})\)\s*)?(\+\d[\d ()-]{7,}\d)(?![\d,])[ \t]*([^\n]*)$/gm)) {
+      const pin = m[3].match(/PIN[:\s]+([\d ]+\d)/i);
+      if (pin) result.meetingId ||= digits(pin[1]);
+      addDialIn(result.dialIns, m[2], m[1] || m[3].replace(/PIN[:\s]+[\d ]+#?/i, '').trim());
+    }
+  }
+
+  return result;
+}
+
+/**
+ * CLI helper: '-' reads stdin, an existing path reads the file, anything
+ * else is taken as the invitation text itself.
+ */
+export function loadInvitation(arg) {
+  if (arg === '-') return readFileSync(0, 'utf-8');
+  if (arg.length < 1024 && !arg.includes('\n') && existsSync(arg)) return readFileSync(arg, 'utf-8');
+  return arg;
+}
+
+/**
+ * Resolve meeting details from agent CLI args. Explicit -m / -p / -P /
+ * --platform win over whatever -i / --invite (text, URL, file or '-') provides.
+ */
+export function meetingFromArgs(args) {
+  const flag = (...names) => args.find((_, i) => names.includes(args[i - 1]));
+  const invite = flag('-i', '--invite');
+  const parsed = invite ? parseInvitation(loadInvitation(invite)) : parseInvitation('');
+  return {
+    ...parsed,
+    meetingId: digits(flag('-m', '--meeting-id')) || parsed.meetingId,
+    passcode: flag('-p', '--passcode') || parsed.passcode,
+    participantId: flag('-P', '--participant-id') || parsed.participantId,
+    platform: flag('--platform') || parsed.platform,
+  };
+}
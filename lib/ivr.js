@@ -0,0 +1,503 @@
+/**
+ * Prompt-driven IVR navigation for meeting dial-in (Zoom, Microsoft Teams,
+ * Google Meet, Webex).
+ *
+ * Instead of sleeping a fixed time between DTMF groups, the navigator runs
+ * Telnyx transcription on the inbound track while the call is in the IVR and
+ * answers each prompt as it is heard. The old fixed delays survive only as
+ * fallbacks for when a prompt is never recognised (transcription down,
+ * unexpected wording).
+ *
+ * What differs between platforms lives in an IVR profile: the prompts, the
+ * digit entry steps in order, the terminator and the meeting ID length.
+ * Pass a key of IVR_PROFILES, or a profile object of the same shape.
+ *
+ * Usage:
+ *   const ivr = new IVRNavigator({ api, callControlId, meetingId, passcode, participantId, profile: 'teams' });
+ *   // forward every Telnyx webhook: ivr.handleEvent(eventType, payload)
+ *   await ivr.join(); // resolves once in the meeting, rejects on failure
+ */
+
+import { EventEmitter } from 'events';
+
+// Generic rejections, shared by every profile
+const INVALID = /does not exist|invalid|incorrect|not valid|not recognized/i;
+const RECORD_NAME = /(say|record) your name|name after the tone/i;
+
+/**
+ * Per-platform IVR profiles
+ *
+ *   steps       digit entry steps in the order the IVR asks for them
+ *               (MEETING_ID | PARTICIPANT_ID | PASSCODE)
+ *   terminator  key that ends each entry; sent alone to skip an optional one
+ *   idDigits    [min, max] length of the meeting ID / conference ID / PIN
+ *   muteToggle  DTMF that mutes / unmutes the phone line in the meeting
+ *   patterns    prompt key → RegExp; a profile only lists what its IVR says
+ */
+export const IVR_PROFILES = {
+  zoom: {
+    name: 'Zoom',
+    steps: ['MEETING_ID', 'PARTICIPANT_ID', 'PASSCODE'],
+    terminator: '#',
+    idDigits: [9, 11],
+    muteToggle: '*6',
+    patterns: {
+      MEETING_ID: /enter.*(meeting|conference).*(id|number)|meeting id followed by/i,
+      PARTICIPANT_ID: /participant.*(id|number)|attendee.*(id|number)/i,
+      PASSCODE: /passcode|password|pin/i,
+      CONNECTED: /entering the meeting|host has started|please wait|you are now|joining/i,
+      INVALID,
+      WELCOME: /welcome to zoom/i,
+      // Failure / holding announcements
+      INVALID_MEETING_ID: /meeting (id|number) (is )?(not valid|invalid)|(invalid|not a valid) meeting (id|number)|meeting .*does not exist/i,
+      BAD_PASSCODE: /(passcode|password|pin).*(incorrect|wrong|invalid|not valid)|(incorrect|wrong|invalid) (meeting )?(passcode|password|pin)/i,
+      WAITING_ROOM: /host will (let|admit) you|waiting room|let you in soon/i,
+      WAITING_FOR_HOST: /wait(ing)? for the host to start|(host|meeting) has not (yet )?started|host to join/i,
+    },
+  },
+
+  // "Phone conference ID: 123 456 789#" — no participant ID or passcode on the phone
+  teams: {
+    name: 'Microsoft Teams',
+    steps: ['MEETING_ID'],
+    terminator: '#',
+    idDigits: [6, 15],
+    muteToggle: '*6',
+    patterns: {
+      MEETING_ID: /conference id|enter.*(meeting|conference).*(id|number)/i,
+      CONNECTED: /(you are|you're) now (in|joining)|(joining|entering) the (meeting|conference)|(you have|you've) joined/i,
+      INVALID,
+      RECORD_NAME,
+      WELCOME: /microsoft teams|welcome/i,
+      INVALID_MEETING_ID: /(conference|meeting) id.*(not valid|invalid|incorrect|not recognized|be found)|(can't|cannot|couldn't|could not) find (that|the|your) (conference|meeting)/i,
+      WAITING_ROOM: /lobby|(someone|somebody) (in the meeting )?(will|to) (let|admit) you|notified (others|the organizer|people)/i,
+      WAITING_FOR_HOST: /meeting (hasn't|has not) (yet )?started|organizer (hasn't|has not) (yet )?joined/i,
+    },
+  },
+
+  // "Join by phone (US) +1 413-438-5234 PIN: 612 286 919#"
+  meet: {
+    name: 'Google Meet',
+    steps: ['MEETING_ID'],
+    terminator: '#',
+    idDigits: [9, 13],
+    muteToggle: '*6',
+    patterns: {
+      MEETING_ID: /enter.*pin|pin.*(followed by|then press)/i,
+      CONNECTED: /(you are|you're) (now )?(joining|in) the (meeting|call)|joining the (meeting|call)|(you have|you've) (been )?(joined|admitted)/i,
+      INVALID,
+      WELCOME: /google meet|welcome to meet/i,
+      INVALID_MEETING_ID: /pin.*(not valid|invalid|incorrect|not recognized)|(invalid|incorrect) pin|meeting.*(does not|doesn't) exist/i,
+      // Nobody else being in the call still means we joined, so no WAITING_FOR_HOST
+      WAITING_ROOM: /ask(ing)? to join|(someone|somebody) (in the (meeting|call) )?(will|to) (let|admit) you|let you in/i,
+    },
+  },
+
+  // "Meeting number (access code): 2550 123 4567", optional attendee ID, numeric password
+  webex: {
+    name: 'Webex',
+    steps: ['MEETING_ID', 'PARTICIPANT_ID', 'PASSCODE'],
+    terminator: '#',
+    idDigits: [9, 11],
+    muteToggle: '*6',
+    patterns: {
+      MEETING_ID: /enter.*(meeting number|access code)|(meeting number|access code).*followed by/i,
+      PARTICIPANT_ID: /attendee (id|number)/i,
+      PASSCODE: /password|passcode/i,
+      CONNECTED: /you are (now )?(joining|in) the meeting|entering the meeting|joined the meeting|there (is|are) (currently )?\w+ other/i,
+      INVALID,
+      RECORD_NAME,
+      WELCOME: /webex/i,
+      INVALID_MEETING_ID: /(meeting number|access code).*(not valid|invalid|incorrect)|(invalid|incorrect) (meeting number|access code)|meeting .*does not exist/i,
+      BAD_PASSCODE: /(password|passcode).*(incorrect|wrong|invalid|not valid)|(incorrect|wrong|invalid) (meeting )?(password|passcode)/i,
+      WAITING_ROOM: /lobby|host will (let|admit) you|admit you/i,
+      WAITING_FOR_HOST: /host has not (yet )?(joined|started)|wait(ing)? for the host|meeting has not (yet )?started/i,
+    },
+  },
+};
+
+// Zoom prompts, kept under their old name for the Retell server
+export const IVR_PATTERNS = IVR_PROFILES.zoom.patterns;
+
+/**
+ * Resolve a profile key ('zoom', 'teams', 'meet', 'webex') or pass a
+ * custom profile object through.
+ */
+export function getIVRProfile(profile = 'zoom') {
+  if (typeof profile === 'object') return profile;
+  const found = IVR_PROFILES[profile];
+  if (!found) throw new Error(`Unknown IVR profile: ${profile} (expected one of ${Object.keys(IVR_PROFILES).join(', ')})`);
+  return found;
+}
+
+// Order matters: "incorrect passcode" must be BAD_PASSCODE, not PASSCODE,
+// "please wait, the host will let you in" must not count as CONNECTED, and
+// "enter your participant ID" must not fall through to MEETING_ID.
+const PROMPT_PRIORITY = [
+  'BAD_PASSCODE', 'INVALID_MEETING_ID', 'INVALID',
+  'WAITING_ROOM', 'WAITING_FOR_HOST', 'RECORD_NAME',
+  'CONNECTED', 'PARTICIPANT_ID', 'PASSCODE', 'MEETING_ID', 'WELCOME',
+];
+
+// Telnyx hangup_cause → failure reason, for calls that never reached the IVR
+const HANGUP_REASONS = {
+  user_busy: 'BUSY',
+  timeout: 'NO_ANSWER',
+  call_rejected: 'DIAL_ERROR',
+  not_found: 'DIAL_ERROR',
+};
+
+/**
+ * Classify an IVR utterance against a profile's prompts.
+ * Returns a prompt key (MEETING_ID, CONNECTED, …) or null.
+ */
+export function matchPrompt(text, profile = 'zoom') {
+  if (!text) return null;
+  const { patterns } = getIVRProfile(profile);
+  return PROMPT_PRIORITY.find(key => patterns[key]?.test(text)) || null;
+}
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`📟 IVR: ${msg}`);
+}
+
+/**
+ * IVR state machine
+ *
+ * States: ANSWERED → ENTER_<step> for each of the profile's steps → IN_MEETING
+ *   (Zoom / Webex: ENTER_MEETING_ID → ENTER_PARTICIPANT_ID → ENTER_PASSCODE;
+ *    Teams / Meet: ENTER_MEETING_ID only)
+ * Holding: WAITING_ROOM | WAITING_FOR_HOST
+ * Failure reasons (`failed` event): BUSY | NO_ANSWER | DIAL_ERROR | HANGUP |
+ *   INVALID_MEETING_ID | BAD_PASSCODE | WAITING_ROOM_TIMEOUT |
+ *   WAITING_FOR_HOST_TIMEOUT | IVR_LOOP
+ */
+export class IVRNavigator extends EventEmitter {
+  constructor({ api, callControlId, meetingId, passcode, participantId, profile = 'zoom', language = 'en', timeouts = {}, log = defaultLog }) {
+    super();
+    this.api = api;
+    this.callControlId = callControlId;
+    this.profile = getIVRProfile(profile);
+    this.meetingId = (meetingId || '').replace(/\D/g, '');
+    this.passcode = (passcode || '').replace(/\D/g, '');
+    // Links the phone leg to a signed-in user (Zoom participant ID, Webex attendee ID)
+    this.participantId = (participantId || '').replace(/\D/g, '');
+    this.language = language;
+    this.log = log;
+
+    const [minDigits, maxDigits] = this.profile.idDigits;
+    if (this.meetingId.length < minDigits || this.meetingId.length > maxDigits) {
+      this.log('warn', `${this.profile.name} meeting IDs have ${minDigits}-${maxDigits} digits, got ${this.meetingId.length}`);
+    }
+
+    this.state = 'IDLE';
+    this.transcribing = false;
+    this.lastPrompt = null;
+    this.lastPromptAt = 0;
+    this.promptCounts = {};
+    this.rejections = { meetingId: 0, passcode: 0 };
+    this.failure = null;
+    this.stopped = false;
+    this._fallbackTimer = null;
+
+    // Fallbacks (ms) — only used when the expected prompt is never heard
+    this.timeouts = {
+      greeting: 15000,       // Answer → meeting ID prompt
+      participantId: 8000,   // Meeting ID sent → participant / attendee ID prompt
+      passcode: 5000,        // Previous step sent / skipped → passcode prompt
+      joinConfirm: 8000,     // Last digits sent → "entering the meeting"
+      repeatGuard: 3000,     // Ignore the same prompt transcribed twice
+      waitingRoom: 600000,   // Give up if not admitted from the waiting room
+      waitingForHost: 900000, // Give up if the host never starts the meeting
+      ...timeouts,
+    };
+
+    // Re-entries allowed before giving up
+    this.limits = {
+      meetingIdRetries: 1,   // "meeting ID is not valid" → resend once (DTMF may have been garbled)
+      passcodeRetries: 1,    // "passcode is incorrect" → resend once
+      promptRepeats: 3,      // Same prompt heard this many times → IVR_LOOP
+    };
+  }
+
+  setState(newState) {
+    const oldState = this.state;
+    if (oldState === newState) return;
+    this.state = newState;
+    this.emit('state', { from: oldState, to: newState });
+  }
+
+  /**
+   * Resolves when the meeting is joined, rejects with { reason } on failure.
+   * Navigation starts on the `call.answered` webhook.
+   */
+  join() {
+    if (!this._joinPromise) {
+      this._joinPromise = new Promise((resolve, reject) => {
+        this.once('joined', resolve);
+        this.once('failed', reject);
+      });
+    }
+    return this._joinPromise;
+  }
+
+  // Feed Telnyx webhook events
+  handleEvent(eventType, payload) {
+    if (this.stopped) return;
+
+    switch (eventType) {
+      case 'call.answered':
+        if (this.state === 'IDLE') this.onAnswered();
+        break;
+
+      case 'call.transcription': {
+        const data = payload?.transcription_data;
+        const text = data?.transcript?.trim();
+        if (text && data.is_final !== false) this.handleTranscript(text);
+        break;
+      }
+
+      case 'call.hangup':
+        if (this.state === 'IN_MEETING' || this.state === 'FAILED') break;
+        if (this.state === 'IDLE') {
+          this.fail(HANGUP_REASONS[payload?.hangup_cause] || 'DIAL_ERROR', { hungUp: true });
+        } else {
+          this.fail('HANGUP', { hungUp: true });
+        }
+        break;
+    }
+  }
+
+  async onAnswered() {
+    this.setState('ANSWERED');
+    const [first] = this.profile.steps;
+    this.armFallback(this.timeouts.greeting, () => this.enterStep(first));
+
+    try {
+      await this.api('POST', `/calls/${this.callControlId}/actions/transcription_start`, {
+        language: this.language,
+        transcription_engine: 'B',
+        transcription_tracks: 'inbound',
+      });
+      this.transcribing = true;
+      this.log('info', 'Listening for IVR prompts');
+    } catch (err) {
+      this.log('warn', `Transcription unavailable, using timed fallback: ${err.message}`);
+    }
+  }
+
+  // React to a recognised prompt
+  handleTranscript(text) {
+    if (this.state === 'IDLE' || this.state === 'IN_MEETING' || this.state === 'FAILED') return;
+
+    const prompt = matchPrompt(text, this.profile);
+    this.log('debug', `Heard: "${text}" → ${prompt || 'no match'}`);
+    if (!prompt) {
+      // Ordinary speech while held usually means we were let in
+      if (this.state === 'WAITING_ROOM' || this.state === 'WAITING_FOR_HOST') this.confirmJoined();
+      return;
+    }
+
+    const now = Date.now();
+    if (prompt === this.lastPrompt && now - this.lastPromptAt < this.timeouts.repeatGuard) return;
+    this.lastPrompt = prompt;
+    this.lastPromptAt = now;
+    this.emit('prompt', { prompt, text });
+
+    this.promptCounts[prompt] = (this.promptCounts[prompt] || 0) + 1;
+    if (['MEETING_ID', 'PARTICIPANT_ID', 'PASSCODE'].includes(prompt) &&
+        this.promptCounts[prompt] > this.limits.promptRepeats) {
+      this.fail('IVR_LOOP');
+      return;
+    }
+
+    switch (prompt) {
+      case 'MEETING_ID':
+      case 'PARTICIPANT_ID':
+      case 'PASSCODE':
+        this.enterStep(prompt);
+        break;
+      case 'RECORD_NAME':
+        // Teams / Webex announce callers by a recorded name — skip it
+        this.sendDTMF(this.profile.terminator);
+        break;
+      case 'CONNECTED':
+        this.confirmJoined();
+        break;
+      case 'INVALID_MEETING_ID':
+        this.rejectMeetingId(text);
+        break;
+      case 'BAD_PASSCODE':
+        this.rejectPasscode(text);
+        break;
+      case 'INVALID':
+        // Unspecific rejection — attribute it to whatever we last entered
+        if (this.state === 'ENTER_PASSCODE') this.rejectPasscode(text);
+        else if (this.state === 'ENTER_MEETING_ID') this.rejectMeetingId(text);
+        else this.log('warn', `IVR rejected input: "${text}"`);
+        break;
+      case 'WAITING_ROOM':
+        this.hold('WAITING_ROOM', this.timeouts.waitingRoom, 'WAITING_ROOM_TIMEOUT');
+        break;
+      case 'WAITING_FOR_HOST':
+        this.hold('WAITING_FOR_HOST', this.timeouts.waitingForHost, 'WAITING_FOR_HOST_TIMEOUT');
+        break;
+    }
+  }
+
+  // IVRs re-prompt after a rejection, so a retry is just re-entering the digits
+  rejectMeetingId(text) {
+    this.log('warn', `Meeting ID rejected: "${text}"`);
+    if (++this.rejections.meetingId > this.limits.meetingIdRetries) {
+      this.fail('INVALID_MEETING_ID');
+      return;
+    }
+    this.enterStep('MEETING_ID');
+  }
+
+  rejectPasscode(text) {
+    this.log('warn', `Passcode rejected: "${text}"`);
+    if (!this.passcode || ++this.rejections.passcode > this.limits.passcodeRetries) {
+      this.fail('BAD_PASSCODE');
+      return;
+    }
+    this.enterStep('PASSCODE');
+  }
+
+  // Admitted later by the host: wait, but not forever
+  hold(state, ms, timeoutReason) {
+    if (this.state === state) return;
+    this.clearFallback();
+    this.setState(state);
+    this.emit(state.toLowerCase(), { timeoutMs: ms });
+    this._fallbackTimer = setTimeout(() => {
+      if (this.state === state) this.fail(timeoutReason);
+    }, ms);
+  }
+
+  /**
+   * Send the digits for one step, then wait for the next prompt. If it never
+   * comes, the next step is entered blind (or, after the last one, the join
+   * is assumed once nothing has gone wrong for joinConfirm ms).
+   */
+  async enterStep(step) {
+    this.setState(`ENTER_${step}`);
+    this.awaitNext(step);
+    // An empty optional entry is skipped by the terminator alone
+    await this.sendDTMF(`${this.digitsFor(step)}${this.profile.terminator}`);
+  }
+
+  awaitNext(step) {
+    const next = this.nextStep(step);
+    if (next) this.armFallback(this.stepTimeout(next), () => this.enterStep(next));
+    else this.armFallback(this.timeouts.joinConfirm, () => this.confirmJoined());
+  }
+
+  // Next step worth entering blind — a passcode we don't have is never prompted for
+  nextStep(step) {
+    const { steps } = this.profile;
+    return steps.slice(steps.indexOf(step) + 1).find(s => s !== 'PASSCODE' || this.passcode) || null;
+  }
+
+  stepTimeout(step) {
+    return {
+      MEETING_ID: this.timeouts.greeting,
+      PARTICIPANT_ID: this.timeouts.participantId,
+      PASSCODE: this.timeouts.passcode,
+    }[step];
+  }
+
+  digitsFor(step) {
+    return {
+      MEETING_ID: this.meetingId,
+      PARTICIPANT_ID: this.participantId,
+      PASSCODE: this.passcode,
+    }[step] || '';
+  }
+
+  confirmJoined() {
+    this.clearFallback();
+    this.setState('IN_MEETING');
+    this.emit('joined');
+  }
+
+  /**
+   * Terminal failure. Hangs the call up unless it is already gone.
+   */
+  fail(reason, { hungUp = false } = {}) {
+    if (this.state === 'FAILED') return;
+    this.clearFallback();
+    this.failure = { reason, state: this.state, at: new Date().toISOString() };
+    this.log('warn', `Join failed in ${this.state}: ${reason}`);
+    this.setState('FAILED');
+    this.emit('failed', { reason, hungUp });
+
+    if (!hungUp) {
+      this.api('POST', `/calls/${this.callControlId}/actions/hangup`, {})
+        .catch(err => this.log('debug', `Hangup after failure: ${err.message}`));
+    }
+  }
+
+  armFallback(ms, fn) {
+    this.clearFallback();
+    const state = this.state;
+    this._fallbackTimer = setTimeout(() => {
+      if (this.state !== state) return;
+      this.log('warn', `No prompt heard in ${state} after ${ms}ms, continuing blind`);
+      fn();
+    }, ms);
+  }
+
+  clearFallback() {
+    clearTimeout(this._fallbackTimer);
+    this._fallbackTimer = null;
+  }
+
+  async sendDTMF(digits) {
+    try {
+      await this.api('POST', `/calls/${this.callControlId}/actions/send_dtmf`, {
+        digits,
+        duration_millis: 250,
+      });
+      this.log('debug', `DTMF sent: ${digits.replace(/\d/g, '*')}`);
+    } catch (err) {
+      this.log('error', `DTMF send failed: ${err.message}`);
+    }
+  }
+
+  async stopTranscription() {
+    if (!this.transcribing) return;
+    this.transcribing = false;
+    try {
+      await this.api('POST', `/calls/${this.callControlId}/actions/transcription_stop`, {});
+    } catch (err) {
+      this.log('warn', `Transcription stop failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Take over a call that is already in the IVR (bridge restart). Nothing is
+   * re-sent; only the wait for the next prompt is re-armed. Telnyx keeps the
+   * transcription running across our restart.
+   */
+  resume(state) {
+    this.transcribing = true;
+    if (state === 'WAITING_ROOM') return this.hold(state, this.timeouts.waitingRoom, 'WAITING_ROOM_TIMEOUT');
+    if (state === 'WAITING_FOR_HOST') return this.hold(state, this.timeouts.waitingForHost, 'WAITING_FOR_HOST_TIMEOUT');
+
+    this.setState(state);
+    const step = state.replace(/^ENTER_/, '');
+    if (this.profile.steps.includes(step)) {
+      this.awaitNext(step);
+    } else {
+      const [first] = this.profile.steps;
+      this.armFallback(this.timeouts.greeting, () => this.enterStep(first));
+    }
+  }
+
+  // Stop reacting to events (call hung up by us, or superseded by a redial)
+  stop() {
+    this.stopped = true;
+    this.clearFallback();
+  }
+}
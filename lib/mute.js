@@ -0,0 +1,231 @@
+/**
+ * Mute state of the phone line — follow it, and toggle it with DTMF
+ *
+ * Meeting IVRs tell the phone participant (and only them) when the line's
+ * mute changes: "you are muted", "the host has muted you", "you are
+ * unmuted". Those announcements turn up in the inbound transcript; the
+ * controller follows them, sends the profile's toggle (*6) when the state
+ * has to change, and applies a policy around the agent's speech:
+ *
+ *   auto       unmute before speaking when the host allows it, never mute (default)
+ *   addressed  stay muted in the meeting; unmute only to answer, mute again after
+ *   manual     the toggle is only sent on request; speech is skipped while muted
+ *
+ * *6 is a toggle, so a line whose state was never announced counts as
+ * unmuted (how phone participants join unless the meeting mutes on entry).
+ *
+ * Usage:
+ *   const mute = new MuteController({ profile: 'zoom', sendDTMF: (digits) => ... });
+ *   if (mute.heard(transcript)) return;        // an announcement, not speech
+ *   mute.joined();                             // in the meeting
+ *   if (await mute.beforeSpeaking()) speak();  // false: muted and can't unmute
+ *   mute.afterSpeaking();
+ *   await mute.mute(); await mute.unmute();    // on demand
+ *
+ * Events: change { from, to, by }      by: announcement | host | dtmf
+ *         unmute_request { text }      the host asks us to unmute
+ *         unmute_denied { text }       the host doesn't allow self-unmute
+ *
+ * Configuration:
+ *   MUTE_POLICY   auto | addressed | manual (default: auto)
+ */
+
+import { EventEmitter } from 'events';
+import { getIVRProfile } from './ivr.js';
+
+export const MUTE_POLICIES = ['auto', 'addressed', 'manual'];
+
+// Announcements are whole, short utterances; anchoring keeps "Bob, you're
+// muted" (someone talking to Bob) from counting as ours.
+const ANNOUNCEMENTS = [
+  ['DENIED', /^(you )?(are |were )?(not allowed|not permitted|unable|cannot|can't|can not) (to )?unmute|^the (host|organizer|moderator) (has )?(disabled|does not allow|doesn't allow|has not allowed)/i],
+  ['REQUEST', /^the (host|organizer|moderator) (would like|wants|is asking|has asked|asks|asked) you to unmute/i],
+  ['UNMUTED', /^(you are|you're|you have been|you've been) (now )?unmuted|^your (line|microphone) is (now )?unmuted/i],
+  ['MUTED', /^(you are|you're|you have been|you've been) (now )?muted|^the (host|organizer|moderator) (has )?muted you|^your (line|microphone) is (now )?muted/i],
+];
+const MAX_WORDS = 20;
+
+const CONFIRM_MS = 2000;       // wait for the announcement after a toggle
+const REMUTE_DELAY_MS = 2000;  // addressed: mute again this long after speaking
+
+/**
+ * Classify a transcript as a mute announcement.
+ * Returns MUTED | UNMUTED | REQUEST | DENIED, or null.
+ */
+export function matchMuteAnnouncement(text) {
+  const t = text?.trim().replace(/^[^\p{L}]+/u, '');
+  if (!t || t.split(/\s+/).length > MAX_WORDS) return null;
+  return ANNOUNCEMENTS.find(([, pattern]) => pattern.test(t))?.[0] || null;
+}
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🔇 Mute: ${msg}`);
+}
+
+export class MuteController extends EventEmitter {
+  constructor({
+    profile = 'zoom',
+    sendDTMF,
+    policy = process.env.MUTE_POLICY || 'auto',
+    log = defaultLog,
+  }) {
+    super();
+    if (!MUTE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown mute policy: ${policy} (expected one of ${MUTE_POLICIES.join(', ')})`);
+    }
+    this.toggleDigits = getIVRProfile(profile).muteToggle || '*6';
+    this.sendDTMF = sendDTMF;
+    this.policy = policy;
+    this.log = log;
+
+    this.state = 'unknown';    // muted | unmuted | unknown
+    this.by = null;
+    this.changedAt = null;
+    this.canUnmute = true;     // false once the host refuses a self-unmute
+    this.queue = Promise.resolve();
+    this.waiters = [];
+    this.remuteTimer = null;
+  }
+
+  get muted() {
+    return this.state === 'muted';
+  }
+
+  /**
+   * Feed every final inbound transcript. Returns true when it was a mute
+   * announcement (keep it out of the meeting transcript).
+   */
+  heard(text) {
+    const kind = matchMuteAnnouncement(text);
+    if (!kind) return false;
+    text = text.trim();
+
+    switch (kind) {
+      case 'DENIED':
+        this.canUnmute = false;
+        this.set('muted', 'host');
+        this.emit('unmute_denied', { text });
+        break;
+      case 'REQUEST':
+        this.emit('unmute_request', { text });
+        break;
+      case 'UNMUTED':
+        this.canUnmute = true;
+        this.set('unmuted', 'announcement');
+        break;
+      case 'MUTED':
+        this.set('muted', /host|organizer|moderator/i.test(text) ? 'host' : 'announcement');
+        break;
+    }
+    if (kind !== 'REQUEST') this.settle();
+    return true;
+  }
+
+  set(to, by) {
+    if (to === this.state) return;
+    const from = this.state;
+    this.state = to;
+    this.by = by;
+    this.changedAt = new Date().toISOString();
+    this.log('info', `${from} → ${to} (${by})`);
+    this.emit('change', { from, to, by });
+  }
+
+  mute() {
+    clearTimeout(this.remuteTimer);
+    return this.toggleTo('muted');
+  }
+
+  // `force` tries even after the host refused once (it may have changed its mind)
+  unmute({ force = false } = {}) {
+    clearTimeout(this.remuteTimer);
+    return this.toggleTo('unmuted', { force });
+  }
+
+  /**
+   * Send the toggle if the line isn't in `to` already, then wait for the
+   * IVR to confirm. No announcement within CONFIRM_MS: the toggle is
+   * assumed to have worked. Resolves to whether the line ended up in `to`.
+   */
+  toggleTo(to, { force = false } = {}) {
+    this.queue = this.queue.then(async () => {
+      const current = this.state === 'unknown' ? 'unmuted' : this.state;
+      if (current === to) return true;
+      if (to === 'unmuted' && !this.canUnmute && !force) return false;
+
+      const confirmed = this.nextAnnouncement();
+      try {
+        await this.sendDTMF(this.toggleDigits);
+      } catch (err) {
+        this.log('error', `Toggle failed: ${err.message}`);
+        return false;
+      }
+      if (!await confirmed) this.set(to, 'dtmf');
+      return this.state === to;
+    });
+    return this.queue;
+  }
+
+  nextAnnouncement() {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== done);
+        resolve(false);
+      }, CONFIRM_MS);
+      const done = () => { clearTimeout(timer); resolve(true); };
+      this.waiters.push(done);
+    });
+  }
+
+  settle() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const done of waiters) done();
+  }
+
+  // In the meeting: `addressed` starts muted
+  joined() {
+    if (this.policy === 'addressed') this.mute();
+  }
+
+  /**
+   * Before the agent speaks. Resolves to false when it would only be
+   * talking into a muted line.
+   */
+  async beforeSpeaking() {
+    clearTimeout(this.remuteTimer);
+    if (this.policy === 'manual') return !this.muted;
+    const unmuted = await this.unmute();
+    if (!unmuted) this.log('warn', this.canUnmute ? 'Still muted after *6' : 'Muted by the host, unmuting not allowed');
+    return unmuted;
+  }
+
+  // After the agent spoke: `addressed` goes back to muted (unless it speaks again first)
+  afterSpeaking() {
+    if (this.policy !== 'addressed') return;
+    clearTimeout(this.remuteTimer);
+    this.remuteTimer = setTimeout(() => this.mute(), REMUTE_DELAY_MS);
+  }
+
+  stop() {
+    clearTimeout(this.remuteTimer);
+  }
+
+  // A new call: nothing announced yet
+  reset() {
+    this.stop();
+    this.restore();
+  }
+
+  toJSON() {
+    return { state: this.state, policy: this.policy, canUnmute: this.canUnmute, by: this.by, changedAt: this.changedAt };
+  }
+
+  // Carry the state across a bridge restart
+  restore(saved = {}) {
+    this.state = saved.state || 'unknown';
+    this.canUnmute = saved.canUnmute ?? true;
+    this.by = saved.by || null;
+    this.changedAt = saved.changedAt || null;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Call recorder — stereo WAV + timeline sidecar for reviewing a meeting
+ *
+ * Left channel: meeting audio (inbound track). Right channel: the agent
+ * (outbound track — what Telnyx actually played). Both are laid out on the
+ * wall clock from the moment recording starts, so a gap in either stream is
+ * silence rather than a shift, and timeline offsets line up with the audio.
+ *
+ *   <dir>/<name>.wav    16-bit stereo PCM (header kept valid while recording)
+ *   <dir>/<name>.json   { sampleRate, startedAt, durationMs, meta, events: [{ type, at, ms, sample, ... }] }
+ *
+ * Usage:
+ *   const rec = new CallRecorder({ name: recordingName(sessionId), meta: { meetingId } });
+ *   rec.meeting(inboundPcm);
+ *   rec.agent(outboundPcm);
+ *   rec.event('state', { from, to });
+ *   rec.span('transcript', startedAt, endedAt, { text });
+ *   rec.close();
+ *
+ * Agents without a media stream record through Telnyx instead (dual-channel
+ * record_start, see TelnyxRecording) and keep only the timeline here
+ * (`audio: false`).
+ *
+ * Configuration:
+ *   RECORD_CALLS      set to "true" to record every call
+ *   RECORDINGS_DIR    where recordings go (default: recordings)
+ */
+
+import { mkdirSync, openSync, writeSync, closeSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+export const RECORD_CALLS = process.env.RECORD_CALLS === 'true';
+
+const FLUSH_MS = 500;
+const JITTER_MS = 200;   // a stream this far behind the clock is padded with silence
+const MAX_AHEAD_MS = 1000; // ...and one this far ahead drops audio
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`⏺️ Recorder: ${msg}`);
+}
+
+// "2026-03-01T14-05-09-<label>"
+export function recordingName(label) {
+  return `${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}-${label}`;
+}
+
+function wavHeader(dataBytes, rate, channels) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);                    // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * channels * 2, 28);  // byte rate
+  header.writeUInt16LE(channels * 2, 32);         // block align
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+export class CallRecorder {
+  /**
+   * @param name        file name without extension (see recordingName)
+   * @param sampleRate  rate of the PCM passed to meeting() / agent()
+   * @param audio       false for a timeline-only recording
+   * @param meta        copied into the sidecar (meeting ID, platform, ...)
+   */
+  constructor({
+    name,
+    dir = process.env.RECORDINGS_DIR || 'recordings',
+    sampleRate = 8000,
+    audio = true,
+    meta = {},
+    log = defaultLog,
+  }) {
+    this.dir = resolve(dir);
+    this.name = name;
+    this.sampleRate = sampleRate;
+    this.meta = meta;
+    this.log = log;
+    this.events = [];
+    this.startedAt = Date.now();
+    this.closed = false;
+    this.audioFile = null;
+    // Meeting audio can hold passcodes read out by the IVR
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    if (audio) {
+      this.audioFile = join(this.dir, `${name}.wav`);
+      this.fd = openSync(this.audioFile, 'w', 0o600);
+      writeSync(this.fd, wavHeader(0, sampleRate, 2));
+      this.written = 0;                                 // stereo frames on disk
+      this.queued = [Buffer.alloc(0), Buffer.alloc(0)]; // per channel, not yet interleaved
+      this.timer = setInterval(() => this.flush(), FLUSH_MS);
+      this.timer.unref();
+    }
+    this.log('info', `Recording ${this.audioFile || '(timeline only)'}`);
+  }
+
+  // Samples since recording started, by the wall clock
+  position(at = Date.now()) {
+    return Math.floor((at - this.startedAt) * this.sampleRate / 1000);
+  }
+
+  meeting(pcm) {
+    this.push(0, pcm);
+  }
+
+  agent(pcm) {
+    this.push(1, pcm);
+  }
+
+  push(channel, pcm) {
+    if (this.closed || !this.fd) return;
+    const have = this.written + this.queued[channel].length / 2;
+    const expected = this.position() - Math.floor(pcm.length / 2);
+    const lag = expected - have;
+    if (lag > JITTER_MS * this.sampleRate / 1000) {
+      this.queued[channel] = Buffer.concat([this.queued[channel], Buffer.alloc(lag * 2)]);
+    } else if (-lag > MAX_AHEAD_MS * this.sampleRate / 1000) {
+      return;
+    }
+    this.queued[channel] = Buffer.concat([this.queued[channel], pcm.subarray(0, pcm.length - pcm.length % 2)]);
+  }
+
+  /**
+   * Interleave what both channels have up to the clock (minus jitter) and
+   * write it. The quiet channel is padded, so a silent agent doesn't hold
+   * the meeting audio back. `final` writes everything.
+   */
+  flush(final = false) {
+    if (!this.fd) return;
+    const lengths = this.queued.map(q => this.written + q.length / 2);
+    const upTo = final
+      ? Math.max(...lengths)
+      : this.position() - Math.floor(JITTER_MS * this.sampleRate / 1000);
+    for (let ch = 0; ch < 2; ch++) {
+      if (lengths[ch] < upTo) this.queued[ch] = Buffer.concat([this.queued[ch], Buffer.alloc((upTo - lengths[ch]) * 2)]);
+    }
+    const frames = Math.min(...this.queued.map(q => q.length / 2));
+    if (frames <= 0) return;
+
+    const out = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames; i++) {
+      out.writeInt16LE(this.queued[0].readInt16LE(i * 2), i * 4);
+      out.writeInt16LE(this.queued[1].readInt16LE(i * 2), i * 4 + 2);
+    }
+    this.queued = this.queued.map(q => q.subarray(frames * 2));
+    try {
+      writeSync(this.fd, out, 0, out.length, 44 + this.written * 4);
+      this.written += frames;
+      writeSync(this.fd, wavHeader(this.written * 4, this.sampleRate, 2), 0, 44, 0);
+    } catch (err) {
+      this.log('error', `Write failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Timeline entry at `at` (Date, ISO string or ms; default now).
+   */
+  event(type, data = {}, at = Date.now()) {
+    if (this.closed) return null;
+    const ms = new Date(at).getTime() - this.startedAt;
+    const entry = {
+      type,
+      at: new Date(at).toISOString(),
+      ms,
+      sample: Math.round(ms * this.sampleRate / 1000),
+      ...data,
+    };
+    this.events.push(entry);
+    return entry;
+  }
+
+  // Timeline entry covering startedAt → endedAt (a transcript segment, an utterance)
+  span(type, startedAt, endedAt, data = {}) {
+    const endMs = new Date(endedAt).getTime() - this.startedAt;
+    return this.event(type, { endMs, endSample: Math.round(endMs * this.sampleRate / 1000), ...data }, startedAt);
+  }
+
+  /**
+   * Timeline-only recordings: store audio recorded elsewhere (Telnyx) next
+   * to the sidecar.
+   */
+  saveAudio(buf, ext = 'wav') {
+    this.audioFile = join(this.dir, `${this.name}.${ext}`);
+    writeFileSync(this.audioFile, buf, { mode: 0o600 });
+    this.log('info', `Saved ${this.audioFile}`);
+  }
+
+  close(extra = {}) {
+    if (this.closed) return null;
+    if (this.fd) {
+      clearInterval(this.timer);
+      this.flush(true);
+      closeSync(this.fd);
+      this.fd = null;
+    }
+    this.closed = true;
+
+    const durationMs = this.written != null ? Math.round(this.written * 1000 / this.sampleRate) : Date.now() - this.startedAt;
+    const sidecar = join(this.dir, `${this.name}.json`);
+    writeFileSync(sidecar, JSON.stringify({
+      name: this.name,
+      audio: this.audioFile,
+      channels: this.written != null ? ['meeting', 'agent'] : undefined,
+      sampleRate: this.sampleRate,
+      startedAt: new Date(this.startedAt).toISOString(),
+      durationMs,
+      meta: this.meta,
+      ...extra,
+      events: this.events.sort((x, y) => x.ms - y.ms),
+    }, null, 2), { mode: 0o600 });
+    this.log('info', `Saved ${sidecar} (${(durationMs / 1000).toFixed(1)}s, ${this.events.length} events)`);
+    return { audio: this.audioFile, sidecar, durationMs };
+  }
+}
+
+/**
+ * Dual-channel recording made by Telnyx (record_start), for agents without
+ * a media stream. Pair it with a timeline-only CallRecorder created when
+ * recording starts; the WAV arrives after hangup in call.recording.saved
+ * and is stored next to the sidecar. Offsets line up to within the
+ * command's round trip.
+ */
+export class TelnyxRecording {
+  constructor({ api, callControlId, recorder }) {
+    this.api = api;
+    this.callControlId = callControlId;
+    this.recorder = recorder;
+    this.done = new Promise(resolve => { this.resolveDone = resolve; });
+  }
+
+  async start() {
+    try {
+      await this.api('POST', `/calls/${this.callControlId}/actions/record_start`, { format: 'wav', channels: 'dual' });
+      this.recorder.event('recording_start', { source: 'telnyx' });
+    } catch (err) {
+      this.recorder.log('error', `record_start failed: ${err.message}`);
+      this.resolveDone();
+    }
+  }
+
+  // call.recording.saved webhook payload
+  async saved(payload) {
+    const url = payload?.recording_urls?.wav || payload?.public_recording_urls?.wav;
+    try {
+      if (!url) throw new Error('no WAV URL in call.recording.saved');
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`download ${res.status}`);
+      this.recorder.saveAudio(Buffer.from(await res.arrayBuffer()));
+    } catch (err) {
+      this.recorder.log('error', `Recording not saved: ${err.message}`);
+    }
+    this.resolveDone();
+  }
+
+  // Wait (after hangup) for the file, then write the sidecar
+  async finish(timeoutMs = 30000) {
+    await Promise.race([this.done, new Promise(r => setTimeout(r, timeoutMs))]);
+    return this.recorder.close({ channels: 'telnyx dual (one per call leg)' });
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Speaker roster — put names on the diarizer's voice labels
+ *
+ * "Speaker 2" means nothing in a summary. People say who they are, and call
+ * on each other by name; the transcript, once labelled by voice, is enough
+ * to tell which label goes with which name:
+ *
+ *   introduction   "hi, this is Alice", "I'm Alice", "Bob here", "我是张三"
+ *                  name the speaker who said it
+ *   called on      "Bob, what do you think?", "…, Carol?" name whoever speaks
+ *                  next (someone else, within `replyMs`); "Bob, …" without a
+ *                  question only counts once Bob is a name already heard,
+ *                  since "Cool, let's move on" calls on no one
+ *   thanked        "thanks, Bob", "good point Bob", "谢谢张三" name whoever
+ *                  spoke before
+ *
+ * Each sighting is a vote (an introduction counts three times); a label
+ * takes the name with the most votes once it has `minVotes`, and a name
+ * belongs to one label only, the one with the stronger claim. The agent's
+ * own name and aliases are never given to anyone. An operator's correction
+ * overrides the votes until it is cleared.
+ *
+ * Usage:
+ *   const roster = new SpeakerRoster({ exclude: [AGENT_NAME] });
+ *   roster.heard({ text: 'Hi, this is Alice', speaker: 'Speaker 2' });
+ *   roster.nameOf('Speaker 2');        // 'Alice'
+ *   roster.display('Speaker 3');       // 'Speaker 3' (no name yet)
+ *   roster.set('Speaker 3', 'Bob');    // operator correction; null clears it
+ *   roster.list(diarizer.speakers());  // [{ label, name, source, ... }]
+ *
+ * Events: named { label, name, source, previous }   source: introduction | addressed | operator
+ *
+ * Configuration:
+ *   ROSTER              set to "false" to keep the voice labels unnamed
+ *   ROSTER_REPLY_MS     how soon the next speaker must answer "Bob, …?" to be taken for Bob (default: 10000)
+ *   ROSTER_MIN_VOTES    votes a name needs from being called on / thanked alone (default: 2)
+ */
+
+import { EventEmitter } from 'events';
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback);
+const list = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const INTRO_VOTES = 3;      // what someone says about themselves outweighs being called on
+const NAME = "(\\p{L}[\\p{L}'-]*(?:\\s+\\p{Lu}[\\p{L}'-]*)?)";
+const CJK_NAME = '([\\u4e00-\\u9fff]{2,3})';
+
+const GREETING = '(?:^|[.!?,]\\s*)(?:(?:hi|hey|hello|yeah|yes|ok|okay|so|and)[,\\s]+)?';
+const INTRODUCTIONS = [
+  new RegExp(`\\b(?:i'm|i am|my name is|my name's|call me)\\s+${NAME}`, 'giu'),
+  // "this is" only opening a sentence and closing on the name: not "this is Project X's plan"
+  new RegExp(`${GREETING}this is\\s+${NAME}\\s*(?:[.!,]|$|here\\b|speaking\\b|from\\b|with\\b|joining\\b)`, 'giu'),
+  // "it's" only with "here" / "speaking" after: "it's Alice here", not "it's Monday"
+  new RegExp(`${GREETING}(?:it's|it is)\\s+${NAME}\\s+(?:here|speaking)\\b`, 'giu'),
+  new RegExp(`${GREETING}${NAME}\\s+here\\b`, 'giu'),
+  new RegExp(`(?:我是|我叫|我的名字是)${CJK_NAME}`, 'gu'),
+];
+const CALLED_ON = [
+  new RegExp(`[,，]\\s*${NAME}\\s*[?？]\\s*$`, 'iu'),
+  new RegExp(`\\b(?:over to you|what about you|how about you|your turn|go ahead)[,\\s]+${NAME}\\b`, 'iu'),
+  new RegExp(`^${CJK_NAME}[,，]\\s*(?:你|您|请)`, 'u'),
+];
+// "Bob, …" opening a sentence; the lookahead takes the rest of that sentence
+const OPENER = new RegExp(`(?:^|[.!?。！？]\\s*)(?:(?:hey|hi|okay|ok|so|and)\\s+)?${NAME}\\s*[,，](?=([^.!?。！？]*[.!?。！？]?))`, 'giu');
+const THANKED = [
+  new RegExp(`\\b(?:thanks|thank you|cheers|good point|great point|well said|agreed|nice one)[,\\s]+${NAME}\\b`, 'giu'),
+  new RegExp(`(?:谢谢|感谢)${CJK_NAME}`, 'gu'),
+];
+
+// Capitalised words that follow "I'm", "this is", "thanks" without being names
+const NOT_NAMES = new Set([
+  'i', 'you', 'we', 'he', 'she', 'they', 'it', 'me', 'us', 'them', 'him', 'her', 'everyone', 'everybody', 'all',
+  'guys', 'folks', 'team', 'sir', 'madam', 'man', 'there', 'again', 'so', 'well', 'ok', 'okay', 'yes', 'yeah',
+  'no', 'here', 'just', 'not', 'sorry', 'going', 'glad', 'happy', 'fine', 'good', 'great', 'sure', 'back', 'done',
+  'afraid', 'new', 'also', 'still', 'really', 'actually', 'the', 'a', 'an', 'and', 'but', 'for', 'that', 'this',
+  'what', 'right', 'exactly', 'hi', 'hey', 'hello', 'thanks', 'bye', 'now', 'today', 'everything', 'anyway',
+  'ai', 'assistant', 'bot', 'speaker', 'unknown', 'calling', 'joining', 'listening', 'talking', 'trying', 'looking',
+  'basically', 'honestly', 'alright', 'look', 'listen', 'first', 'second', 'finally', 'please', 'um', 'uh', 'oh',
+  'zoom', 'teams', 'google', 'microsoft', 'webex', 'meet',
+  // Days, times and sentence openers: "Yesterday, we shipped…" calls on no one
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'weekend', 'yesterday',
+  'tomorrow', 'tonight', 'morning', 'afternoon', 'evening', 'week', 'month', 'year', 'last', 'next', 'earlier',
+  'later', 'then', 'meanwhile', 'however', 'besides', 'otherwise', 'instead', 'overall', 'plus', 'third',
+  'lastly', 'personally', 'frankly', 'seriously', 'obviously', 'apparently', 'hopefully', 'luckily', 'fortunately',
+  'unfortunately', 'ideally', 'technically', 'currently', 'recently', 'originally', 'initially', 'usually',
+  'generally', 'similarly', 'therefore', 'because', 'if', 'when', 'after', 'before', 'once', 'since', 'though',
+  'although', 'like', 'or', 'yet', 'meantime', 'sometimes', 'wait', 'hmm',
+]);
+const NOT_CJK_NAMES = /^(大家|各位|你们|我们|他们|老师|同学|说|觉得|想|在|不|个|这|那|一|有|要|会|来|去|就|也)/;
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🪪 Roster: ${msg}`);
+}
+
+// "alice" → "Alice"; CJK as is
+const tidy = (name) => name.trim().replace(/\s+/g, ' ').replace(/(^|\s)(\p{Ll})/gu, (_, s, c) => s + c.toUpperCase());
+
+export class SpeakerRoster extends EventEmitter {
+  /**
+   * @param exclude  names never given to a participant (the agent's own)
+   */
+  constructor({
+    exclude = [process.env.AGENT_NAME || 'AI Assistant', ...list(process.env.AGENT_ALIASES)],
+    replyMs = env('ROSTER_REPLY_MS', 10000),
+    minVotes = env('ROSTER_MIN_VOTES', 2),
+    log = defaultLog,
+  } = {}) {
+    super();
+    this.exclude = new Set(exclude.map(n => n.trim().toLowerCase()).filter(Boolean));
+    this.replyMs = replyMs;
+    this.minVotes = minVotes;
+    this.log = log;
+    this.restore();
+    this.lastSpeaker = null;
+    this.previousSpeaker = null;  // the one before lastSpeaker
+    this.expecting = null;        // { name, from, until, text }: someone was called on
+  }
+
+  // --- Listening ---
+
+  /**
+   * A transcript entry labelled by voice. Returns the names it gave
+   * evidence for: [{ label, name, how }].
+   */
+  heard({ text, speaker, at = Date.now() }) {
+    if (!speaker || !text?.trim()) return [];
+    at = +new Date(at);
+    const found = [];
+    const vote = (label, name, how) => {
+      if (!label || !name) return;
+      found.push({ label, name, how });
+      this.vote(label, name, how, text);
+    };
+
+    // Whoever was called on answers now
+    if (this.expecting && speaker !== this.expecting.from) {
+      if (at <= this.expecting.until) vote(speaker, this.expecting.name, 'addressed');
+      this.expecting = null;
+    }
+
+    for (const name of this.names(text, INTRODUCTIONS)) vote(speaker, name, 'introduction');
+    const before = speaker === this.lastSpeaker ? this.previousSpeaker : this.lastSpeaker;
+    for (const name of this.names(text, THANKED)) {
+      if (before !== speaker) vote(before, name, 'addressed');
+    }
+    const called = this.names(text, CALLED_ON)[0] || this.openerName(text);
+    if (called && !found.some(f => f.name === called)) {
+      this.expecting = { name: called, from: speaker, until: at + this.replyMs };
+    }
+
+    if (speaker !== this.lastSpeaker) {
+      this.previousSpeaker = this.lastSpeaker;
+      this.lastSpeaker = speaker;
+    }
+    return found;
+  }
+
+  // Plausible names in `text` for any of `patterns`
+  names(text, patterns) {
+    const out = [];
+    for (const pattern of patterns) {
+      const matches = pattern.global ? [...text.matchAll(pattern)] : [text.match(pattern)].filter(Boolean);
+      for (const m of matches) {
+        const name = this.plausible(m[1]);
+        if (name && !out.includes(name)) out.push(name);
+      }
+    }
+    return out;
+  }
+
+  // "Bob, …" calls on Bob only if it asks something or Bob is already known
+  openerName(text) {
+    for (const m of text.matchAll(OPENER)) {
+      const name = this.plausible(m[1]);
+      if (name && (/[?？]/.test(m[2]) || this.known(name))) return name;
+    }
+    return null;
+  }
+
+  // Introduced, thanked, answered to or set by an operator before
+  known(name) {
+    return Object.values(this.votes).some(votes => votes[name]) || Object.values(this.fixed).includes(name);
+  }
+
+  // A name as said, or null for a common word or the agent's own name
+  plausible(raw) {
+    if (!raw) return null;
+    if (/[\u4e00-\u9fff]/.test(raw)) {
+      return NOT_CJK_NAMES.test(raw) || this.exclude.has(raw) ? null : raw;
+    }
+    // "this is Alice Smith" — a second word only if it's capitalised too
+    const words = raw.trim().split(/\s+/).filter((w, i) => i === 0 || /^\p{Lu}/u.test(w));
+    if (!/^\p{Lu}/u.test(words[0]) || NOT_NAMES.has(words[0].toLowerCase()) || /'s$/i.test(words[0])) return null;
+    const name = (words.length > 1 && NOT_NAMES.has(words[1].toLowerCase()) ? words.slice(0, 1) : words).join(' ');
+    if (this.exclude.has(name.toLowerCase()) || this.exclude.has(words[0].toLowerCase())) return null;
+    return tidy(name);
+  }
+
+  vote(label, name, how, text) {
+    const before = this.nameOf(label);
+    const votes = this.votes[label] ||= {};
+    const tally = votes[name] ||= { votes: 0, introduced: false };
+    tally.votes += how === 'introduction' ? INTRO_VOTES : 1;
+    if (how === 'introduction') tally.introduced = true;
+    this.log('debug', `${label} may be ${name} (${how}): "${text.slice(0, 60)}"`);
+    this.changed(before, label);
+  }
+
+  // --- Names ---
+
+  /**
+   * The name each label goes by: an operator's, else the best-supported
+   * one it has enough votes for and no other label has a stronger claim to.
+   */
+  resolve() {
+    const names = {};
+    const taken = new Set(Object.values(this.fixed).map(n => n.toLowerCase()));
+    for (const [label, name] of Object.entries(this.fixed)) {
+      names[label] = { name, source: 'operator', votes: null };
+    }
+    const claims = [];
+    for (const [label, votes] of Object.entries(this.votes)) {
+      if (names[label]) continue;
+      for (const [name, { votes: n, introduced }] of Object.entries(votes)) {
+        if (introduced || n >= this.minVotes) claims.push({ label, name, votes: n, introduced });
+      }
+    }
+    claims.sort((a, b) => b.votes - a.votes);
+    for (const { label, name, votes, introduced } of claims) {
+      if (names[label] || taken.has(name.toLowerCase())) continue;
+      names[label] = { name, source: introduced ? 'introduction' : 'addressed', votes };
+      taken.add(name.toLowerCase());
+    }
+    return names;
+  }
+
+  nameOf(label) {
+    return label ? this.resolve()[label]?.name || null : null;
+  }
+
+  // What to call a label in transcripts and summaries
+  display(label) {
+    return this.nameOf(label) || label;
+  }
+
+  /**
+   * Operator correction: `label` is `name` from now on, whatever is said;
+   * null goes back to what was heard.
+   */
+  set(label, name) {
+    const before = this.nameOf(label);
+    if (name?.trim()) this.fixed[label] = name.trim();
+    else delete this.fixed[label];
+    this.changed(before, label, true);
+  }
+
+  // Emit `named` for every label whose name moved (one vote can shift two)
+  changed(before, label, operator = false) {
+    const names = this.resolve();
+    const was = this.last || {};
+    for (const l of new Set([...Object.keys(was), ...Object.keys(names), label])) {
+      const now = names[l]?.name || null;
+      const previous = l === label ? before : was[l]?.name || null;
+      if (now === previous) continue;
+      const source = now ? names[l].source : operator && l === label ? 'operator' : null;
+      this.log('info', now ? `${l} is ${now} (${source})` : `${l} is unnamed again`);
+      this.emit('named', { label: l, name: now, source, previous });
+    }
+    this.last = names;
+  }
+
+  /**
+   * The diarizer's speakers ({ label, ... }) with their names:
+   * { ...speaker, name, nameSource, candidates }.
+   */
+  list(speakers = []) {
+    const names = this.resolve();
+    const labels = [...new Set([...speakers.map(s => s.label), ...Object.keys(names)])]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return labels.map(label => {
+      const speaker = speakers.find(s => s.label === label) || { label };
+      const candidates = Object.entries(this.votes[label] || {})
+        .map(([name, { votes }]) => ({ name, votes }))
+        .sort((a, b) => b.votes - a.votes);
+      return { ...speaker, name: names[label]?.name || null, nameSource: names[label]?.source || null, candidates };
+    });
+  }
+
+  // "Alice (Speaker 2), Speaker 3" for logs and summaries
+  summary(speakers = []) {
+    return this.list(speakers).map(s => s.name ? `${s.name} (${s.label})` : s.label).join(', ');
+  }
+
+  toJSON() {
+    return { votes: this.votes, fixed: this.fixed };
+  }
+
+  // Names carry across a bridge restart, like the voices they go with
+  restore(saved = {}) {
+    this.votes = structuredClone(saved.votes || {});
+    this.fixed = { ...saved.fixed };
+    this.last = this.resolve();
+  }
+}
@@ -0,0 +1,565 @@
+/**
+ * Scheduled meeting joins
+ *
+ * Keeps a list of upcoming joins — added one at a time (POST /api/schedule)
+ * or imported from an ICS file / feed — and starts a dial-in session for
+ * each one a little before the meeting begins.
+ *
+ * Each ICS event is run through the invitation parser (DESCRIPTION,
+ * LOCATION, URL and the Teams / Meet conference properties), so anything a
+ * pasted invitation would give (meeting ID, passcode, dial-in numbers,
+ * platform) comes from the calendar too. Events without a meeting ID are
+ * ordinary appointments and are skipped.
+ *
+ * Usage:
+ *   const scheduler = new JoinScheduler({ startSession, earlyJoinMs: 60000 });
+ *   scheduler.importIcs(icsText);
+ *   scheduler.watchFeed('https://calendar.example.com/me.ics', 300000);
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { parseInvitation } from './invitation.js';
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+// Finished / cancelled entries stay listed this long
+const HISTORY_MS = 24 * 60 * 60 * 1000;
+// Safety cap on recurrence expansion
+const MAX_OCCURRENCES = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook writes Windows zone names into TZID
+const WINDOWS_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC',
+};
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`📅 Scheduler: ${msg}`);
+}
+
+// ============================================================
+// ICS parsing
+// ============================================================
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// "DTSTART;TZID=America/New_York:20261019T150000" → { name, params, value }
+function parseLine(line) {
+  // First colon outside a quoted parameter value ends name + params
+  let colon = -1;
+  for (let i = 0, quoted = false; i < line.length && colon < 0; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) colon = i;
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const p of rawParams) {
+    const [k, v = ''] = p.split('=');
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// One formatter per zone: building them is the slow part
+const formatters = new Map();
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(ms, timeZone) {
+  let format = formatters.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    formatters.set(timeZone, format);
+  }
+  const parts = format.formatToParts(new Date(ms));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - ms;
+}
+
+/**
+ * Wall-clock time in a zone → epoch ms. `null` zone means floating time
+ * (server local), 'UTC' for the Z suffix.
+ */
+function toEpoch({ y, mo, d, h, mi, s }, timeZone) {
+  if (!timeZone) return new Date(y, mo, d, h, mi, s).getTime();
+  const wall = Date.UTC(y, mo, d, h, mi, s);
+  if (timeZone === 'UTC') return wall;
+  // Two passes settle the offset across a DST change
+  let ms = wall - zoneOffset(wall, timeZone);
+  ms = wall - zoneOffset(ms, timeZone);
+  return ms;
+}
+
+function resolveZone(tzid, log) {
+  if (!tzid) return null;
+  const zone = WINDOWS_ZONES[tzid] || tzid;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return zone;
+  } catch {
+    log('warn', `Unknown TZID "${tzid}", using server local time`);
+    return null;
+  }
+}
+
+// "20261019T150000Z" / "20261019T150000" / "20261019" → wall-clock parts
+function parseDateValue(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  return {
+    wall: { y: +m[1], mo: +m[2] - 1, d: +m[3], h: +(m[4] || 0), mi: +(m[5] || 0), s: +(m[6] || 0) },
+    utc: Boolean(m[7]),
+    allDay: !m[4],
+  };
+}
+
+function parseDateProp(prop, log) {
+  const parsed = parseDateValue(prop.value.trim());
+  if (!parsed) return null;
+  const zone = parsed.utc ? 'UTC' : resolveZone(prop.params.TZID, log);
+  return { ...parsed, zone, ms: toEpoch(parsed.wall, zone) };
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [k, v] = part.split('=');
+    rule[k.toUpperCase()] = v;
+  }
+  return rule;
+}
+
+/**
+ * The first day index (days after DTSTART) on or before `day` where a
+ * DAILY / WEEKLY rule's period starts, and how many occurrences come
+ * before it.
+ */
+function skipTo(day, { freq, interval, firstDay, weekStart, byDay }) {
+  const days = Math.floor((day - firstDay) / DAY_MS);
+  if (days <= 0) return { first: 0, skipped: 0 };
+  if (freq === 'DAILY') {
+    const periods = Math.floor(days / interval);
+    return { first: periods * interval, skipped: periods };
+  }
+  // Whole active weeks skipped, less the days of the first one before DTSTART
+  const weeks = Math.floor((firstDay + days * DAY_MS - weekStart) / (7 * DAY_MS));
+  const periods = Math.floor(weeks / interval);
+  if (!periods) return { first: 0, skipped: 0 };
+  const offset = (day) => (day + 6) % 7;  // days after Monday
+  const firstOffset = offset(new Date(firstDay).getUTCDay());
+  const weekdays = byDay ? [...new Set(byDay)] : [new Date(firstDay).getUTCDay()];
+  const skipped = periods * weekdays.length - weekdays.filter(d => offset(d) < firstOffset).length;
+  return { first: (weekStart + periods * interval * 7 * DAY_MS - firstDay) / DAY_MS, skipped };
+}
+
+/**
+ * Expand DAILY / WEEKLY recurrences into start times within [from, until].
+ * Other frequencies only yield the first occurrence.
+ */
+function expandRecurrence(start, rule, { from, until, exclude }) {
+  const freq = rule.FREQ;
+  if (freq !== 'DAILY' && freq !== 'WEEKLY') return start.ms >= from && start.ms <= until ? [start.ms] : [];
+
+  const interval = parseInt(rule.INTERVAL || '1');
+  const count = rule.COUNT ? parseInt(rule.COUNT) : Infinity;
+  const ruleUntil = rule.UNTIL ? parseDateProp({ value: rule.UNTIL, params: {} }, () => {}).ms : Infinity;
+  const byDay = freq === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(d => WEEKDAYS.indexOf(d.slice(-2)))
+    : null;
+
+  const { wall, zone } = start;
+  const firstDay = Date.UTC(wall.y, wall.mo, wall.d);
+  // Weeks start on Monday (RFC 5545 default WKST) for INTERVAL counting
+  const weekStart = firstDay - ((new Date(firstDay).getUTCDay() + 6) % 7) * DAY_MS;
+  const result = [];
+
+  // Jump to the first day that could fall in the window (a two-day margin
+  // covers any zone offset); COUNT still needs the occurrences skipped
+  const { first, skipped } = skipTo(from - 2 * DAY_MS, { freq, interval, firstDay, weekStart, byDay });
+  let produced = count < Infinity ? skipped : 0;
+
+  for (let i = first; i < first + MAX_OCCURRENCES * 7; i++) {
+    const day = firstDay + i * DAY_MS;
+    const date = new Date(day);
+    if (freq === 'DAILY') {
+      if (i % interval) continue;
+    } else {
+      const week = Math.floor((day - weekStart) / (7 * DAY_MS));
+      if (week % interval) continue;
+      if (!(byDay ? byDay.includes(date.getUTCDay()) : date.getUTCDay() === new Date(firstDay).getUTCDay())) continue;
+    }
+    const ms = toEpoch({ ...wall, y: date.getUTCFullYear(), mo: date.getUTCMonth(), d: date.getUTCDate() }, zone);
+    if (ms > until || ms > ruleUntil || produced >= count) break;
+    produced++;
+    if (ms >= from && !exclude.has(ms)) result.push(ms);
+  }
+  return result;
+}
+
+/**
+ * Parse VEVENTs into occurrences within a time window:
+ *   [{ uid, title, startAt, endAt, text }]
+ * `text` is what the invitation parser should read. Recurring events are
+ * expanded; moved (RECURRENCE-ID) and deleted (EXDATE) instances respected.
+ */
+export function parseIcsEvents(ics, { from = Date.now(), until = Date.now() + 7 * DAY_MS, log = defaultLog } = {}) {
+  const lines = String(ics || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { current = { props: {}, exdates: [] }; continue; }
+    if (line === 'END:VEVENT') { if (current) events.push(current); current = null; continue; }
+    if (!current) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+    if (prop.name === 'EXDATE') {
+      for (const value of prop.value.split(',')) current.exdates.push({ ...prop, value });
+    } else {
+      current.props[prop.name] ||= prop;
+    }
+  }
+
+  // Moved instances replace the master's occurrence at their original time
+  const overridden = new Map();
+  for (const e of events) {
+    const rid = e.props['RECURRENCE-ID'];
+    if (!rid) continue;
+    const uid = e.props.UID?.value;
+    if (!overridden.has(uid)) overridden.set(uid, new Set());
+    overridden.get(uid).add(parseDateProp(rid, log)?.ms);
+  }
+
+  const occurrences = [];
+  for (const e of events) {
+    const { props } = e;
+    if (props.STATUS?.value === 'CANCELLED') continue;
+    const start = props.DTSTART && parseDateProp(props.DTSTART, log);
+    if (!start || start.allDay) continue;
+    const end = props.DTEND && parseDateProp(props.DTEND, log);
+    const duration = end ? end.ms - start.ms : 60 * 60 * 1000;
+
+    const uid = props.UID?.value || randomUUID();
+    const text = ['LOCATION', 'URL', 'X-MICROSOFT-SKYPETEAMSMEETINGURL', 'X-GOOGLE-CONFERENCE', 'DESCRIPTION']
+      .map(name => props[name] && unescapeText(props[name].value))
+      .filter(Boolean)
+      .join('\n');
+
+    const starts = props.RRULE && !props['RECURRENCE-ID']
+      ? expandRecurrence(start, parseRule(props.RRULE.value), {
+        from: from - duration,
+        until,
+        exclude: new Set([
+          ...e.exdates.map(x => parseDateProp(x, log)?.ms),
+          ...(overridden.get(uid) || []),
+        ]),
+      })
+      : start.ms + duration >= from && start.ms <= until ? [start.ms] : [];
+
+    for (const startAt of starts) {
+      occurrences.push({
+        uid,
+        title: props.SUMMARY ? unescapeText(props.SUMMARY.value) : '',
+        startAt: new Date(startAt),
+        endAt: new Date(startAt + duration),
+        text,
+      });
+    }
+  }
+  return occurrences.sort((a, b) => a.startAt - b.startAt);
+}
+
+// ============================================================
+// Scheduler
+// ============================================================
+
+/**
+ * Entry statuses: scheduled → starting → started | failed; or cancelled.
+ * Events: scheduled, started, failed, cancelled (each with the entry).
+ */
+export class JoinScheduler extends EventEmitter {
+  /**
+   * @param startSession  async ({ invitation, meetingId, passcode, participantId, platform, dialInNumber }) → session
+   * @param earlyJoinMs   dial this long before the start time
+   * @param lateJoinMs    still join a meeting that started at most this long ago
+   * @param horizonMs     how far ahead ICS events are scheduled
+   */
+  constructor({ startSession, earlyJoinMs = 60000, lateJoinMs = 10 * 60 * 1000, horizonMs = 7 * DAY_MS, log = defaultLog }) {
+    super();
+    this.startSession = startSession;
+    this.earlyJoinMs = earlyJoinMs;
+    this.lateJoinMs = lateJoinMs;
+    this.horizonMs = horizonMs;
+    this.log = log;
+    this.entries = new Map();   // id → entry
+    this._feedTimer = null;
+  }
+
+  /**
+   * Schedule one join. `startAt` is the meeting start (Date, ISO string or
+   * epoch ms); meeting details come from `invitation` and / or explicit fields.
+   * Throws if there is nothing to dial or the time is not usable.
+   */
+  add({ startAt, title = '', invitation, meetingId, passcode, participantId, platform, dialInNumber, earlyJoinMs, source = 'api', key, id }) {
+    const start = new Date(startAt);
+    if (isNaN(start)) throw new Error('startAt must be a date / time');
+
+    const invite = invitation ? parseInvitation(invitation) : null;
+    if (!meetingId && !invite?.meetingId) throw new Error('meetingId or invitation with a meeting ID is required');
+
+    const early = earlyJoinMs ?? this.earlyJoinMs;
+    if (!(Number.isFinite(early) && early >= 0)) throw new Error('earlyJoinMs must be a non-negative number');
+    const joinAt = new Date(start.getTime() - early);
+    if (start.getTime() < Date.now() - this.lateJoinMs) throw new Error('startAt is in the past');
+
+    const entry = {
+      id: id || randomUUID(),
+      key: key || null,
+      source,
+      title: title || invite?.joinUrl || '',
+      startAt: start,
+      joinAt,
+      platform: platform || invite?.platform || 'zoom',
+      meetingId: meetingId || invite.meetingId,
+      passcode,
+      participantId,
+      dialInNumber,
+      invitation,
+      status: 'scheduled',
+      sessionId: null,
+      error: null,
+      createdAt: new Date(),
+    };
+    this.entries.set(entry.id, entry);
+    this.arm(entry);
+    this.log('info', `Scheduled "${entry.title || entry.platform}" at ${start.toISOString()} (dial at ${joinAt.toISOString()})`);
+    this.emit('scheduled', entry);
+    return entry;
+  }
+
+  /**
+   * Import the meetings in an ICS document. Re-importing the same source
+   * updates changed events; with `replace` (feeds) events that disappeared
+   * are cancelled. Returns the entries scheduled from it.
+   */
+  importIcs(ics, { source = 'ics', replace = false } = {}) {
+    const now = Date.now();
+    const occurrences = parseIcsEvents(ics, { from: now - this.lateJoinMs, until: now + this.horizonMs, log: this.log });
+    const seen = new Set();
+    const imported = [];
+
+    for (const occ of occurrences) {
+      const key = `${source}:${occ.uid}:${occ.startAt.getTime()}`;
+      seen.add(key);
+      const existing = this.findByKey(key);
+      if (existing) {
+        // Details may have changed (new passcode, new dial-in) — refresh if still pending
+        if (existing.status === 'scheduled' && existing.invitation !== occ.text) {
+          this.cancel(existing.id, { silent: true });
+        } else {
+          if (existing.status === 'scheduled') imported.push(existing);
+          continue;
+        }
+      }
+      if (!parseInvitation(occ.text).meetingId) {
+        this.log('debug', `Skipping "${occ.title}": no meeting ID`);
+        continue;
+      }
+      try {
+        imported.push(this.add({ startAt: occ.startAt, title: occ.title, invitation: occ.text, source, key }));
+      } catch (err) {
+        this.log('warn', `Skipping "${occ.title}": ${err.message}`);
+      }
+    }
+
+    // Gone from the calendar (deleted or moved) → no longer join it
+    if (replace) {
+      for (const entry of this.entries.values()) {
+        if (entry.source === source && entry.status === 'scheduled' && !seen.has(entry.key)) {
+          this.cancel(entry.id);
+        }
+      }
+    }
+    return imported;
+  }
+
+  /**
+   * Import from a URL (http, https, webcal) or a file path now, then again
+   * every `intervalMs`.
+   */
+  watchFeed(location, intervalMs = 5 * 60 * 1000) {
+    this.stopFeed();
+    let refreshing = false;
+    const refresh = async () => {
+      // A slow feed must not have two replacing imports racing each other
+      if (refreshing) return this.log('warn', 'Calendar refresh still running, skipping this one');
+      refreshing = true;
+      try {
+        const entries = this.importIcs(await loadIcs(location), { source: `feed:${location}`, replace: true });
+        this.log('info', `Calendar refreshed: ${entries.length} upcoming join(s)`);
+      } catch (err) {
+        this.log('error', `Calendar refresh failed: ${err.message}`);
+      } finally {
+        refreshing = false;
+      }
+    };
+    this._feedTimer = setInterval(refresh, intervalMs);
+    return refresh();
+  }
+
+  stopFeed() {
+    clearInterval(this._feedTimer);
+    this._feedTimer = null;
+  }
+
+  // Wait for joinAt, in steps when it is too far off for one timer
+  arm(entry) {
+    clearTimeout(entry._timer);
+    const delay = entry.joinAt.getTime() - Date.now();
+    if (delay > MAX_TIMER_MS) {
+      entry._timer = setTimeout(() => this.arm(entry), MAX_TIMER_MS);
+    } else {
+      entry._timer = setTimeout(() => this.fire(entry), Math.max(0, delay));
+    }
+  }
+
+  async fire(entry) {
+    if (entry.status !== 'scheduled') return;
+    entry.status = 'starting';
+    this.log('info', `Joining "${entry.title || entry.meetingId}"`);
+    try {
+      const session = await this.startSession({
+        invitation: entry.invitation,
+        meetingId: entry.meetingId,
+        passcode: entry.passcode,
+        participantId: entry.participantId,
+        platform: entry.platform,
+        dialInNumber: entry.dialInNumber,
+      });
+      entry.status = 'started';
+      entry.sessionId = session.id;
+      this.emit('started', entry);
+    } catch (err) {
+      entry.status = 'failed';
+      entry.error = err.message;
+      this.log('error', `Scheduled join failed: ${err.message}`);
+      this.emit('failed', entry);
+    }
+  }
+
+  cancel(id, { silent = false } = {}) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    clearTimeout(entry._timer);
+    if (silent) {
+      this.entries.delete(id);
+      return entry;
+    }
+    if (entry.status === 'scheduled') {
+      entry.status = 'cancelled';
+      entry.cancelledAt = new Date();
+      this.emit('cancelled', entry);
+    }
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  findByKey(key) {
+    for (const entry of this.entries.values()) if (entry.key === key) return entry;
+    return null;
+  }
+
+  // Upcoming first; finished / cancelled entries drop off after a day
+  list({ all = false } = {}) {
+    this.prune();
+    return [...this.entries.values()]
+      .filter(e => all || e.status === 'scheduled' || e.status === 'starting')
+      .sort((a, b) => a.joinAt - b.joinAt);
+  }
+
+  prune() {
+    const cutoff = Date.now() - HISTORY_MS;
+    for (const [id, entry] of this.entries) {
+      if (entry.status !== 'scheduled' && entry.status !== 'starting' && entry.startAt.getTime() < cutoff) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Joins still to come, JSON-safe, for saving across a restart.
+   */
+  toJSON() {
+    return [...this.entries.values()]
+      .filter(e => e.status === 'scheduled')
+      .map(({ id, key, source, title, startAt, joinAt, platform, meetingId, passcode, participantId, dialInNumber, invitation }) =>
+        ({ id, key, source, title, startAt, joinAt, platform, meetingId, passcode, participantId, dialInNumber, invitation }));
+  }
+
+  /**
+   * Schedule saved entries (toJSON) again, keeping their IDs. Meetings that
+   * started too long ago are dropped. Returns the entries armed.
+   */
+  restore(saved = []) {
+    const restored = [];
+    for (const data of saved) {
+      if (this.entries.has(data.id)) continue;
+      try {
+        const earlyJoinMs = new Date(data.startAt) - new Date(data.joinAt);
+        restored.push(this.add({ ...data, earlyJoinMs }));
+      } catch (err) {
+        this.log('info', `Not restoring "${data.title || data.meetingId}": ${err.message}`);
+      }
+    }
+    return restored;
+  }
+
+  stop() {
+    this.stopFeed();
+    for (const entry of this.entries.values()) clearTimeout(entry._timer);
+  }
+}
+
+/**
+ * JSON-safe view of an entry (no timer, no raw invitation text).
+ */
+export function describeEntry(entry) {
+  const { _timer, invitation, key, passcode, ...rest } = entry;
+  return { ...rest, hasPasscode: Boolean(passcode || (invitation && parseInvitation(invitation).passcode)) };
+}
+
+/**
+ * Fetch an ICS feed or read a file. webcal:// is fetched over https.
+ */
+export async function loadIcs(location) {
+  if (/^(https?|webcal):\/\//i.test(location)) {
+    const res = await fetch(location.replace(/^webcal:/i, 'https:'));
+    if (!res.ok) throw new Error(`ICS fetch ${res.status} ${res.statusText}`);
+    return res.text();
+  }
+  return readFileSync(location, 'utf-8');
+}
@@ -0,0 +1,94 @@
+/**
+ * Local session store for the bridge
+ *
+ * One JSON file per session (<dir>/<sessionId>.json) so a restarted bridge
+ * can pick up calls that Telnyx kept up. Writes are debounced per session
+ * (transcripts arrive several times a second) and atomic (temp file +
+ * rename), so a crash mid-write never leaves a truncated file.
+ *
+ * Files hold meeting passcodes, so the directory is created owner-only.
+ *
+ *   SESSION_STORE_DIR  where files go (default: .sessions in the working directory)
+ */
+
+import { mkdirSync, readdirSync, readFileSync, writeFileSync, renameSync, unlinkSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`💾 Store: ${msg}`);
+}
+
+export class SessionStore {
+  constructor({ dir = process.env.SESSION_STORE_DIR || '.sessions', debounceMs = 500, log = defaultLog } = {}) {
+    this.dir = resolve(dir);
+    this.debounceMs = debounceMs;
+    this.log = log;
+    this.pending = new Map();   // id → { timer, snapshot }
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  path(id) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Queue a write. `snapshot` is called when the write happens, so bursts
+   * of changes cost one serialisation.
+   */
+  save(id, snapshot) {
+    const pending = this.pending.get(id);
+    if (pending) {
+      pending.snapshot = snapshot;
+      return;
+    }
+    const timer = setTimeout(() => this.write(id), this.debounceMs);
+    this.pending.set(id, { timer, snapshot });
+  }
+
+  write(id) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(id);
+    try {
+      const file = this.path(id);
+      writeFileSync(`${file}.tmp`, JSON.stringify(pending.snapshot(), null, 2), { mode: 0o600 });
+      renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      this.log('error', `Save ${id} failed: ${err.message}`);
+    }
+  }
+
+  // Write everything queued now (shutdown)
+  flush() {
+    for (const id of [...this.pending.keys()]) this.write(id);
+  }
+
+  remove(id) {
+    const pending = this.pending.get(id);
+    if (pending) clearTimeout(pending.timer);
+    this.pending.delete(id);
+    try {
+      if (existsSync(this.path(id))) unlinkSync(this.path(id));
+    } catch (err) {
+      this.log('warn', `Remove ${id} failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Every stored session. Unreadable files are skipped (and left in place
+   * for a look) rather than blocking startup.
+   */
+  loadAll() {
+    const sessions = [];
+    for (const name of readdirSync(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        sessions.push(JSON.parse(readFileSync(join(this.dir, name), 'utf-8')));
+      } catch (err) {
+        this.log('warn', `Skipping ${name}: ${err.message}`);
+      }
+    }
+    return sessions;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Meeting speakers — voice labels and names for the standalone agents
+ *
+ * m2 and m3 take their transcript from Telnyx and open a media stream only
+ * to tell the voices apart: its inbound track goes through the VAD to a
+ * SpeakerDiarizer, labelled transcript entries go to a SpeakerRoster, and
+ * an operator can correct a name over HTTP. (The bridge does the same per
+ * session in its MediaBridge.)
+ *
+ * Usage:
+ *   const speakers = DIARIZE ? new MeetingSpeakers({ server, codec: 'L16', roster, listening: () => inMeeting }) : null;
+ *   mountSpeakerRoutes(app, speakers);   // PUT / DELETE /speakers/:label
+ *   speakers.diarizer.attach(entry);     // label a transcript entry
+ *   speakers.name('Speaker 2');          // 'Alice', or 'Speaker 2' until named
+ *   speakers.list();                     // [{ label, segments, speechMs, name, ... }]
+ *
+ * The media stream connects to `path` on `server`; ask for it with
+ * streaming_start (stream_track inbound_track, stream_codec `codec`).
+ */
+
+import { WebSocketServer } from 'ws';
+import { StreamDecoder, decoderForStream, STREAM_CODECS } from './audio.js';
+import { VoiceActivityDetector } from './vad.js';
+import { SpeakerDiarizer } from './diarization.js';
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🎵 ${msg}`);
+}
+
+export class MeetingSpeakers {
+  /**
+   * @param server     http.Server the media stream connects to
+   * @param codec      STREAM_CODECS key asked for on streaming_start
+   * @param roster     SpeakerRoster that names the voices, or null
+   * @param listening  () => whether the inbound audio counts (in the meeting)
+   * @param record     (type, data) => void: speaker / roster events for the call recorder
+   */
+  constructor({
+    server,
+    path = '/media',
+    codec = 'L16',
+    roster = null,
+    listening = () => true,
+    record = () => {},
+    log = defaultLog,
+  } = {}) {
+    this.codec = codec;
+    this.rate = STREAM_CODECS[codec].rate;
+    this.roster = roster;
+    this.listening = listening;
+    this.log = log;
+    this.diarizer = new SpeakerDiarizer();
+    this.vad = new VoiceActivityDetector({ sampleRate: this.rate });
+    this.vad.on('utterance', (utterance) => this.diarizer.defer(utterance));
+    this.diarizer.on('speaker', ({ speaker, isNew }) => record('speaker', { speaker, isNew }));
+    this.diarizer.on('labelled', ({ entry }) => roster?.heard(entry));
+    roster?.on('named', ({ label, name, source }) => record('roster', { speaker: label, name, source }));
+
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (ws) => this.connected(ws));
+  }
+
+  // One Telnyx media stream: its inbound track to the VAD while listening
+  connected(ws) {
+    // Replaced by what the stream says it carries once it starts
+    let inbound = new StreamDecoder({ codec: this.codec, rate: this.rate });
+    ws.on('message', (data) => {
+      try {
+        const msg = JSON.parse(data);
+        if (msg.event === 'start') {
+          inbound = decoderForStream(msg.start?.media_format, { rate: this.rate, fallback: this.codec });
+          this.log('info', `Media stream started (${inbound.codec} ${inbound.streamRate}Hz)`);
+        } else if (msg.event === 'media' && msg.media?.track === 'inbound' && this.listening()) {
+          this.vad.push(inbound.decode(Buffer.from(msg.media.payload, 'base64')));
+        }
+      } catch {}
+    });
+    ws.on('close', () => {
+      this.vad.reset();
+      this.log('info', 'Media stream closed');
+    });
+  }
+
+  // What to call a voice: its name once known
+  name(label) {
+    return this.roster?.display(label) || label;
+  }
+
+  // "Speaker 2" or "2" → the label, if that voice was heard
+  label(param) {
+    return speakerLabel(this.diarizer, param);
+  }
+
+  // The voices heard so far, named where the roster knows them
+  list() {
+    return speakerList(this.diarizer, this.roster);
+  }
+}
+
+// A known voice from "Speaker 2" or "2" (operator API), or null
+export function speakerLabel(diarizer, param) {
+  const label = /^\d+$/.test(param) ? `Speaker ${param}` : param;
+  return diarizer.speakers().some(s => s.label === label) ? label : null;
+}
+
+// The voices heard so far, with their names when there is a roster
+export function speakerList(diarizer, roster) {
+  const speakers = diarizer.speakers();
+  return roster ? roster.list(speakers) : speakers;
+}
+
+/**
+ * PUT <path> { name } names a voice ("Speaker 2" or 2); DELETE goes back
+ * to the name it was heard by.
+ *
+ * `speakers` is anything with a `diarizer` and a `roster` (MeetingSpeakers),
+ * or a function of the request that finds one (the bridge: per session);
+ * undefined from it is a 404. Null, or no roster (DIARIZE / ROSTER off),
+ * answers 409.
+ */
+export function mountSpeakerRoutes(app, speakers, { path = '/speakers/:label', notFound = 'Not found' } = {}) {
+  const lookup = typeof speakers === 'function' ? speakers : () => speakers;
+
+  // { target, label }, or null once the error has been sent
+  const found = (req, res) => {
+    const fail = (status, error) => { res.status(status).json({ error }); return null; };
+    const target = lookup(req);
+    if (target === undefined) return fail(404, notFound);
+    if (!target?.roster) return fail(409, 'Speaker names are off (DIARIZE / ROSTER)');
+    const label = speakerLabel(target.diarizer, req.params.label);
+    if (!label) return fail(404, `No such speaker: ${req.params.label}`);
+    return { target, label };
+  };
+
+  app.put(path, (req, res) => {
+    const route = found(req, res);
+    if (!route) return;
+    // {"name": 5} or {"name": {}} is a bad request, not a crash
+    const name = req.body?.name;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name must be a non-empty string' });
+    route.target.roster.set(route.label, name);
+    res.json({ speakers: speakerList(route.target.diarizer, route.target.roster) });
+  });
+
+  app.delete(path, (req, res) => {
+    const route = found(req, res);
+    if (!route) return;
+    route.target.roster.set(route.label, null);
+    res.json({ speakers: speakerList(route.target.diarizer, route.target.roster) });
+  });
+}
@@ -0,0 +1,136 @@
+/**
+ * Telnyx webhook signature verification
+ *
+ * Telnyx signs every webhook with Ed25519 over "<timestamp>|<raw body>" and
+ * sends the result in two headers:
+ *
+ *   telnyx-signature-ed25519  base64 signature
+ *   telnyx-timestamp          unix seconds
+ *
+ * The webhook URLs are public (ngrok, bridge host), so without this anyone
+ * could post a fake `call.transcription` and put words in the agent's mouth.
+ *
+ * Usage (express):
+ *   app.use(express.json({ verify: captureRawBody }));
+ *   app.post('/webhook', verifyTelnyxWebhook(), (req, res) => { ... });
+ *
+ * Configuration:
+ *   TELNYX_PUBLIC_KEY          base64 key from Mission Control → Keys & Credentials
+ *                              (a PEM public key also works)
+ *   TELNYX_WEBHOOK_TOLERANCE   max clock skew in seconds (default: 300)
+ *   TELNYX_WEBHOOK_VERIFY      set to "false" to accept unsigned webhooks (local testing only)
+ */
+
+import { createPublicKey, verify } from 'crypto';
+
+export const SIGNATURE_HEADER = 'telnyx-signature-ed25519';
+export const TIMESTAMP_HEADER = 'telnyx-timestamp';
+
+// DER prefix that wraps a raw 32-byte Ed25519 key as SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🔒 Webhook: ${msg}`);
+}
+
+/**
+ * express.json({ verify }) hook: keep the exact bytes Telnyx signed.
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+export function loadPublicKey(value) {
+  const key = value.trim();
+  if (key.startsWith('-----BEGIN')) return createPublicKey(key);
+  const raw = Buffer.from(key, 'base64');
+  if (raw.length !== 32) throw new Error(`TELNYX_PUBLIC_KEY must be a 32-byte Ed25519 key (got ${raw.length} bytes)`);
+  return createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+export class WebhookVerifier {
+  /**
+   * @param publicKey      base64 / PEM Telnyx public key
+   * @param toleranceSecs  reject timestamps further than this from our clock
+   */
+  constructor({ publicKey, toleranceSecs = 300 }) {
+    this.key = loadPublicKey(publicKey);
+    this.toleranceSecs = toleranceSecs;
+    // Signatures already accepted → expiry (ms). A signature is only valid
+    // inside the tolerance window, so entries can go once that has passed.
+    this.seen = new Map();
+  }
+
+  /**
+   * Returns { ok: true } or { ok: false, reason }.
+   */
+  verify({ signature, timestamp, rawBody, now = Date.now() }) {
+    if (!signature || !timestamp) return { ok: false, reason: 'missing signature headers' };
+    if (!rawBody) return { ok: false, reason: 'missing body' };
+
+    const ts = parseInt(timestamp);
+    if (!Number.isFinite(ts)) return { ok: false, reason: 'bad timestamp' };
+    if (Math.abs(now / 1000 - ts) > this.toleranceSecs) return { ok: false, reason: `timestamp outside ±${this.toleranceSecs}s` };
+
+    const signed = Buffer.concat([Buffer.from(`${ts}|`), Buffer.from(rawBody)]);
+    let valid = false;
+    try {
+      valid = verify(null, signed, this.key, Buffer.from(signature, 'base64'));
+    } catch {
+      valid = false;
+    }
+    if (!valid) return { ok: false, reason: 'invalid signature' };
+
+    this.prune(now);
+    if (this.seen.has(signature)) return { ok: false, reason: 'replayed request' };
+    this.seen.set(signature, now + this.toleranceSecs * 1000 * 2);
+    return { ok: true };
+  }
+
+  prune(now = Date.now()) {
+    for (const [signature, expires] of this.seen) {
+      if (expires < now) this.seen.delete(signature);
+    }
+  }
+}
+
+/**
+ * Express middleware that rejects (401) unsigned, forged, stale or replayed
+ * webhooks. Without TELNYX_PUBLIC_KEY every webhook is rejected unless
+ * TELNYX_WEBHOOK_VERIFY=false turns checking off.
+ */
+export function verifyTelnyxWebhook({
+  publicKey = process.env.TELNYX_PUBLIC_KEY,
+  toleranceSecs = parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE || '300'),
+  enabled = process.env.TELNYX_WEBHOOK_VERIFY !== 'false',
+  log = defaultLog,
+} = {}) {
+  if (!enabled) {
+    log('warn', 'Signature verification disabled (TELNYX_WEBHOOK_VERIFY=false) — anyone with the URL can post events');
+    return (req, res, next) => next();
+  }
+
+  let verifier = null;
+  if (publicKey) {
+    verifier = new WebhookVerifier({ publicKey, toleranceSecs });
+  } else {
+    log('error', 'TELNYX_PUBLIC_KEY not set — all webhooks will be rejected (set TELNYX_WEBHOOK_VERIFY=false to skip checks)');
+  }
+
+  return (req, res, next) => {
+    const result = verifier
+      ? verifier.verify({
+        signature: req.get(SIGNATURE_HEADER),
+        timestamp: req.get(TIMESTAMP_HEADER),
+        rawBody: req.rawBody,
+      })
+      : { ok: false, reason: 'no TELNYX_PUBLIC_KEY configured' };
+
+    if (!result.ok) {
+      const eventType = req.body?.data?.event_type || req.body?.event_type || 'unknown';
+      log('warn', `Rejected ${eventType} from ${req.ip}: ${result.reason}`);
+      return res.status(401).json({ error: 'invalid webhook signature' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Turn taking — decide when someone has finished and whether to answer
+ *
+ * A fixed wait after the last final transcript cuts in on slow speakers and
+ * lags behind quick exchanges. Each final transcript is looked at instead:
+ *
+ *   unfinished   trails off on a conjunction, filler or comma ("and",
+ *                "um", "然后", "so,") — give the speaker time (`unfinishedMs`)
+ *   finished     ends a sentence — a short pause (`pauseMs`), shorter still
+ *                for a question put to the agent (`quickMs`)
+ *   unsure       no punctuation either way (`unsureMs`)
+ *
+ * Interim transcripts mean the speaker is still going and hold the turn
+ * open. When the pause runs out with nobody talking, the turn is decided:
+ * respond, or don't (listen-only and not addressed, a bare "yeah" / "okay",
+ * a fragment). While the agent is speaking the decision waits for agentDone().
+ *
+ * Every decision comes with its reason, and is logged.
+ *
+ * Usage:
+ *   const turns = new TurnTaker({ isAddressed: (text) => /assistant/i.test(text), isBusy: () => speaking });
+ *   turns.on('respond', ({ text, reason }) => answer(text));
+ *   turns.interim(partial);        // someone is talking
+ *   turns.final(transcript);       // a finished segment
+ *   turns.agentDone();             // the agent stopped speaking
+ *
+ * Events: decision { action, reason, text, waitMs }   action: wait | respond | ignore
+ *         respond { text, reason }
+ *         ignore { text, reason }
+ *
+ * Configuration:
+ *   TURN_QUICK_MS        pause after a finished question to the agent (default: 300)
+ *   TURN_PAUSE_MS        pause after a finished sentence (default: 800)
+ *   TURN_UNSURE_MS       pause when the transcript has no sentence end (default: BUFFER_DELAY or 1500)
+ *   TURN_UNFINISHED_MS   pause after a trailing "and" / "um" / comma (default: 3000)
+ */
+
+import { EventEmitter } from 'events';
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback);
+
+const UNFINISHED = [
+  /\b(and|but|or|because|cause|if|the|a|an|of|with|um+|uh+|er+|erm)[\s.…-]*$/i,
+  /(然后|但是|可是|所以|因为|还有|就是|而且|或者|如果|和|跟|的话|嗯+|呃+)[\s。.…]*$/,
+  /(,|，|、|\.\.\.|…|-)\s*$/,
+];
+const FINISHED = /[.!?。！？]["'”’)\]]*\s*$/;
+const QUESTION = [
+  /[?？]["'”’)\]]*\s*$/,
+  /[吗呢吧][。.]?\s*$/,
+  /^(what|who|whom|whose|why|how|when|where|which|can|could|would|will|do|does|did|is|are|was|were|should|shall|may|have|has)\b/i,
+];
+const BACKCHANNEL = /^(yeah|yes|yep|yup|no|nope|ok|okay|right|sure|mm+[- ]?hmm+|uh[- ]?huh|got it|i see|cool|great|nice|thanks|thank you|嗯+|哦+|好的?|对的?|是的?|行|没错)([\s,，.。!！]+(yeah|yes|ok|okay|right|sure|thanks|嗯+|好的?|对))*[\s.。!！]*$/i;
+
+const REPLY_WINDOW_MS = 10000; // a bare "yes" this soon after the agent spoke answers it
+const MIN_CHARS = 4;           // letters (CJK: 2 characters) below which it's a fragment
+
+function defaultLog(level, msg) {
+  if (level !== 'debug') console.log(`🔀 Turn: ${msg}`);
+}
+
+/**
+ * What a turn's text says about whether it's over. Exported for logging.
+ */
+export function analyzeTurn(text) {
+  const t = text.trim();
+  const unfinished = UNFINISHED.find(p => p.test(t));
+  return {
+    unfinished: unfinished ? t.match(unfinished)[0].replace(/[\s.。…]+$/, '').trim() || t.slice(-1) : null,
+    finished: !unfinished && FINISHED.test(t),
+    question: QUESTION.some(p => p.test(t)),
+    backchannel: BACKCHANNEL.test(t),
+  };
+}
+
+function isFragment(text) {
+  const letters = text.replace(/[\s\p{P}]/gu, '');
+  const cjk = /[\u4e00-\u9fff]/.test(letters);
+  return letters.length < (cjk ? 2 : MIN_CHARS);
+}
+
+export class TurnTaker extends EventEmitter {
+  /**
+   * @param isAddressed  (text) => truthy if the agent was spoken to (a string says how)
+   * @param isBusy       () => boolean — is the agent speaking (or otherwise can't answer)
+   * @param listenOnly   only answer when addressed
+   */
+  constructor({
+    isAddressed = () => false,
+    isBusy = () => false,
+    listenOnly = false,
+    quickMs = env('TURN_QUICK_MS', 300),
+    pauseMs = env('TURN_PAUSE_MS', 800),
+    unsureMs = env('TURN_UNSURE_MS', process.env.BUFFER_DELAY || 1500),
+    unfinishedMs = env('TURN_UNFINISHED_MS', 3000),
+    log = defaultLog,
+  } = {}) {
+    super();
+    this.isAddressed = isAddressed;
+    this.isBusy = isBusy;
+    this.listenOnly = listenOnly;
+    this.quickMs = quickMs;
+    this.pauseMs = pauseMs;
+    this.unsureMs = unsureMs;
+    this.unfinishedMs = unfinishedMs;
+    this.log = log;
+
+    this.segments = [];        // final transcripts of the turn so far
+    this.timer = null;
+    this.talking = false;      // interim transcripts since the last final
+    this.agentSpokeAt = null;
+  }
+
+  get text() {
+    return this.segments.join(' ');
+  }
+
+  /**
+   * An interim transcript: the speaker is still going. Holds a pending turn
+   * open (until the final, or `unfinishedMs` if that never comes).
+   */
+  interim(text) {
+    if (!text?.trim() || !this.segments.length) return;
+    if (!this.talking) {
+      this.talking = true;
+      this.decide('wait', 'still talking', this.unfinishedMs);
+    } else {
+      this.arm(this.unfinishedMs);
+    }
+  }
+
+  // A final transcript: part of the current turn, maybe its end
+  final(text) {
+    text = text?.trim();
+    if (!text) return;
+    this.segments.push(text);
+    this.talking = false;
+    this.evaluate();
+  }
+
+  // How long to wait for more, from how the turn ends
+  evaluate() {
+    const text = this.text;
+    const turn = analyzeTurn(text);
+    const addressed = this.isAddressed(text);
+    if (turn.unfinished) return this.decide('wait', `unfinished ("${turn.unfinished}")`, this.unfinishedMs);
+    if (turn.finished && turn.question && addressed) return this.decide('wait', 'question to the agent', this.quickMs);
+    if (turn.finished) return this.decide('wait', turn.question ? 'question finished' : 'sentence finished', this.pauseMs);
+    return this.decide('wait', 'no sentence end', this.unsureMs);
+  }
+
+  // Nobody spoke for the whole pause: the turn is over
+  settle() {
+    this.timer = null;
+    const text = this.text;
+    if (!text) return;
+    if (this.isBusy()) {
+      this.decide('wait', 'agent is speaking', null);
+      return;
+    }
+
+    const turn = analyzeTurn(text);
+    const addressed = this.isAddressed(text);
+    const reply = this.agentSpokeAt !== null && Date.now() - this.agentSpokeAt < REPLY_WINDOW_MS;
+    if (this.listenOnly && !addressed) return this.decide('ignore', 'not addressed (listen-only)');
+    if (addressed) return this.decide('respond', typeof addressed === 'string' ? `addressed (${addressed})` : 'addressed');
+    if (turn.backchannel) return reply ? this.decide('respond', 'reply to the agent') : this.decide('ignore', 'backchannel');
+    if (isFragment(text)) return this.decide('ignore', 'too short');
+    return this.decide('respond', turn.question ? 'question' : 'turn ended');
+  }
+
+  /**
+   * Record and act on a decision. `wait` (re)arms the pause timer for
+   * waitMs (null: until agentDone()); respond / ignore end the turn.
+   */
+  decide(action, reason, waitMs = null) {
+    const text = this.text;
+    this.log('info', `${action} — ${reason}${waitMs !== null && action === 'wait' ? ` (${waitMs}ms)` : ''}: "${text.slice(0, 60)}"`);
+    this.emit('decision', { action, reason, text, waitMs: action === 'wait' ? waitMs : null });
+    if (action === 'wait') {
+      if (waitMs === null) clearTimeout(this.timer);
+      else this.arm(waitMs);
+      return;
+    }
+    this.clear();
+    this.emit(action, { text, reason });
+  }
+
+  arm(ms) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.settle(), ms);
+  }
+
+  // The agent finished speaking: a turn that waited on it is decided now
+  agentDone() {
+    this.agentSpokeAt = Date.now();
+    if (this.segments.length && !this.talking) this.evaluate();
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.segments = [];
+    this.talking = false;
+  }
+}
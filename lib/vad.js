@@ -0,0 +1,178 @@
+/**
+ * Voice activity detector — cuts a PCM stream into utterances
+ *
+ * Energy-based, with a noise floor that tracks the line while nobody is
+ * talking (phone bridges hiss at very different levels). Speech starts when
+ * a few frames in a row are `thresholdDb` above the floor and ends after
+ * `hangoverMs` below it. Each utterance carries `preRollMs` of audio from
+ * before the start so the first syllable isn't clipped.
+ *
+ * Usage:
+ *   const vad = new VoiceActivityDetector({ sampleRate: 8000 });
+ *   vad.on('utterance', ({ pcm, startedAt, endedAt, durationMs }) => { ... });
+ *   vad.push(pcm16);  // any chunk size
+ *
+ * Events: speech_start { startedAt }
+ *         utterance { pcm, sampleRate, startedAt, endedAt, durationMs, truncated }
+ *         discarded { durationMs }   (too short to be speech — a click or cough)
+ *
+ * Configuration (defaults for the constructor options):
+ *   VAD_THRESHOLD_DB      dB above the noise floor that counts as speech (default: 10)
+ *   VAD_PRE_ROLL_MS       audio kept from before speech starts (default: 300)
+ *   VAD_HANGOVER_MS       silence that ends an utterance (default: 700)
+ *   VAD_MIN_SPEECH_MS     shorter bursts are dropped (default: 250)
+ *   VAD_MAX_UTTERANCE_MS  long monologues are cut here (default: 15000)
+ */
+
+import { EventEmitter } from 'events';
+
+const env = (name, fallback) => parseInt(process.env[name] || fallback);
+
+function energyDb(frame) {
+  let sum = 0;
+  const n = frame.length / 2;
+  for (let i = 0; i < frame.length; i += 2) {
+    const s = frame.readInt16LE(i);
+    sum += s * s;
+  }
+  return 10 * Math.log10(sum / n + 1);
+}
+
+export class VoiceActivityDetector extends EventEmitter {
+  constructor({
+    sampleRate = 8000,
+    frameMs = 20,
+    thresholdDb = env('VAD_THRESHOLD_DB', 10),
+    minEnergyDb = 40,            // never call anything quieter than this speech (~RMS 100)
+    startFrames = 3,             // frames above threshold before speech starts
+    preRollMs = env('VAD_PRE_ROLL_MS', 300),
+    hangoverMs = env('VAD_HANGOVER_MS', 700),
+    minSpeechMs = env('VAD_MIN_SPEECH_MS', 250),
+    maxUtteranceMs = env('VAD_MAX_UTTERANCE_MS', 15000),
+  } = {}) {
+    super();
+    this.sampleRate = sampleRate;
+    this.frameMs = frameMs;
+    this.frameBytes = sampleRate * frameMs / 1000 * 2;
+    this.thresholdDb = thresholdDb;
+    this.minEnergyDb = minEnergyDb;
+    this.startFrames = startFrames;
+    this.preRollFrames = Math.ceil(preRollMs / frameMs);
+    this.hangoverFrames = Math.ceil(hangoverMs / frameMs);
+    this.minSpeechFrames = Math.ceil(minSpeechMs / frameMs);
+    this.maxFrames = Math.ceil(maxUtteranceMs / frameMs);
+    this.reset();
+  }
+
+  reset() {
+    this.partial = Buffer.alloc(0);  // bytes short of a whole frame
+    this.noiseDb = null;
+    this.preRoll = [];               // last preRollFrames frames while silent
+    this.frames = null;              // frames of the utterance in progress
+    this.voiced = 0;                 // consecutive loud frames
+    this.silent = 0;                 // consecutive quiet frames in speech
+    this.speechFrames = 0;           // loud frames in the utterance
+    this.startedAt = null;
+    this.epoch = null;               // wall clock of the first sample
+    this.elapsedFrames = 0;
+  }
+
+  get speaking() {
+    return this.frames !== null;
+  }
+
+  // Wall-clock time of the start of frame `index`
+  timeAt(index) {
+    return new Date(this.epoch + index * this.frameMs);
+  }
+
+  /**
+   * Feed 16-bit LE PCM at sampleRate.
+   */
+  push(pcm) {
+    if (this.epoch === null) this.epoch = Date.now();
+    let buf = this.partial.length ? Buffer.concat([this.partial, pcm]) : pcm;
+    let offset = 0;
+    for (; offset + this.frameBytes <= buf.length; offset += this.frameBytes) {
+      this.frame(buf.subarray(offset, offset + this.frameBytes));
+    }
+    this.partial = Buffer.from(buf.subarray(offset));
+  }
+
+  frame(frame) {
+    const index = this.elapsedFrames++;
+    const db = energyDb(frame);
+    if (this.noiseDb === null) this.noiseDb = db;
+    const loud = db > Math.max(this.noiseDb + this.thresholdDb, this.minEnergyDb);
+
+    if (!this.speaking) {
+      this.preRoll.push(frame);
+      this.voiced = loud ? this.voiced + 1 : 0;
+      if (!loud) {
+        // Follow the floor quickly down, slowly up
+        this.noiseDb += (db - this.noiseDb) * (db < this.noiseDb ? 0.3 : 0.05);
+      }
+      if (this.voiced >= this.startFrames) {
+        this.frames = this.preRoll;
+        this.speechFrames = this.voiced;
+        this.silent = 0;
+        this.startedAt = this.timeAt(index + 1 - this.frames.length);
+        this.preRoll = [];
+        this.emit('speech_start', { startedAt: this.startedAt });
+      } else if (this.preRoll.length > Math.max(this.preRollFrames, this.startFrames)) {
+        this.preRoll.shift();
+      }
+      return;
+    }
+
+    this.frames.push(frame);
+    if (loud) {
+      this.speechFrames++;
+      this.silent = 0;
+    } else {
+      this.silent++;
+    }
+
+    if (this.silent >= this.hangoverFrames) {
+      this.end(index + 1, false);
+    } else if (this.frames.length >= this.maxFrames) {
+      this.end(index + 1, true);
+    }
+  }
+
+  end(endIndex, truncated) {
+    const frames = this.frames;
+    const startedAt = this.startedAt;
+    this.frames = null;
+    this.startedAt = null;
+    this.voiced = 0;
+    this.silent = 0;
+
+    const durationMs = frames.length * this.frameMs;
+    if (this.speechFrames < this.minSpeechFrames) {
+      this.emit('discarded', { durationMs });
+      return;
+    }
+    this.emit('utterance', {
+      pcm: Buffer.concat(frames),
+      sampleRate: this.sampleRate,
+      startedAt,
+      endedAt: this.timeAt(endIndex),
+      durationMs,
+      truncated,
+    });
+
+    // A monologue cut at maxUtteranceMs carries straight on
+    if (truncated) {
+      this.frames = [];
+      this.speechFrames = 0;
+      this.startedAt = this.timeAt(endIndex);
+    }
+  }
+
+  // End of stream: hand over whatever is in progress
+  flush() {
+    if (this.speaking && this.frames.length) this.end(this.elapsedFrames, false);
+    this.reset();
+  }
+}
@@ -3,15 +3,24 @@
  * 
  * 1. Starts cloudflared tunnel for webhook delivery
  * 2. Dials Zoom via Telnyx PSTN
- * 3. Joins meeting with DTMF (stepped pattern)
- * 4. Starts Telnyx real-time transcription
+ * 3. Joins meeting with DTMF, answering each IVR prompt as it is heard
+ * 4. Keeps Telnyx real-time transcription running in the meeting
  * 5. Receives transcripts via webhook, prints live
+ * 6. Labels them by voice ("Speaker 1") from an inbound media stream (DIARIZE),
+ *    named from introductions ("this is Alice") once heard (ROSTER)
  */
 
 import express from 'express';
 import { createServer } from 'http';
 import { spawn } from 'child_process';
 import dotenv from 'dotenv';
+import { IVRNavigator } from './lib/ivr.js';
+import { captureRawBody, verifyTelnyxWebhook } from './lib/telnyx-webhook.js';
+import { meetingFromArgs } from './lib/invitation.js';
+import { CallRecorder, RECORD_CALLS, recordingName, TelnyxRecording } from './lib/recorder.js';
+import { streamCodec, STREAM_CODECS } from './lib/audio.js';
+import { SpeakerRoster } from './lib/roster.js';
+import { MeetingSpeakers, mountSpeakerRoutes } from './lib/speakers.js';
 
 dotenv.config();
 
@@ -21,12 +30,30 @@ const BASE = 'https://api.telnyx.com/v2';
 
 // CLI args
 const args = process.argv.slice(2);
-const meetingId = args.find((_, i) => args[i - 1] === '-m') || args.find((_, i) => args[i - 1] === '--meeting-id');
-const passcode = args.find((_, i) => args[i - 1] === '-p') || args.find((_, i) => args[i - 1] === '--passcode');
+// -m / -p / -P, or -i with a pasted invitation, join URL, .ics file or '-' for stdin
+const { meetingId, passcode, participantId, platform, dialIns } = meetingFromArgs(args);
+// Zoom has a default US number; Teams / Meet / Webex numbers come from the invitation
+const dialIn = platform === 'zoom' ? (process.env.ZOOM_DIAL_IN || '+16699009128') : dialIns[0]?.number;
 const duration = parseInt(args.find((_, i) => args[i - 1] === '-d') || '300');
+const RECORD = RECORD_CALLS || args.includes('--record');
+// Who said what: an inbound media stream is diarized alongside the transcription
+const DIARIZE = process.env.DIARIZE !== 'false';
+const STREAM_CODEC = streamCodec(process.env.STREAM_CODEC || 'L16');
+// ...and the voices named from introductions ("this is Alice")
+const ROSTER = DIARIZE && process.env.ROSTER !== 'false';
 
 if (!meetingId) {
-  console.error('Usage: node m2-live-transcribe.js -m MEETING_ID -p PASSCODE [-d DURATION_SECS]');
+  console.error('Usage: node m2-live-transcribe.js (-m MEETING_ID [-p PASSCODE] [-P PARTICIPANT_ID] | -i INVITATION) [--platform zoom|teams|meet|webex] [-d DURATION_SECS] [--record]');
+  process.exit(1);
+}
+
+if (!dialIn) {
+  console.error(`No dial-in number for ${platform}: pass an invitation (-i) that lists one`);
+  process.exit(1);
+}
+
+if (DIARIZE && !STREAM_CODEC) {
+  console.error(`Unknown STREAM_CODEC: ${process.env.STREAM_CODEC} (expected one of ${Object.keys(STREAM_CODECS).join(', ')})`);
   process.exit(1);
 }
 
@@ -58,19 +85,28 @@ function ts() { return new Date().toISOString().slice(11, 19); }
 
 // --- Transcript storage ---
 const transcripts = [];
+let ivr = null;
+let inMeeting = false;
+let recording = null; // TelnyxRecording, with --record
 
 // --- Express for webhooks ---
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are over the exact bytes
+app.use(express.json({ verify: captureRawBody }));
 
-app.post('/webhook', (req, res) => {
+app.post('/webhook', verifyTelnyxWebhook(), (req, res) => {
   res.sendStatus(200);
   
   const event = req.body?.data || req.body;
   const eventType = event?.event_type;
   const payload = event?.payload || event;
 
+  ivr?.handleEvent(eventType, payload);
+
   if (eventType === 'call.transcription') {
+    // IVR prompts are handled by the navigator
+    if (!inMeeting) return;
+
     const text = payload?.transcription_data?.transcript;
     const isFinal = payload?.transcription_data?.is_final;
     const confidence = payload?.transcription_data?.confidence;
@@ -87,7 +123,9 @@ app.post('/webhook', (req, res) => {
       
       if (isFinal) {
         transcripts.push(entry);
-        console.log(`\n🎤 [${entry.time}] ${entry.text}`);
+        speakers?.diarizer.attach(entry);
+        recording?.recorder.event('transcript', { text: entry.text, confidence });
+        console.log(`\n🎤 [${entry.time}] ${entry.speaker ? `${speakers.name(entry.speaker)}: ` : ''}${entry.text}`);
         if (confidence) console.log(`   confidence: ${confidence.toFixed(2)}`);
       } else {
         process.stdout.write(`\r  💭 ${text.trim().slice(0, 80)}...`);
@@ -97,15 +135,37 @@ app.post('/webhook', (req, res) => {
     console.log(`\n📞 Call ended: ${payload?.hangup_cause}`);
   } else if (eventType === 'call.answered') {
     console.log(`📞 Call answered`);
+    if (RECORD && !recording) {
+      const recorder = new CallRecorder({
+        name: recordingName(`m2-${platform}-${meetingId}`),
+        audio: false,
+        meta: { agent: 'm2', platform, meetingId },
+      });
+      recording = new TelnyxRecording({ api, callControlId: payload.call_control_id, recorder });
+      recording.start();
+    }
+  } else if (eventType === 'call.recording.saved') {
+    recording?.saved(payload);
   } else {
     console.log(`📡 Event: ${eventType}`);
   }
 });
 
-app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length }));
+app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length, speakers: speakers?.list() }));
 
 const server = createServer(app);
 
+// --- Inbound media stream → VAD → speaker labels (DIARIZE), named (ROSTER) ---
+const speakers = DIARIZE ? new MeetingSpeakers({
+  server,
+  codec: STREAM_CODEC,
+  roster: ROSTER ? new SpeakerRoster() : null,
+  listening: () => inMeeting,
+  record: (type, data) => recording?.recorder.event(type, data),
+}) : null;
+// Name a voice ("Speaker 2" or 2), or go back to the name it was heard by
+mountSpeakerRoutes(app, speakers);
+
 // --- Tunnel (ngrok preferred, cloudflared fallback) ---
 function startTunnel(port) {
   return new Promise((resolve, reject) => {
@@ -196,10 +256,10 @@ async function main() {
   }
 
   // 3. Dial Zoom
-  console.log(`\n📞 Dialing Zoom meeting ${meetingId}...`);
+  console.log(`\n📞 Dialing ${platform} meeting ${meetingId} via ${dialIn}...`);
   const call = await api('POST', '/calls', {
     connection_id: process.env.TELNYX_CONNECTION_ID,
-    to: process.env.ZOOM_DIAL_IN || '+16699009128',
+    to: dialIn,
     from: process.env.TELNYX_DID,
     timeout_secs: 60,
     webhook_url: webhookUrl,
@@ -209,60 +269,64 @@ async function main() {
   const ccid = call.data.call_control_id;
   console.log(`📞 Call placed: ${ccid.slice(0, 20)}...`);
 
-  // 4. DTMF sequence (stepped pattern — proven reliable)
-  console.log('⏳ Waiting 15s for IVR...');
-  await sleep(15000);
-
-  let s = await api('GET', `/calls/${ccid}`);
-  if (!s.data?.is_alive) { console.log('❌ Call died during IVR wait'); cleanup(tunnel); return; }
-  console.log('✅ Alive — sending meeting ID');
-
-  await api('POST', `/calls/${ccid}/actions/send_dtmf`, { digits: `${meetingId}#`, duration_millis: 300 });
-  await sleep(8000);
-
-  s = await api('GET', `/calls/${ccid}`);
-  if (!s.data?.is_alive) { console.log('❌ Died after meeting ID'); cleanup(tunnel); return; }
-  console.log('✅ Alive — skipping participant ID');
-
-  await api('POST', `/calls/${ccid}/actions/send_dtmf`, { digits: '#', duration_millis: 300 });
-  await sleep(5000);
-
-  s = await api('GET', `/calls/${ccid}`);
-  if (!s.data?.is_alive) { console.log('❌ Died after skip'); cleanup(tunnel); return; }
-
-  if (passcode) {
-    console.log('✅ Alive — sending passcode');
-    await api('POST', `/calls/${ccid}/actions/send_dtmf`, { digits: `${passcode}#`, duration_millis: 300 });
-    await sleep(8000);
+  // 4. Prompt-driven IVR (starts transcription on answer)
+  ivr = new IVRNavigator({ api, callControlId: ccid, meetingId, passcode, participantId, profile: platform });
+  ivr.on('state', ({ from, to }) => {
+    console.log(`📟 IVR: ${to}`);
+    recording?.recorder.event('state', { from, to });
+  });
+  try {
+    await ivr.join();
+  } catch ({ reason }) {
+    console.log(`❌ Join failed: ${reason}`);
+    await recording?.finish();
+    cleanup(tunnel);
+    return;
   }
 
-  s = await api('GET', `/calls/${ccid}`);
-  if (!s.data?.is_alive) { console.log('❌ Died after passcode'); cleanup(tunnel); return; }
-
+  inMeeting = true;
   console.log('🎉 IN THE MEETING!');
 
-  // 5. Start transcription
-  console.log('🎤 Starting live transcription...');
-  try {
-    await api('POST', `/calls/${ccid}/actions/transcription_start`, {
-      language: 'en',
-      transcription_engine: 'B',  // Telnyx engine (more accurate, cheaper)
-      transcription_tracks: 'inbound',  // Audio from Zoom participants
-    });
-    console.log('🎤 Transcription started! Listening...\n');
-  } catch (err) {
-    console.error('⚠️ Transcription start failed:', err.message);
-    console.log('Trying engine A (Google)...');
+  // 5. Transcription is normally already running from the IVR phase
+  if (ivr.transcribing) {
+    console.log('🎤 Transcription running! Listening...\n');
+  } else {
+    console.log('🎤 Starting live transcription...');
     try {
       await api('POST', `/calls/${ccid}/actions/transcription_start`, {
         language: 'en',
-        transcription_engine: 'A',
-        transcription_tracks: 'inbound',
-        interim_results: false,
+        transcription_engine: 'B',  // Telnyx engine (more accurate, cheaper)
+        transcription_tracks: 'inbound',  // Audio from Zoom participants
       });
-      console.log('🎤 Transcription started (Google engine)! Listening...\n');
-    } catch (err2) {
-      console.error('❌ Both engines failed:', err2.message);
+      console.log('🎤 Transcription started! Listening...\n');
+    } catch (err) {
+      console.error('⚠️ Transcription start failed:', err.message);
+      console.log('Trying engine A (Google)...');
+      try {
+        await api('POST', `/calls/${ccid}/actions/transcription_start`, {
+          language: 'en',
+          transcription_engine: 'A',
+          transcription_tracks: 'inbound',
+          interim_results: false,
+        });
+        console.log('🎤 Transcription started (Google engine)! Listening...\n');
+      } catch (err2) {
+        console.error('❌ Both engines failed:', err2.message);
+      }
+    }
+  }
+
+  // 5b. Inbound audio for the diarizer; transcription stays with Telnyx
+  if (speakers) {
+    try {
+      await api('POST', `/calls/${ccid}/actions/streaming_start`, {
+        stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
+        stream_track: 'inbound_track',
+        stream_codec: STREAM_CODEC,
+      });
+      console.log('🗣️ Diarizing the meeting audio\n');
+    } catch (err) {
+      console.log('⚠️ Media stream for diarization failed:', err.message.slice(0, 100));
     }
   }
 
@@ -271,7 +335,7 @@ async function main() {
   while (Date.now() < endTime) {
     await sleep(15000);
     try {
-      s = await api('GET', `/calls/${ccid}`);
+      const s = await api('GET', `/calls/${ccid}`);
       if (!s.data?.is_alive) {
         console.log('\n📞 Call ended');
         break;
@@ -291,10 +355,18 @@ async function main() {
     console.log('No transcripts captured.');
   } else {
     for (const t of transcripts) {
-      console.log(`[${t.time}] ${t.text}`);
+      console.log(`[${t.time}] ${t.speaker ? `${speakers.name(t.speaker)}: ` : ''}${t.text}`);
     }
   }
   console.log(`Total segments: ${transcripts.length}`);
+  if (speakers) {
+    console.log(`Speakers: ${speakers.list().map(s => `${s.name ? `${s.name} (${s.label})` : s.label} ${Math.round((s.speechMs || 0) / 1000)}s`).join(', ') || 'none told apart'}`);
+  }
+
+  if (recording) {
+    console.log('⏺️ Waiting for the recording...');
+    await recording.finish();
+  }
 
   cleanup(tunnel);
 }
@@ -2,7 +2,7 @@
  * M3 — Zoom Voice Agent: Transcription + TTS Speaking
  * 
  * 1. Dials Zoom via Telnyx PSTN, joins with DTMF
- * 2. Live transcription (bilingual EN/ZH)
+ * 2. Live transcription (bilingual EN/ZH), labelled by voice ("Speaker 1")
  * 3. TTS speaking via Telnyx speak command
  * 4. Interactive: responds to speech via OpenAI GPT
  */
@@ -12,6 +12,21 @@ import { createServer } from 'http';
 import { spawn } from 'child_process';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { IVRNavigator } from './lib/ivr.js';
+import { captureRawBody, verifyTelnyxWebhook } from './lib/telnyx-webhook.js';
+import { meetingFromArgs } from './lib/invitation.js';
+import { BargeInDetector } from './lib/barge-in.js';
+import { EchoSuppressor } from './lib/echo.js';
+import { MuteController } from './lib/mute.js';
+import { ThinkingCues } from './lib/filler.js';
+import { TurnTaker } from './lib/turn-taking.js';
+import { AddressingDetector } from './lib/addressing.js';
+import { TalkBudget, speechMs } from './lib/etiquette.js';
+import { CallRecorder, RECORD_CALLS, recordingName, TelnyxRecording } from './lib/recorder.js';
+import { streamCodec, STREAM_CODECS } from './lib/audio.js';
+import { speakerTurns } from './lib/diarization.js';
+import { SpeakerRoster } from './lib/roster.js';
+import { MeetingSpeakers, mountSpeakerRoutes } from './lib/speakers.js';
 
 dotenv.config();
 
@@ -20,12 +35,20 @@ const KEY = process.env.TELNYX_API_KEY;
 const BASE = 'https://api.telnyx.com/v2';
 
 const args = process.argv.slice(2);
-const meetingId = args.find((_, i) => args[i - 1] === '-m') || args.find((_, i) => args[i - 1] === '--meeting-id');
-const passcode = args.find((_, i) => args[i - 1] === '-p') || args.find((_, i) => args[i - 1] === '--passcode');
+// -m / -p / -P, or -i with a pasted invitation, join URL, .ics file or '-' for stdin
+const { meetingId, passcode, participantId, platform, dialIns } = meetingFromArgs(args);
+// Zoom has a default US number; Teams / Meet / Webex numbers come from the invitation
+const dialIn = platform === 'zoom' ? (process.env.ZOOM_DIAL_IN || '+16699009128') : dialIns[0]?.number;
 const duration = parseInt(args.find((_, i) => args[i - 1] === '-d') || '600');
+const RECORD = RECORD_CALLS || args.includes('--record');
 
 if (!meetingId) {
-  console.error('Usage: node m3-voice-agent.js -m MEETING_ID -p PASSCODE [-d DURATION_SECS]');
+  console.error('Usage: node m3-voice-agent.js (-m MEETING_ID [-p PASSCODE] [-P PARTICIPANT_ID] | -i INVITATION) [--platform zoom|teams|meet|webex] [-d DURATION_SECS] [--record]');
+  process.exit(1);
+}
+
+if (!dialIn) {
+  console.error(`No dial-in number for ${platform}: pass an invitation (-i) that lists one`);
   process.exit(1);
 }
 
@@ -85,8 +108,12 @@ function ts() { return new Date().toISOString().slice(11, 19); }
 
 // --- State ---
 let callControlId = null;
+let ivr = null;
 let isInMeeting = false;
 let isSpeaking = false;
+// Kind of each speak Telnyx hasn't reported ended yet ('cue' | 'reply'), oldest first
+const speaks = [];
+let recording = null; // TelnyxRecording, with --record
 const transcripts = [];
 // Agent persona (configurable via env vars)
 const AGENT_NAME = process.env.AGENT_NAME || 'AI Assistant';
@@ -94,6 +121,16 @@ const AGENT_ROLE = process.env.AGENT_ROLE || "Kai's AI assistant";
 const AGENT_INSTRUCTIONS = process.env.AGENT_INSTRUCTIONS || '';
 const NO_SPEAK = process.env.NO_SPEAK === 'true';
 const TRANSCRIPT_FILE = process.env.TRANSCRIPT_FILE || '';
+// Who said what: an inbound media stream is diarized alongside the transcription
+const DIARIZE = process.env.DIARIZE !== 'false';
+const STREAM_CODEC = streamCodec(process.env.STREAM_CODEC || 'L16');
+// ...and the voices named from introductions ("this is Alice")
+const ROSTER = DIARIZE && process.env.ROSTER !== 'false';
+
+if (DIARIZE && !STREAM_CODEC) {
+  console.error(`Unknown STREAM_CODEC: ${process.env.STREAM_CODEC} (expected one of ${Object.keys(STREAM_CODECS).join(', ')})`);
+  process.exit(1);
+}
 
 const systemPrompt = AGENT_INSTRUCTIONS || `You are ${AGENT_NAME}, ${AGENT_ROLE}, participating in a Zoom meeting via phone.
 
@@ -103,7 +140,8 @@ CORE RULES:
 - Be conversational and natural. Don't sound robotic.
 - NEVER use markdown formatting (no **, *, #, bullets, numbered lists, code blocks). Your output goes directly to TTS.
 - NEVER use emojis. Plain text only.
-- If someone greets you or asks who you are, introduce yourself briefly as ${AGENT_NAME}.
+- If someone greets you or asks who you are, introduce yourself briefly as ${AGENT_NAME}.${DIARIZE ? `
+- What was said may come tagged with who said it: a name once they've introduced themselves or been called by it ("Alice: ..."), else a voice label ("Speaker 2: ..."). Use names when you have them; labels aren't names, use them only when it helps ("as Speaker 2 said...").` : ''}
 
 ABOUT OPENCLAW (your knowledge):
 - OpenClaw is an open-source AI personal assistant platform (24/7, self-hosted).
@@ -122,58 +160,92 @@ const conversationHistory = [
   { role: 'system', content: systemPrompt }
 ];
 
-// Buffer for accumulating transcript before responding
-let transcriptBuffer = '';
-let bufferTimer = null;
-const BUFFER_DELAY = parseInt(process.env.BUFFER_DELAY || '1500'); // Wait for silence before responding
+// LISTEN_ONLY mode: only respond when addressed — by AGENT_NAME / AGENT_ALIASES,
+// indirectly ("what does the assistant think?"), or as a follow-up to a reply
+const LISTEN_ONLY = process.env.LISTEN_ONLY === 'true';
+const addressing = new AddressingDetector({ name: AGENT_NAME });
+
+// When has someone finished, and do we answer? (see lib/turn-taking.js)
+let responding = false; // a reply is being worked out
+let turnEntries = [];   // transcript entries of the turn being taken, speaker-labelled
+const turns = new TurnTaker({
+  isAddressed: (text) => addressing.match(text)?.how,
+  isBusy: () => isSpeaking || responding,
+  listenOnly: LISTEN_ONLY,
+});
+turns.on('decision', ({ action, reason }) => recording?.recorder.event('turn', { action, reason }));
+// Asked (by name, or answering the agent) rather than chiming in
+turns.on('respond', ({ text, reason }) => {
+  const entries = turnEntries;
+  turnEntries = [];
+  processAndRespond(text, { prompted: LISTEN_ONLY || reason.startsWith('addressed') || reason === 'reply to the agent', entries });
+});
+turns.on('ignore', ({ text, reason }) => {
+  turnEntries = [];
+  if (LISTEN_ONLY) console.log(`👂 [listen] ${text}`);
+  else if (reason !== 'too short') console.log(`👂 [${reason}] ${text}`);
+});
 
 // --- Express for webhooks ---
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are over the exact bytes
+app.use(express.json({ verify: captureRawBody }));
 
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyTelnyxWebhook(), async (req, res) => {
   res.sendStatus(200);
   
   const event = req.body?.data || req.body;
   const eventType = event?.event_type;
   const payload = event?.payload || event;
 
+  ivr?.handleEvent(eventType, payload);
+
   switch (eventType) {
     case 'call.transcription': {
       const text = payload?.transcription_data?.transcript;
       const isFinal = payload?.transcription_data?.is_final;
       const confidence = payload?.transcription_data?.confidence;
+
+      // "You are muted" / "you are unmuted" — for us, not the meeting
+      if (isFinal && text?.trim() && mute.heard(text)) {
+        recording?.recorder.event('mute', { state: mute.state, text: text.trim() });
+        break;
+      }
+
+      // IVR prompts are handled by the navigator
+      if (!isInMeeting) break;
+
+      // Our own voice coming back from someone's speakerphone
+      if (text?.trim() && echo.isEcho(text)) {
+        if (isFinal) {
+          console.log(`🔁 [echo] ${text.trim().slice(0, 60)}`);
+          recording?.recorder.event('echo', { text: text.trim() });
+        }
+        break;
+      }
+
+      // Talking over the agent stops it; the words then count as usual
+      if (isSpeaking) bargeIn.transcript(text, { confidence });
       
       if (text && text.trim() && isFinal) {
         const entry = { time: ts(), text: text.trim(), confidence };
         transcripts.push(entry);
-        console.log(`\n🎤 [${entry.time}] ${entry.text}`);
-        
-        // Accumulate transcript and set response timer
-        // LISTEN_ONLY mode: only respond when trigger word is mentioned
-        const LISTEN_ONLY = process.env.LISTEN_ONLY === 'true';
-        const TRIGGER_WORDS = /pica|助手|ai\s*assistant|请你|ask you|hey ai|请回答|你说说|你觉得|你认为|你来/i;
+        speakers?.diarizer.attach(entry);
+        recording?.recorder.event('transcript', { text: entry.text, confidence });
+        console.log(`\n🎤 [${entry.time}] ${entry.speaker ? `${speakers.name(entry.speaker)}: ` : ''}${entry.text}`);
+        talk.heard(speechMs(entry.text));
+        talk.quiet();
         
-        if (isInMeeting && !isSpeaking && !NO_SPEAK) {
-          transcriptBuffer += (transcriptBuffer ? ' ' : '') + text.trim();
-          
-          if (LISTEN_ONLY && !TRIGGER_WORDS.test(transcriptBuffer)) {
-            // Silent mode — just log, don't respond
-            if (bufferTimer) clearTimeout(bufferTimer);
-            bufferTimer = setTimeout(() => {
-              if (transcriptBuffer.trim()) {
-                console.log(`👂 [listen] ${transcriptBuffer.trim()}`);
-                transcriptBuffer = '';
-              }
-            }, BUFFER_DELAY);
-          } else {
-            // Reset the buffer timer
-            if (bufferTimer) clearTimeout(bufferTimer);
-            bufferTimer = setTimeout(() => processAndRespond(), BUFFER_DELAY);
-          }
+        // Part of a turn, maybe its end; still listening while speaking,
+        // the reply waits until we're done
+        if (!NO_SPEAK) {
+          turnEntries.push(entry);
+          turns.final(text);
         }
       } else if (text && text.trim() && !isFinal) {
         process.stdout.write(`\r  💭 ${text.trim().slice(0, 80)}...`);
+        talk.talking();
+        turns.interim(text);
       }
       break;
     }
@@ -182,11 +254,17 @@ app.post('/webhook', async (req, res) => {
       console.log('🔊 Speaking started');
       break;
       
-    case 'call.speak.ended':
+    case 'call.speak.ended': {
       console.log('🔊 Speaking ended');
-      isSpeaking = false;
+      recording?.recorder.event('speak_end');
+      // A speak cut short ends after the next one started, which is still playing
+      const kind = speaks.shift();
+      if (speaks.length) break;
       if (speakingSafetyTimer) { clearTimeout(speakingSafetyTimer); speakingSafetyTimer = null; }
+      if (kind === 'cue') cueEnded();
+      else speakingEnded();
       break;
+    }
       
     case 'call.hangup':
       console.log(`\n📞 Call ended: ${payload?.hangup_cause}`);
@@ -194,8 +272,25 @@ app.post('/webhook', async (req, res) => {
       break;
       
     case 'call.initiated':
+      console.log(`📡 ${eventType}`);
+      break;
+
     case 'call.answered':
       console.log(`📡 ${eventType}`);
+      // Telnyx records both legs; the file arrives after hangup
+      if (RECORD && !recording) {
+        const recorder = new CallRecorder({
+          name: recordingName(`m3-${platform}-${meetingId}`),
+          audio: false,
+          meta: { agent: 'm3', platform, meetingId },
+        });
+        recording = new TelnyxRecording({ api, callControlId, recorder });
+        recording.start();
+      }
+      break;
+
+    case 'call.recording.saved':
+      recording?.saved(payload);
       break;
       
     default:
@@ -203,18 +298,57 @@ app.post('/webhook', async (req, res) => {
   }
 });
 
-app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length, speaking: isSpeaking }));
+app.get('/health', (req, res) => res.json({ ok: true, transcripts: transcripts.length, speaking: isSpeaking, mute: mute.toJSON(), talk: talk.stats(), speakers: speakers?.list() }));
+
+// --- Mute / unmute the line (*6) ---
+app.post('/mute', async (req, res) => {
+  if (!isInMeeting) return res.status(409).json({ error: 'not in the meeting' });
+  try {
+    await mute.mute();
+    res.json({ mute: mute.toJSON() });
+  } catch (err) {
+    console.error('🔇 Mute failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/mute', async (req, res) => {
+  if (!isInMeeting) return res.status(409).json({ error: 'not in the meeting' });
+  try {
+    await mute.unmute({ force: true });
+    res.json({ mute: mute.toJSON() });
+  } catch (err) {
+    console.error('🔇 Unmute failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
 // --- Speak endpoint (for manual testing) ---
 app.post('/speak', async (req, res) => {
   const { text } = req.body;
-  if (!text || !callControlId) return res.status(400).json({ error: 'text required and must be in call' });
-  await speakText(text);
-  res.json({ ok: true });
+  if (typeof text !== 'string' || !text.trim() || !callControlId) return res.status(400).json({ error: 'text required and must be in call' });
+  try {
+    await speakText(text);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('🔊 Speak failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 const server = createServer(app);
 
+// --- Inbound media stream → VAD → speaker labels (DIARIZE), named (ROSTER) ---
+const speakers = DIARIZE ? new MeetingSpeakers({
+  server,
+  codec: STREAM_CODEC,
+  roster: ROSTER ? new SpeakerRoster({ exclude: [AGENT_NAME, ...addressing.triggers.map(t => t.phrase)] }) : null,
+  listening: () => isInMeeting,
+  record: (type, data) => recording?.recorder.event(type, data),
+}) : null;
+// Name a voice ("Speaker 2" or 2), or go back to the name it was heard by
+mountSpeakerRoutes(app, speakers);
+
 // --- Hybrid routing: classify if question needs tools ---
 const BRAIN_PATTERNS = [
   // Real-time data
@@ -239,26 +373,29 @@ function needsBrain(text) {
 // --- Fast GPT-4o-mini client (always available) ---
 const fastLLM = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
+// A transcript's speaker can lag it by the VAD's hangover; the reply waits this long at most
+const LABEL_WAIT_MS = 800;
+
 // --- Process accumulated transcript and generate response ---
-async function processAndRespond() {
-  if (!transcriptBuffer.trim() || !isInMeeting || isSpeaking) return;
-  
-  const userText = transcriptBuffer.trim();
-  transcriptBuffer = '';
-  
-  // Skip very short fragments or noise
-  if (userText.length < 5) return;
+async function processAndRespond(userText, { prompted = false, entries = [] } = {}) {
+  if (!isInMeeting) return;
+  responding = true;
   
   const useBrain = needsBrain(userText);
   console.log(`\n🧠 Processing: "${userText}" [${useBrain ? 'BRAIN' : 'FAST'}]`);
   
   try {
+    // "Alice: ... / Speaker 2: ..." once the voices are told apart, and who is here
+    await speakers?.diarizer.whenLabelled(entries, LABEL_WAIT_MS);
+    const present = speakers?.list().some(s => s.name) ? speakers.roster.summary(speakers.diarizer.speakers()) : null;
+    const turn = speakerTurns(entries, (label) => speakers.name(label));
+    const heard = turn && present ? `Participants: ${present}\n${turn}` : turn;
     if (useBrain) {
       // Route to OpenClaw Brain for complex queries needing tools
-      const brainMessage = `[ZOOM MEETING VOICE CALL] Someone said: "${userText}"\n\nRespond in 1-2 sentences. Plain text only — NO markdown, NO emojis, NO formatting. This goes directly to text-to-speech. Respond in the same language they used.`;
+      const brainMessage = `[ZOOM MEETING VOICE CALL] ${heard ? `In the meeting:\n${heard}` : `Someone said: "${userText}"`}\n\nRespond in 1-2 sentences. Plain text only — NO markdown, NO emojis, NO formatting. This goes directly to text-to-speech. Respond in the same language they used.`;
       conversationHistory.push({ role: 'user', content: brainMessage });
     } else {
-      conversationHistory.push({ role: 'user', content: userText });
+      conversationHistory.push({ role: 'user', content: heard || userText });
     }
     
     // Keep history manageable
@@ -266,6 +403,8 @@ async function processAndRespond() {
       conversationHistory.splice(1, conversationHistory.length - 11);
     }
     
+    // Fill the silence if the answer is slow; the answer waits for a cue that is playing
+    const thinking = cues.start(userText);
     const timeoutMs = useBrain ? 25000 : 8000;
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeoutMs);
@@ -307,18 +446,33 @@ async function processAndRespond() {
       }
     } finally {
       clearTimeout(timer);
+      await thinking.done();
     }
+    // done() gave up waiting (speak.ended missed): the cue makes way for the answer
+    if (isSpeaking && speaks.at(-1) === 'cue') await stopSpeaking('answer ready');
     
     if (response && !response.includes('No response from OpenClaw')) {
-      conversationHistory.push({ role: 'assistant', content: response });
       console.log(`💬 Response: "${response}"`);
-      await speakText(response);
+      // Talk budget, cooldown, cross-talk: say less, or nothing
+      const { action, reason, text } = await talk.check(response, { prompted });
+      recording?.recorder.event('etiquette', { action, reason, prompted });
+      if (action === 'skip') {
+        console.log(`🤐 Not speaking (${reason})`);
+      } else {
+        if (action === 'shorten') console.log(`✂️ Shortened (${reason}): "${text}"`);
+        // Only what was actually said goes into the history
+        if (await speakText(text)) conversationHistory.push({ role: 'assistant', content: text });
+        else console.log('💬 Response not spoken (line busy or muted)');
+      }
     } else {
       console.log(`💬 Response: "${response || '(empty)'}"`);
     }
   } catch (err) {
     console.error('🧠 AI error:', err.message);
   }
+  responding = false;
+  // Nothing was said: what came in meanwhile is up now (otherwise speakingEnded does it)
+  if (!isSpeaking) turns.agentDone();
 }
 
 // --- TTS via Telnyx speak command ---
@@ -343,13 +497,38 @@ function cleanForTTS(text) {
 
 let speakingSafetyTimer = null;
 
-async function speakText(text) {
-  if (!callControlId || isSpeaking) return;
+const bargeIn = new BargeInDetector();
+// Transcript-level only: this agent has no media stream to compare audio against
+const echo = new EchoSuppressor();
+// Line mute from the IVR's announcements; *6 before speaking when muted (MUTE_POLICY)
+const mute = new MuteController({
+  profile: platform,
+  sendDTMF: (digits) => api('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits, duration_millis: 250 }),
+});
+// The agent's speaking time against the meeting's (TALK_* etiquette)
+const talk = new TalkBudget();
+let speechStartedAt = null;
+// "Let me check that" while the brain works (FILLER_ACK_MS / FILLER_PROGRESS_MS)
+const cues = new ThinkingCues({ speak: (text) => speakText(text, { cue: true }), isSpeaking: () => isSpeaking });
+bargeIn.on('barge_in', ({ text }) => {
+  recording?.recorder.event('barge_in', { text });
+  stopSpeaking(`barge-in: "${text.slice(0, 40)}"`);
+});
+
+// Resolves true once Telnyx accepted the speak, false if nothing was said
+async function speakText(text, { cue = false } = {}) {
+  if (!callControlId || isSpeaking) return false;
   
   text = cleanForTTS(text);
-  if (!text) return;
+  if (!text) return false;
   
   isSpeaking = true;
+  if (!await mute.beforeSpeaking()) {
+    console.log(`🔇 Muted — not speaking: "${text.slice(0, 60)}"`);
+    isSpeaking = false;
+    return false;
+  }
+  echo.said(text);
   
   // Safety timeout: if call.speak.ended webhook is missed (network issues),
   // reset isSpeaking after a generous estimate based on text length.
@@ -360,7 +539,9 @@ async function speakText(text) {
   speakingSafetyTimer = setTimeout(() => {
     if (isSpeaking) {
       console.log('⚠️ Speaking safety timeout — resetting isSpeaking (webhook likely missed)');
-      isSpeaking = false;
+      speaks.length = 0;
+      if (cue) cueEnded();
+      else speakingEnded();
     }
   }, estimatedMs);
   
@@ -373,11 +554,58 @@ async function speakText(text) {
       voice: isChinese ? 'female' : 'male',
       language: isChinese ? 'cmn-CN' : 'en-US',
     });
+    speaks.push(cue ? 'cue' : 'reply');
+    bargeIn.arm();
+    speechStartedAt = Date.now();
+    recording?.recorder.event('agent', { text, ...(cue && { cue }) });
     console.log(`🔊 Speaking: "${text.slice(0, 60)}..."`);
+    return true;
   } catch (err) {
     console.error('🔊 Speak failed:', err.message);
     isSpeaking = false;
     if (speakingSafetyTimer) { clearTimeout(speakingSafetyTimer); speakingSafetyTimer = null; }
+    return false;
+  }
+}
+
+// Count what was played toward the talk budget
+function speechDone() {
+  if (speechStartedAt) talk.spoke(Date.now() - speechStartedAt);
+  speechStartedAt = null;
+}
+
+// A thinking cue finished. The answer is still being worked out, so this is
+// not the end of our turn: nothing said meanwhile is answered yet.
+function cueEnded() {
+  speechDone();
+  isSpeaking = false;
+  bargeIn.disarm();
+  mute.afterSpeaking();
+}
+
+function speakingEnded() {
+  speechDone();
+  isSpeaking = false;
+  bargeIn.disarm();
+  mute.afterSpeaking();
+  // Follow-ups don't need the name for a while; answer whatever was said meanwhile
+  addressing.engage();
+  turns.agentDone();
+}
+
+// Cut the current speak short (Telnyx still sends call.speak.ended)
+async function stopSpeaking(reason) {
+  if (!callControlId || !isSpeaking) return;
+  console.log(`✋ Stopped speaking (${reason})`);
+  speechDone();
+  isSpeaking = false;
+  bargeIn.disarm();
+  mute.afterSpeaking();
+  if (speakingSafetyTimer) { clearTimeout(speakingSafetyTimer); speakingSafetyTimer = null; }
+  try {
+    await api('POST', `/calls/${callControlId}/actions/playback_stop`, { stop: 'all' });
+  } catch (err) {
+    console.error('🔊 Stop failed:', err.message);
   }
 }
 
@@ -440,10 +668,10 @@ async function main() {
   }
 
   // Dial Zoom
-  console.log(`\n📞 Dialing Zoom meeting ${meetingId}...`);
+  console.log(`\n📞 Dialing ${platform} meeting ${meetingId} via ${dialIn}...`);
   const call = await api('POST', '/calls', {
     connection_id: process.env.TELNYX_CONNECTION_ID,
-    to: process.env.ZOOM_DIAL_IN || '+16699009128',
+    to: dialIn,
     from: process.env.TELNYX_DID,
     timeout_secs: 60,
     webhook_url: webhookUrl,
@@ -453,60 +681,67 @@ async function main() {
   callControlId = call.data.call_control_id;
   console.log(`📞 Call: ${callControlId.slice(0, 20)}...`);
 
-  // DTMF sequence
-  console.log('⏳ Waiting 15s for IVR...');
-  await sleep(15000);
-
-  let s = await api('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead during IVR'); cleanup(tunnel); return; }
-  console.log('✅ Alive — sending meeting ID');
-
-  await api('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${meetingId}#`, duration_millis: 300 });
-  await sleep(8000);
-
-  s = await api('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead after meeting ID'); cleanup(tunnel); return; }
-  console.log('✅ Skipping participant ID');
-  await api('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: '#', duration_millis: 300 });
-  await sleep(5000);
-
-  s = await api('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead after skip'); cleanup(tunnel); return; }
-
-  if (passcode) {
-    console.log('✅ Sending passcode');
-    await api('POST', `/calls/${callControlId}/actions/send_dtmf`, { digits: `${passcode}#`, duration_millis: 300 });
-    await sleep(8000);
+  // Prompt-driven IVR: each DTMF group goes out when its prompt is heard
+  ivr = new IVRNavigator({ api, callControlId, meetingId, passcode, participantId, profile: platform });
+  ivr.on('state', ({ from, to }) => {
+    console.log(`📟 IVR: ${to}`);
+    recording?.recorder.event('state', { from, to });
+  });
+  try {
+    await ivr.join();
+  } catch ({ reason }) {
+    console.log(`❌ Join failed: ${reason}`);
+    await recording?.finish();
+    cleanup(tunnel);
+    return;
   }
 
-  s = await api('GET', `/calls/${callControlId}`);
-  if (!s.data?.is_alive) { console.log('❌ Dead after passcode'); cleanup(tunnel); return; }
-
   isInMeeting = true;
   console.log('🎉 IN THE MEETING!');
+  mute.joined();
 
-  // Start transcription
+  // Transcription has been running since the IVR phase (English);
+  // restart it only when the meeting language differs.
   // STT_LANGUAGE env: 'en' for English, 'zh' for Chinese, default 'en'
   const sttLang = process.env.STT_LANGUAGE || 'en';
-  console.log(`🎤 Starting transcription (language: ${sttLang})...`);
-  try {
-    await api('POST', `/calls/${callControlId}/actions/transcription_start`, {
-      language: sttLang,
-      transcription_engine: 'B',
-      transcription_tracks: 'inbound',
-    });
+  if (ivr.transcribing && sttLang === ivr.language) {
     console.log(`🎤 Transcription active (Engine B/Whisper, lang=${sttLang})\n`);
-  } catch (err) {
-    console.error('⚠️ Engine B failed, trying A:', err.message);
+  } else {
+    await ivr.stopTranscription();
+    console.log(`🎤 Starting transcription (language: ${sttLang})...`);
     try {
       await api('POST', `/calls/${callControlId}/actions/transcription_start`, {
         language: sttLang,
-        transcription_engine: 'A',
+        transcription_engine: 'B',
         transcription_tracks: 'inbound',
       });
-      console.log(`🎤 Transcription active (Engine A/Google, lang=${sttLang})\n`);
-    } catch (err2) {
-      console.error('❌ Both engines failed:', err2.message);
+      console.log(`🎤 Transcription active (Engine B/Whisper, lang=${sttLang})\n`);
+    } catch (err) {
+      console.error('⚠️ Engine B failed, trying A:', err.message);
+      try {
+        await api('POST', `/calls/${callControlId}/actions/transcription_start`, {
+          language: sttLang,
+          transcription_engine: 'A',
+          transcription_tracks: 'inbound',
+        });
+        console.log(`🎤 Transcription active (Engine A/Google, lang=${sttLang})\n`);
+      } catch (err2) {
+        console.error('❌ Both engines failed:', err2.message);
+      }
+    }
+  }
+
+  // Inbound audio for the diarizer; transcription stays with Telnyx
+  if (speakers) {
+    try {
+      await api('POST', `/calls/${callControlId}/actions/streaming_start`, {
+        stream_url: `wss://${tunnel.url.replace('https://', '')}/media`,
+        stream_track: 'inbound_track',
+        stream_codec: STREAM_CODEC,
+      });
+      console.log('🗣️ Diarizing the meeting audio');
+    } catch (err) {
+      console.log('⚠️ Media stream for diarization failed:', err.message.slice(0, 100));
     }
   }
 
@@ -521,7 +756,7 @@ async function main() {
   while (Date.now() < endTime && isInMeeting) {
     await sleep(15000);
     try {
-      s = await api('GET', `/calls/${callControlId}`);
+      const s = await api('GET', `/calls/${callControlId}`);
       if (!s.data?.is_alive) {
         console.log('\n📞 Call ended');
         isInMeeting = false;
@@ -541,18 +776,26 @@ async function main() {
 
   console.log('\n\n📝 ═══ FULL TRANSCRIPT ═══');
   for (const t of transcripts) {
-    console.log(`[${t.time}] ${t.text}`);
+    console.log(`[${t.time}] ${t.speaker ? `${speakers.name(t.speaker)}: ` : ''}${t.text}`);
   }
   console.log(`Total: ${transcripts.length} segments`);
+  if (speakers) {
+    console.log(`Speakers: ${speakers.list().map(s => `${s.name ? `${s.name} (${s.label})` : s.label} ${Math.round((s.speechMs || 0) / 1000)}s`).join(', ') || 'none told apart'}`);
+  }
 
   // Save transcript file if requested
   if (TRANSCRIPT_FILE) {
     const { writeFileSync } = await import('fs');
-    const content = transcripts.map(t => `[${t.time}] ${t.text}`).join('\n');
+    const content = transcripts.map(t => `[${t.time}] ${t.speaker ? `${speakers.name(t.speaker)}: ` : ''}${t.text}`).join('\n');
     writeFileSync(TRANSCRIPT_FILE, content, 'utf-8');
     console.log(`📄 Transcript saved to ${TRANSCRIPT_FILE}`);
   }
 
+  if (recording) {
+    console.log('⏺️ Waiting for the recording...');
+    await recording.finish();
+  }
+
   cleanup(tunnel);
 }
 
@@ -10,6 +10,7 @@ import express from 'express';
 import OpenAI from 'openai';
 import { createServer } from 'http';
 import dotenv from 'dotenv';
+import { IVR_PATTERNS } from './lib/ivr.js';
 
 dotenv.config();
 
@@ -25,16 +26,6 @@ const openai = new OpenAI({
   baseURL: 'https://openrouter.ai/api/v1'
 });
 
-// IVR Detection patterns
-const IVR_PATTERNS = {
-  MEETING_ID: /enter.*(meeting|conference).*(id|number)|meeting id followed by/i,
-  PARTICIPANT_ID: /participant.*(id|number)|attendee.*(id|number)/i,
-  PASSCODE: /passcode|password|pin/i,
-  CONNECTED: /entering the meeting|host has started|please wait|you are now|joining/i,
-  INVALID: /does not exist|invalid|incorrect/i,
-  WELCOME: /welcome to zoom/i
-};
-
 // System prompt for meeting participation
 const SYSTEM_PROMPT = `You are Marcus, an AI assistant participating in a Zoom meeting on behalf of your human colleague.
 
@@ -71,9 +62,10 @@ const GREETING = "Hi everyone, this is Marcus, an AI assistant joining on behalf
  * IVR State Machine
  */
 class IVRHandler {
-  constructor(meetingId, passcode) {
+  constructor(meetingId, passcode, participantId) {
     this.meetingId = meetingId || '';
     this.passcode = passcode || '';
+    this.participantId = participantId || '';
     this.state = 'WAITING'; // WAITING, ENTERING_ID, ENTERING_PASSCODE, CONNECTED
     this.digitIndex = 0;
     this.retryCount = 0;
@@ -107,7 +99,10 @@ class IVRHandler {
     }
     
     if (IVR_PATTERNS.PARTICIPANT_ID.test(text)) {
-      // Skip participant ID by pressing #
+      // Participant ID links us to the owner's Zoom user; # alone skips it
+      if (this.participantId) {
+        return this.getNextDigits(this.participantId);
+      }
       return { action: 'dtmf', digits: ['#'] };
     }
     
@@ -162,9 +157,10 @@ function handleRetellConnection(ws, callId, metadata) {
   const humanName = metadata?.human_name || 'Kai';
   const meetingId = metadata?.meeting_id || '';
   const passcode = metadata?.passcode || '';
+  const participantId = metadata?.participant_id || '';
   
   // Initialize IVR handler
-  const ivr = new IVRHandler(meetingId, passcode);
+  const ivr = new IVRHandler(meetingId, passcode, participantId);
   
   // Prepare prompts with metadata
   const systemPrompt = SYSTEM_PROMPT
@@ -413,6 +409,7 @@ wss.on('connection', (ws, req) => {
   // Also check for individual params
   metadata.meeting_id = metadata.meeting_id || url.searchParams.get('meeting_id');
   metadata.passcode = metadata.passcode || url.searchParams.get('passcode');
+  metadata.participant_id = metadata.participant_id || url.searchParams.get('participant_id');
   metadata.human_name = metadata.human_name || url.searchParams.get('human_name') || 'Kai';
   
   handleRetellConnection(ws, callId, metadata);
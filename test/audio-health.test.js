@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioHealthMonitor } from '../lib/audio-health.js';
+
+const SILENCE = Buffer.alloc(320);   // 20 ms of digital silence at 8 kHz
+const SPEECH = Buffer.alloc(320);
+for (let i = 0; i < 160; i++) SPEECH.writeInt16LE(i % 2 ? 3000 : -3000, i * 2);
+
+// `frame` every 20 ms from `from` for `ms`, with a check each second
+function feed(health, from, ms, frame = SILENCE) {
+  for (let t = from; t < from + ms; t += 20) {
+    health.push(frame, t);
+    if ((t - from) % 1000 === 0) health.check(t);
+  }
+}
+
+function monitor(options = {}) {
+  const health = new AudioHealthMonitor({
+    sampleRate: 8000, stallMs: 5000, silenceMs: 60000, cooldownMs: 15000, maxRestarts: 5, silenceRestarts: 2, ...options,
+  });
+  const events = [];
+  for (const name of ['stall', 'recovered', 'gave_up']) {
+    health.on(name, ({ reason }) => events.push(`${name}:${reason}`));
+  }
+  return { health, events };
+}
+
+// Clear of the restart cooldown, which counts from 0
+const t0 = 1_000_000;
+
+test('a muted meeting gets a capped number of silence restarts, then is left alone', () => {
+  const { health, events } = monitor();
+  health.start(t0);
+  feed(health, t0, 10 * 60 * 1000);
+  assert.deepEqual(events, ['stall:silence', 'stall:silence', 'gave_up:silence']);
+  assert.equal(health.stats(t0 + 10 * 60 * 1000).status, 'silent');
+  health.stop();
+});
+
+test('sound coming back ends the silent stretch and resets the cap', () => {
+  const { health, events } = monitor();
+  health.start(t0);
+  feed(health, t0, 61000);
+  feed(health, t0 + 61000, 1000, SPEECH);
+  feed(health, t0 + 62000, 61000);
+  assert.deepEqual(events, ['stall:silence', 'recovered:silence', 'stall:silence']);
+  health.stop();
+});
+
+test('silence restarts can be turned off', () => {
+  const { health, events } = monitor({ silenceRestarts: 0 });
+  health.start(t0);
+  feed(health, t0, 3 * 60 * 1000);
+  assert.deepEqual(events, ['gave_up:silence']);
+  health.stop();
+});
+
+test('no frames for stallMs restarts the stream, and recovers when they return', () => {
+  const { health, events } = monitor();
+  health.start(t0);
+  feed(health, t0, 2000);
+  health.check(t0 + 8000);
+  feed(health, t0 + 9000, 1000);
+  assert.deepEqual(events, ['stall:no_frames', 'recovered:no_frames']);
+  health.stop();
+});
+
+test('a stream that stays down gives up after maxRestarts', () => {
+  const { health, events } = monitor({ maxRestarts: 3 });
+  health.start(t0);
+  for (let t = t0; t <= t0 + 5 * 60 * 1000; t += 1000) health.check(t);
+  assert.deepEqual(events, ['stall:no_frames', 'stall:no_frames', 'stall:no_frames', 'gave_up:no_frames']);
+  health.stop();
+});
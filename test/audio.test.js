@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ULAW_DECODE, ALAW_DECODE, pcmToUlaw, pcmToAlaw, decodeG711, encodeG711,
+  G722Encoder, G722Decoder, Resampler, StreamDecoder, decoderForStream,
+} from '../lib/audio.js';
+
+// 16-bit LE PCM of a sine
+function tone(hz, rate, ms, amplitude = 10000) {
+  const n = Math.round(rate * ms / 1000);
+  const pcm = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * hz * i / rate)), i * 2);
+  return pcm;
+}
+
+function samples(pcm) {
+  return Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+}
+
+const rms = (xs) => Math.sqrt(xs.reduce((s, x) => s + x * x, 0) / xs.length);
+
+test('µ-law: every code decodes and re-encodes to itself', () => {
+  for (let code = 0; code < 256; code++) {
+    // 0x7F is "negative zero", which encodes back as 0xFF
+    if (code === 0x7F) continue;
+    assert.equal(pcmToUlaw(ULAW_DECODE[code]), code, `code 0x${code.toString(16)}`);
+  }
+});
+
+test('A-law: every code decodes and re-encodes to itself', () => {
+  for (let code = 0; code < 256; code++) {
+    assert.equal(pcmToAlaw(ALAW_DECODE[code]), code, `code 0x${code.toString(16)}`);
+  }
+});
+
+test('G.711 buffers round-trip within the quantization step', () => {
+  const pcm = tone(440, 8000, 100);
+  for (const law of ['ulaw', 'alaw']) {
+    const back = samples(decodeG711(encodeG711(pcm, law), law));
+    samples(pcm).forEach((x, i) => {
+      // Logarithmic steps: at most 1/16 of the magnitude (plus the smallest step)
+      assert.ok(Math.abs(back[i] - x) <= Math.abs(x) / 16 + 16, `${law} sample ${i}: ${x} → ${back[i]}`);
+    });
+  }
+});
+
+test('G.722 round trip keeps a 1 kHz tone above 20 dB SNR', () => {
+  const input = samples(tone(1000, 16000, 500));
+  const encoder = new G722Encoder();
+  const decoder = new G722Decoder();
+  const output = samples(decoder.decode(encoder.encode(Buffer.from(new Int16Array(input).buffer))));
+  assert.equal(output.length, input.length);
+
+  // The QMF pair delays the signal; compare at the best lag, past the start-up
+  let best = -Infinity;
+  for (let lag = 0; lag < 64; lag++) {
+    const signal = [];
+    const noise = [];
+    for (let i = 2000; i < input.length - lag; i++) {
+      signal.push(input[i]);
+      noise.push(output[i + lag] - input[i]);
+    }
+    best = Math.max(best, 20 * Math.log10(rms(signal) / rms(noise)));
+  }
+  assert.ok(best > 20, `SNR ${best.toFixed(1)} dB`);
+});
+
+test('resampler rejects a 5 kHz tone going 24 kHz → 8 kHz', () => {
+  const resampler = new Resampler(24000, 8000);
+  const out = samples(Buffer.concat([resampler.process(tone(5000, 24000, 500)), resampler.flush()]));
+  // Above the 4 kHz Nyquist it would alias to 3 kHz; it must be filtered out instead
+  const level = 20 * Math.log10(rms(out.slice(200, -200)) / (10000 / Math.SQRT2));
+  assert.ok(level < -40, `5 kHz leaked at ${level.toFixed(1)} dB`);
+});
+
+test('resampler passes a 1 kHz tone 24 kHz → 8 kHz at unity gain', () => {
+  const resampler = new Resampler(24000, 8000);
+  const out = samples(resampler.process(tone(1000, 24000, 500)));
+  const level = 20 * Math.log10(rms(out.slice(200)) / (10000 / Math.SQRT2));
+  assert.ok(Math.abs(level) < 0.5, `1 kHz at ${level.toFixed(2)} dB`);
+});
+
+test('chunked resampling matches whole-buffer resampling', () => {
+  const input = tone(700, 8000, 400);
+  for (const [from, to] of [[8000, 16000], [8000, 24000], [24000, 8000], [16000, 24000]]) {
+    const whole = new Resampler(from, to);
+    const expected = Buffer.concat([whole.process(input), whole.flush()]);
+
+    // Uneven chunks, odd byte counts included
+    const chunked = new Resampler(from, to);
+    const parts = [];
+    for (let i = 0, size = 1; i < input.length; i += size, size = (size * 7 + 3) % 331 + 1) {
+      parts.push(chunked.process(input.subarray(i, i + size)));
+    }
+    parts.push(chunked.flush());
+    assert.deepEqual(Buffer.concat(parts), expected, `${from} → ${to}`);
+  }
+});
+
+test('L16 payloads are read big-endian (RFC 3551 network byte order)', () => {
+  // 0x1234, -2 (0xFFFE), 0x0100 as sent on the wire
+  const frame = Buffer.from([0x12, 0x34, 0xFF, 0xFE, 0x01, 0x00]);
+  const decoder = new StreamDecoder({ codec: 'L16', streamRate: 16000, rate: 16000 });
+  assert.deepEqual(samples(decoder.decode(frame)), [0x1234, -2, 0x0100]);
+
+  // A sample split across payloads comes out whole
+  const split = decoderForStream({ encoding: 'L16', sample_rate: 16000 }, { rate: 16000 });
+  const out = Buffer.concat([split.decode(frame.subarray(0, 3)), split.decode(frame.subarray(3))]);
+  assert.deepEqual(samples(out), [0x1234, -2, 0x0100]);
+});
+
+test('L16 round trip: samples written big-endian decode to the same values', () => {
+  const pcm = tone(440, 16000, 100);
+  const wire = Buffer.alloc(pcm.length);
+  samples(pcm).forEach((x, i) => wire.writeInt16BE(x, i * 2));
+  const decoder = decoderForStream({ encoding: 'L16', sample_rate: 16000 }, { rate: 16000 });
+  assert.deepEqual(decoder.decode(wire), pcm);
+});
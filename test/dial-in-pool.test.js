@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DialInPool, DEFAULT_DIAL_INS, parsePoolConfig, regionOfNumber } from '../lib/dial-in-pool.js';
+
+const numbers = (pool) => pool.ranked.map(e => e.number);
+
+test('the caller\'s area code picks the region', () => {
+  assert.equal(regionOfNumber('+1 415 555 0100'), 'us-west');
+  assert.equal(regionOfNumber('+12125550100'), 'us-east');
+  assert.equal(regionOfNumber('+442071234567'), null);
+});
+
+test('nearest region first, then priority', () => {
+  const pool = new DialInPool(DEFAULT_DIAL_INS, { callerNumber: '+12125550100' });
+  assert.deepEqual(numbers(pool).slice(0, 3), ['+16465588656', '+13017158592', '+16699009128']);
+  const west = new DialInPool(DEFAULT_DIAL_INS, { callerNumber: '+12125550100', callerRegion: 'us-west' });
+  assert.equal(west.current().number, '+16699009128');
+});
+
+test('pinned numbers come first, same country before abroad', () => {
+  const pool = new DialInPool([
+    { number: '+442034815237', priority: 1 },
+    ...DEFAULT_DIAL_INS,
+    { number: '+13462487799', priority: -1 },
+  ], { callerNumber: '+12125550100' });
+  const ranked = numbers(pool);
+  assert.equal(ranked[0], '+13462487799');
+  assert.equal(ranked[ranked.length - 1], '+442034815237');
+  // Listed twice: merged, keeping the better priority
+  assert.equal(ranked.filter(n => n === '+13462487799').length, 1);
+});
+
+test('busy, no answer and dial errors fail over in rank order until the pool runs out', () => {
+  const pool = new DialInPool(DEFAULT_DIAL_INS.slice(0, 3), { callerNumber: '+14155550100' });
+  assert.deepEqual(numbers(pool), ['+16699009128', '+12532158782', '+13462487799']);
+  assert.equal(pool.shouldFailover('BUSY'), true);
+  assert.equal(pool.shouldFailover('NO_ANSWER'), true);
+  assert.equal(pool.shouldFailover('DIAL_ERROR'), true);
+  assert.equal(pool.shouldFailover('BAD_PASSCODE'), false);
+
+  assert.equal(pool.failover('BUSY').number, '+12532158782');
+  assert.equal(pool.failover('NO_ANSWER').number, '+13462487799');
+  assert.equal(pool.failover('DIAL_ERROR'), null);
+  assert.deepEqual(pool.attempts.map(a => [a.number, a.reason]), [
+    ['+16699009128', 'BUSY'], ['+12532158782', 'NO_ANSWER'], ['+13462487799', 'DIAL_ERROR'],
+  ]);
+  pool.reset();
+  assert.equal(pool.current().number, '+16699009128');
+});
+
+test('the number that connected is recorded', () => {
+  const pool = new DialInPool(DEFAULT_DIAL_INS, { callerNumber: '+14155550100' });
+  pool.failover('BUSY');
+  assert.deepEqual(pool.markConnected(), { number: '+12532158782', region: 'us-west', location: 'US (Tacoma)' });
+  assert.equal(pool.attempts.at(-1).reason, 'CONNECTED');
+});
+
+test('only Zoom gets the shared pool; other platforms use the invitation\'s numbers', () => {
+  delete process.env.ZOOM_DIAL_IN;
+  delete process.env.ZOOM_DIAL_IN_POOL;
+  const invitationDialIns = [{ number: '+13238494874', location: 'United States, Los Angeles' }];
+  const teams = DialInPool.fromEnv({ invitationDialIns, callerNumber: '+14155550100', platform: 'teams' });
+  assert.deepEqual(numbers(teams), ['+13238494874']);
+  const zoom = DialInPool.fromEnv({ invitationDialIns, callerNumber: '+14155550100' });
+  assert.ok(zoom.ranked.length > DEFAULT_DIAL_INS.length);
+});
+
+test('pool config: compact list or JSON', () => {
+  assert.deepEqual(parsePoolConfig('+16699009128:us-west:1, +16465588656'), [
+    { number: '+16699009128', region: 'us-west', priority: 1 },
+    { number: '+16465588656', region: undefined, priority: undefined },
+  ]);
+  assert.deepEqual(parsePoolConfig('[{"number":"+16699009128"}]'), [{ number: '+16699009128' }]);
+  assert.deepEqual(parsePoolConfig(''), []);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeakerDiarizer, embed, similarity, speakerTurns } from '../lib/diarization.js';
+
+const RATE = 16000;
+
+// Seeded, so the fixtures are the same every run
+function rng(seed) {
+  return () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+}
+
+// Vowel formants (Hz) of an adult male vocal tract; a voice scales them
+const VOWELS = [[730, 1090, 2440], [270, 2290, 3010], [530, 1840, 2480], [570, 840, 2410], [300, 870, 2240], [660, 1720, 2410]];
+
+/**
+ * A synthetic voice saying `ms` of random syllables: a pulse train at `f0`
+ * with some vibrato, through three formant resonators scaled by `tract`.
+ * Different seeds are different sentences in the same voice.
+ */
+function say({ f0, tract }, seed, ms = 2500) {
+  const random = rng(seed);
+  const n = Math.round(RATE * ms / 1000);
+  const syllable = Math.round(RATE * 0.2);
+  const pcm = Buffer.alloc(n * 2);
+  const state = VOWELS[0].map(() => [0, 0]);
+  let vowel = VOWELS[0];
+  let phase = 0;
+  for (let i = 0; i < n; i++) {
+    if (i % syllable === 0) vowel = VOWELS[Math.floor(random() * VOWELS.length)];
+    phase += f0 * (1 + 0.06 * Math.sin(2 * Math.PI * 2.3 * i / RATE + seed)) / RATE;
+    let x = (random() - 0.5) * 0.02;
+    if (phase >= 1) {
+      phase -= 1;
+      x += 1;
+    }
+    let y = 0;
+    vowel.forEach((hz, k) => {
+      const r = Math.exp(-Math.PI * (80 + 40 * k) / RATE);
+      const [y1, y2] = state[k];
+      const out = x + 2 * r * Math.cos(2 * Math.PI * hz * tract / RATE) * y1 - r * r * y2;
+      state[k] = [out, y1];
+      y += out / (k + 1);
+    });
+    const envelope = Math.sqrt(Math.sin(Math.PI * (i % syllable) / syllable));
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(y * envelope * 300))), i * 2);
+  }
+  return pcm;
+}
+
+const ALICE = { f0: 210, tract: 1.18 };
+const BOB = { f0: 110, tract: 1 };
+const CAROL = { f0: 150, tract: 1.08 };
+
+// VAD utterances back to back from t = 0: [[voice, seed], ...]
+function utterances(lines) {
+  let at = 0;
+  return lines.map(([voice, seed]) => {
+    const pcm = say(voice, seed);
+    const durationMs = pcm.length / 2 / RATE * 1000;
+    const u = { pcm, sampleRate: RATE, startedAt: new Date(at), endedAt: new Date(at + durationMs), durationMs };
+    at += durationMs + 500;
+    return u;
+  });
+}
+
+const diarizer = () => new SpeakerDiarizer({ threshold: 0.45, maxSpeakers: 8, log: () => {} });
+
+test('embeddings: the same voice is closer to itself than to another', () => {
+  const bob1 = embed(say(BOB, 1), RATE);
+  const bob2 = embed(say(BOB, 2), RATE);
+  const alice = embed(say(ALICE, 3), RATE);
+  assert.ok(Math.abs(bob1.f0 - 110) < 5, `F0 ${bob1.f0}`);
+  assert.ok(similarity(bob1, bob2) > 0.45, `same voice ${similarity(bob1, bob2)}`);
+  assert.ok(similarity(bob1, alice) < 0.45, `different voices ${similarity(bob1, alice)}`);
+});
+
+test('too little speech gives no embedding', () => {
+  assert.equal(embed(say(BOB, 1, 100), RATE), null);
+});
+
+test('utterances in one voice cluster together, different voices separate', () => {
+  const d = diarizer();
+  const labels = utterances([[BOB, 1], [ALICE, 2], [BOB, 3], [CAROL, 4], [ALICE, 5], [BOB, 6], [CAROL, 7]])
+    .map(u => d.segment(u).speaker);
+  assert.deepEqual(labels, ['Speaker 1', 'Speaker 2', 'Speaker 1', 'Speaker 3', 'Speaker 2', 'Speaker 1', 'Speaker 3']);
+  assert.deepEqual(d.speakers().map(s => s.segments), [3, 2, 2]);
+});
+
+test('known voices keep their labels across a restore', () => {
+  const d = diarizer();
+  for (const u of utterances([[BOB, 1], [ALICE, 2]])) d.segment(u);
+  const restored = diarizer();
+  restored.restore(JSON.parse(JSON.stringify(d)));
+  const [alice, bob] = utterances([[ALICE, 3], [BOB, 4]]).map(u => restored.segment(u));
+  assert.equal(alice.speaker, 'Speaker 2');
+  assert.equal(bob.speaker, 'Speaker 1');
+  assert.equal(alice.isNew, false);
+});
+
+test('defer() diarizes after the caller returns, in order', async () => {
+  const d = diarizer();
+  const [bob, alice] = utterances([[BOB, 1], [ALICE, 2]]);
+  const first = d.defer(bob);
+  const second = d.defer(alice);
+  assert.deepEqual(d.speakers(), []);
+  assert.equal((await first).speaker, 'Speaker 1');
+  assert.equal((await second).speaker, 'Speaker 2');
+});
+
+test('a transcript arriving before its utterance is labelled once it is diarized', async () => {
+  const d = diarizer();
+  const [bob] = utterances([[BOB, 1]]);
+  const entry = { text: 'Sounds good to me.' };
+  const at = +bob.endedAt + 1000;
+  const labelled = [];
+  d.on('labelled', (e) => labelled.push(e.speaker));
+  assert.equal(d.attach(entry, at), null);
+  await d.defer(bob);
+  assert.equal(entry.speaker, 'Speaker 1');
+  assert.deepEqual(labelled, ['Speaker 1']);
+});
+
+test('speakerTurns merges consecutive lines and names the labels', () => {
+  const entries = [
+    { text: 'Hi.', speaker: 'Speaker 1' },
+    { text: 'How is it going?', speaker: 'Speaker 1' },
+    { text: 'Fine.', speaker: 'Speaker 2' },
+    { text: 'Hmm.' },
+  ];
+  assert.equal(speakerTurns(entries, (l) => (l === 'Speaker 1' ? 'Bob' : l)),
+    'Bob: Hi. How is it going?\nSpeaker 2: Fine.\nUnknown speaker: Hmm.');
+  assert.equal(speakerTurns([{ text: 'Hi.' }]), null);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPlatform, parseInvitation, meetingFromArgs } from '../lib/invitation.js';
+
+const INVITATION = `Alice Smith is inviting you to a scheduled Zoom meeting.
+
+Topic: Weekly sync
+Time: Oct 20, 2026 03:00 PM Pacific Time (US and Canada)
+
+Join Zoom Meeting
+https://us02web.zoom.us/j/85246483135?pwd=aBcDeFgHiJkLmNoP.1
+
+Meeting ID: 852 4648 3135
+Passcode: xY7kQ2
+---
+One tap mobile
++16699009128,,85246483135#,,,,*123456# US (San Jose)
++12532158782,,85246483135#,,,,*123456# US (Tacoma)
+
+---
+Dial by your location
+• +1 669 900 9128 US (San Jose)
+• +1 253 215 8782 US (Tacoma)
+• +44 203 481 5237 United Kingdom
+Meeting ID: 852 4648 3135
+Passcode: 123456
+Find your local number: https://us02web.zoom.us/u/kbXyZ`;
+
+test('a pasted invitation gives the ID, the numeric passcode and the dial-ins', () => {
+  const invite = parseInvitation(INVITATION);
+  assert.equal(invite.meetingId, '85246483135');
+  // The alphanumeric app passcode can't be typed on a keypad
+  assert.equal(invite.passcode, '123456');
+  assert.equal(invite.joinUrl, 'https://us02web.zoom.us/j/85246483135?pwd=aBcDeFgHiJkLmNoP.1');
+  assert.deepEqual(invite.dialIns.map(d => d.number), ['+16699009128', '+12532158782', '+442034815237']);
+  assert.deepEqual(invite.dialIns[0], { number: '+16699009128', location: 'US (San Jose)', country: 'US', city: 'San Jose' });
+  assert.equal(invite.dialIns[2].country, 'United Kingdom');
+});
+
+test('a bare join URL gives the meeting ID', () => {
+  assert.equal(parseInvitation('https://zoom.us/j/987654321').meetingId, '987654321');
+  assert.equal(parseInvitation('https://acme.zoom.us/wc/join/98765432101').meetingId, '98765432101');
+  assert.equal(parseInvitation('https://zoom.us/join?confno=987654321').meetingId, '987654321');
+});
+
+test('an ICS description is unfolded and unescaped first', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DESCRIPTION:Join Zoom Meeting\\nhttps://zoom.us/j/85246483135\\n\\nMeeting ID',
+    ' : 852 4648 3135\\nPasscode: 654321\\nParticipant ID: 4242',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const invite = parseInvitation(ics);
+  assert.equal(invite.meetingId, '85246483135');
+  assert.equal(invite.passcode, '654321');
+  assert.equal(invite.participantId, '4242');
+});
+
+test('one-tap links from older invites skip the participant ID first', () => {
+  const invite = parseInvitation('+16699009128,,85246483135#,,,,,,0#,,778899# US (San Jose)');
+  assert.equal(invite.meetingId, '85246483135');
+  assert.equal(invite.passcode, '778899');
+});
+
+test('nothing recognisable gives empty fields', () => {
+  assert.deepEqual(parseInvitation('see you tomorrow'), { platform: 'zoom', meetingId: '', passcode: '', participantId: '', joinUrl: '', dialIns: [] });
+});
+
+test('explicit -m / -p / -P win over the invitation', () => {
+  const args = ['-i', INVITATION, '-m', '111 222 3333', '-p', '999', '-P', '5150'];
+  const meeting = meetingFromArgs(args);
+  assert.equal(meeting.meetingId, '1112223333');
+  assert.equal(meeting.passcode, '999');
+  assert.equal(meeting.participantId, '5150');
+  assert.equal(meeting.dialIns.length, 3);
+});
+
+test('Teams: the phone conference ID, not the app meeting ID', () => {
+  const invite = parseInvitation(`Microsoft Teams meeting
+Join on your computer, mobile app or room device
+https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0
+Meeting ID: 263 441 557 892
+Passcode: Xy7Pq2
+Or call in (audio only)
++1 323-849-4874,,123456789#   United States, Los Angeles
+Phone conference ID: 123 456 789#`);
+  assert.equal(invite.platform, 'teams');
+  assert.equal(invite.meetingId, '123456789');
+  assert.equal(invite.passcode, '');
+  assert.deepEqual(invite.dialIns, [
+    { number: '+13238494874', location: 'United States, Los Angeles', country: 'United States', city: 'Los Angeles' },
+  ]);
+});
+
+test('Meet: PIN and bidi-wrapped number', () => {
+  const invite = parseInvitation('Google Meet joining info\n' +
+    'Video call link: https://meet.google.com/abc-defg-hij\n' +
+    'Join by phone\n' +
+    '\u202a(US) +1 413-438-5234\u202c PIN: \u202a612 286 919\u202c#');
+  assert.equal(invite.platform, 'meet');
+  assert.equal(invite.meetingId, '612286919');
+  assert.equal(invite.joinUrl, 'https://meet.google.com/abc-defg-hij');
+  assert.equal(invite.dialIns[0].number, '+14134385234');
+});
+
+test('Webex: access code and the numeric phone password', () => {
+  const invite = parseInvitation(`Join Webex meeting
+https://acme.webex.com/acme/j.php?MTID=m123
+Meeting number (access code): 2550 123 4567
+Meeting password: HyE3bKp3 (49332573 from phones and video systems)
++1-650-479-3208 Call-in toll number (US/Canada)`);
+  assert.equal(invite.platform, 'webex');
+  assert.equal(invite.meetingId, '25501234567');
+  assert.equal(invite.passcode, '49332573');
+  assert.equal(invite.dialIns[0].location, 'US/Canada');
+});
+
+test('the platform comes from the URL, then the wording, then defaults to Zoom', () => {
+  assert.equal(detectPlatform('https://teams.live.com/meet/123'), 'teams');
+  assert.equal(detectPlatform('Join the Webex meeting'), 'webex');
+  assert.equal(detectPlatform('Meeting ID: 852 4648 3135'), 'zoom');
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IVRNavigator, getIVRProfile, matchPrompt } from '../lib/ivr.js';
+
+test('prompts are recognised from Zoom\'s wording', () => {
+  assert.equal(matchPrompt('Welcome to Zoom. Enter your meeting ID followed by pound.'), 'MEETING_ID');
+  assert.equal(matchPrompt('Please enter your participant ID, or press pound to skip.'), 'PARTICIPANT_ID');
+  assert.equal(matchPrompt('Please enter the meeting passcode followed by pound.'), 'PASSCODE');
+  assert.equal(matchPrompt('You are entering the meeting now.'), 'CONNECTED');
+  assert.equal(matchPrompt('Welcome to Zoom.'), 'WELCOME');
+  assert.equal(matchPrompt('Thanks for calling.'), null);
+  assert.equal(matchPrompt(''), null);
+});
+
+test('overlapping prompts resolve by priority', () => {
+  // "incorrect passcode" is a rejection, not a passcode prompt
+  assert.equal(matchPrompt('Incorrect passcode, please try again.'), 'BAD_PASSCODE');
+  assert.equal(matchPrompt('This meeting ID is not valid.'), 'INVALID_MEETING_ID');
+  assert.equal(matchPrompt('That entry is invalid.'), 'INVALID');
+  // Held, not connected, despite "please wait"
+  assert.equal(matchPrompt('Please wait, the host will let you in soon.'), 'WAITING_ROOM');
+  assert.equal(matchPrompt('Please wait for the host to start this meeting.'), 'WAITING_FOR_HOST');
+  // "participant ID" must not fall through to the meeting ID prompt
+  assert.equal(matchPrompt('Enter your participant ID number'), 'PARTICIPANT_ID');
+});
+
+// A navigator on a fake Telnyx API that records the DTMF sent
+function navigator(options = {}) {
+  const sent = [];
+  const api = async (method, path, body) => {
+    if (path.endsWith('/send_dtmf')) sent.push(body.digits);
+    return {};
+  };
+  const ivr = new IVRNavigator({ api, callControlId: 'call-1', meetingId: '123 456 7890', passcode: '4321', log: () => {}, ...options });
+  return { ivr, sent };
+}
+
+const transcript = (text) => ({ transcription_data: { transcript: text, is_final: true } });
+
+test('each prompt heard is answered with its digits, in order', async () => {
+  const { ivr, sent } = navigator();
+  const joined = ivr.join();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Enter your meeting ID followed by pound.'));
+  ivr.handleEvent('call.transcription', transcript('Enter your participant ID, or press pound to skip.'));
+  ivr.handleEvent('call.transcription', transcript('Please enter the meeting passcode.'));
+  ivr.handleEvent('call.transcription', transcript('You are now entering the meeting.'));
+  await joined;
+  assert.deepEqual(sent, ['1234567890#', '#', '4321#']);
+  assert.equal(ivr.state, 'IN_MEETING');
+  ivr.stop();
+});
+
+test('a participant ID is sent at its prompt instead of skipping', async () => {
+  const { ivr, sent } = navigator({ participantId: '55 66' });
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Enter your meeting ID followed by pound.'));
+  ivr.handleEvent('call.transcription', transcript('Enter your participant ID, or press pound to skip.'));
+  await new Promise(r => setImmediate(r));
+  assert.deepEqual(sent, ['1234567890#', '5566#']);
+  ivr.stop();
+});
+
+test('Teams asks only for the conference ID', async () => {
+  const { ivr, sent } = navigator({ profile: 'teams', meetingId: '123 456 789', passcode: '' });
+  const joined = ivr.join();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Please enter your conference ID followed by the pound sign.'));
+  ivr.handleEvent('call.transcription', transcript('You are now joining the meeting.'));
+  await joined;
+  assert.deepEqual(sent, ['123456789#']);
+  ivr.stop();
+});
+
+test('each profile recognises its own prompts', () => {
+  assert.equal(matchPrompt('Please enter the meeting PIN followed by pound.', 'meet'), 'MEETING_ID');
+  assert.equal(matchPrompt('Someone in the meeting will let you in soon.', 'meet'), 'WAITING_ROOM');
+  assert.equal(matchPrompt('Enter the access code followed by pound.', 'webex'), 'MEETING_ID');
+  assert.equal(matchPrompt('Enter your attendee ID number, or press pound.', 'webex'), 'PARTICIPANT_ID');
+  assert.equal(matchPrompt('Please say your name after the tone.', 'teams'), 'RECORD_NAME');
+  // Zoom has no name recording step
+  assert.equal(matchPrompt('Please say your name after the tone.'), null);
+  assert.throws(() => getIVRProfile('skype'), /Unknown IVR profile/);
+});
+
+test('a prompt transcribed twice is answered once', async () => {
+  const { ivr, sent } = navigator();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Enter your meeting ID followed by pound.'));
+  ivr.handleEvent('call.transcription', transcript('Enter your meeting ID followed by pound.'));
+  await new Promise(r => setImmediate(r));
+  assert.deepEqual(sent, ['1234567890#']);
+  ivr.stop();
+});
+
+test('a hangup before the meeting fails the join', async () => {
+  const { ivr } = navigator();
+  const joined = ivr.join();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.hangup', {});
+  await assert.rejects(joined, { reason: 'HANGUP' });
+  ivr.stop();
+});
+
+test('a busy line before the IVR fails with BUSY', async () => {
+  const { ivr } = navigator();
+  const joined = ivr.join();
+  ivr.handleEvent('call.hangup', { hangup_cause: 'user_busy' });
+  await assert.rejects(joined, { reason: 'BUSY', hungUp: true });
+});
+
+test('a rejected passcode is sent once more, then the join fails', async () => {
+  const { ivr, sent } = navigator({ timeouts: { repeatGuard: 0 } });
+  const joined = ivr.join();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Please enter the meeting passcode.'));
+  ivr.handleEvent('call.transcription', transcript('The passcode is incorrect.'));
+  ivr.handleEvent('call.transcription', transcript('The passcode is incorrect.'));
+  await assert.rejects(joined, { reason: 'BAD_PASSCODE' });
+  assert.deepEqual(sent, ['4321#', '4321#']);
+  assert.equal(ivr.failure.state, 'ENTER_PASSCODE');
+});
+
+test('the waiting room holds until the meeting is heard', async () => {
+  const { ivr } = navigator();
+  const joined = ivr.join();
+  ivr.handleEvent('call.answered', {});
+  ivr.handleEvent('call.transcription', transcript('Please wait, the host will let you in soon.'));
+  assert.equal(ivr.state, 'WAITING_ROOM');
+  ivr.handleEvent('call.transcription', transcript('Hi everyone, can you hear me?'));
+  await joined;
+  assert.equal(ivr.state, 'IN_MEETING');
+  ivr.stop();
+});
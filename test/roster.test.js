@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeakerRoster } from '../lib/roster.js';
+
+const roster = () => new SpeakerRoster({ exclude: ['AI Assistant'], replyMs: 10000, minVotes: 2, log: () => {} });
+
+// Entries 1 s apart from `turns` = [[speaker, text], ...]
+function hear(r, turns) {
+  return turns.flatMap(([speaker, text], i) => r.heard({ speaker, text, at: i * 1000 }));
+}
+
+test('introductions name the speaker', () => {
+  for (const text of ["Hi, this is Alice.", "I'm Alice", "Alice here", "hey, it's Alice here", "我是张三"]) {
+    const found = hear(roster(), [['Speaker 2', text]]);
+    assert.deepEqual(found.map(f => f.name), [text === '我是张三' ? '张三' : 'Alice'], text);
+  }
+  const r = roster();
+  hear(r, [['Speaker 2', 'Hi, this is Alice Smith.']]);
+  assert.equal(r.nameOf('Speaker 2'), 'Alice Smith');
+});
+
+test('"it\'s" followed by a day or a thing is not an introduction', () => {
+  for (const text of ["It's Monday.", "It is Friday, so let's wrap up.", "It's Tuesday already"]) {
+    assert.deepEqual(hear(roster(), [['Speaker 2', text]]), [], text);
+  }
+});
+
+test('a sentence opened by a day or discourse word calls on no one', () => {
+  const r = roster();
+  const found = hear(r, [
+    ['Speaker 1', 'Yesterday, we shipped the release.'],
+    ['Speaker 2', 'Nice.'],
+    ['Speaker 1', 'However, the tests were flaky.'],
+    ['Speaker 2', 'Right.'],
+    ['Speaker 1', 'Tomorrow, I will look at it.'],
+    ['Speaker 2', 'Sounds good.'],
+  ]);
+  assert.deepEqual(found, []);
+  assert.deepEqual(r.toJSON().votes, {});
+});
+
+test('an interjection before a comma calls on no one', () => {
+  const r = roster();
+  const found = hear(r, [
+    ['Speaker 1', 'Cool, let us move on.'],
+    ['Speaker 2', 'Sure.'],
+    ['Speaker 1', 'Perfect, that settles it.'],
+    ['Speaker 2', 'Yes.'],
+    ['Speaker 1', 'Awesome, next item.'],
+    ['Speaker 2', 'Okay.'],
+    ['Speaker 1', 'Absolutely, I agree with that.'],
+    ['Speaker 2', 'Good.'],
+  ]);
+  assert.deepEqual(found, []);
+  assert.deepEqual(r.toJSON().votes, {});
+});
+
+test('"Bob, ..." without a question counts once Bob is a name already heard', () => {
+  const r = roster();
+  hear(r, [
+    ['Speaker 3', "Hi, I'm Bob."],
+    ['Speaker 1', 'Carol, go on.'],
+    ['Speaker 2', 'Thanks.'],
+    ['Speaker 1', 'Bob, go on.'],
+    ['Speaker 3', 'So the numbers are up.'],
+  ]);
+  assert.equal(r.list().find(s => s.label === 'Speaker 2'), undefined);
+  assert.deepEqual(r.list().find(s => s.label === 'Speaker 3').candidates, [{ name: 'Bob', votes: 4 }]);
+});
+
+test('being called on and answering twice names the one who answers', () => {
+  const r = roster();
+  hear(r, [
+    ['Speaker 1', 'Bob, what do you think?'],
+    ['Speaker 3', 'I think it works.'],
+    ['Speaker 1', 'Thanks, Bob'],
+  ]);
+  assert.equal(r.nameOf('Speaker 3'), 'Bob');
+  assert.equal(r.nameOf('Speaker 1'), null);
+});
+
+test("the agent's own name is never given out", () => {
+  const r = roster();
+  hear(r, [['Speaker 2', 'Hi, this is AI Assistant.']]);
+  assert.equal(r.nameOf('Speaker 2'), null);
+});
+
+test('an operator correction wins until cleared, and names survive a restore', () => {
+  const r = roster();
+  hear(r, [['Speaker 2', "I'm Alice"]]);
+  r.set('Speaker 2', 'Carol');
+  assert.equal(r.nameOf('Speaker 2'), 'Carol');
+  const restored = roster();
+  restored.restore(JSON.parse(JSON.stringify(r)));
+  assert.equal(restored.nameOf('Speaker 2'), 'Carol');
+  restored.set('Speaker 2', null);
+  assert.equal(restored.nameOf('Speaker 2'), 'Alice');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcsEvents, JoinScheduler } from '../lib/scheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const from = Date.UTC(2026, 9, 19);
+const until = from + 14 * DAY_MS;
+
+function recurring(dtstart, rrule) {
+  return [
+    'BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:standup',
+    `DTSTART;TZID=America/New_York:${dtstart}`,
+    `DTEND;TZID=America/New_York:${dtstart.slice(0, 9)}160000`,
+    `RRULE:${rrule}`, 'SUMMARY:Standup', 'END:VEVENT', 'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+const starts = (ics) => parseIcsEvents(ics, { from, until, log: () => {} }).map(o => o.startAt.toISOString().slice(0, 16));
+
+test('a daily rule from years back expands without walking every day', () => {
+  const t = Date.now();
+  const got = starts(recurring('20160104T150000', 'FREQ=DAILY'));
+  assert.ok(Date.now() - t < 200, `took ${Date.now() - t} ms`);
+  assert.equal(got.length, 14);
+  assert.equal(got[0], '2026-10-19T19:00');
+  // New York leaves daylight time on 1 November
+  assert.equal(got[13], '2026-11-01T20:00');
+});
+
+test('INTERVAL keeps its phase across the skipped years', () => {
+  // 20160104 + 3n days lands on 20 October 2026
+  assert.deepEqual(starts(recurring('20160104T150000', 'FREQ=DAILY;INTERVAL=3')),
+    ['2026-10-20T19:00', '2026-10-23T19:00', '2026-10-26T19:00', '2026-10-29T19:00', '2026-11-01T20:00']);
+  assert.deepEqual(starts(recurring('20160104T150000', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH')),
+    ['2026-10-27T19:00', '2026-10-29T19:00']);
+});
+
+test('COUNT counts the occurrences before the window', () => {
+  // 3943 days from 4 January 2016 run out on 20 October 2026
+  assert.deepEqual(starts(recurring('20160104T150000', 'FREQ=DAILY;COUNT=3943')), ['2026-10-19T19:00', '2026-10-20T19:00']);
+  // Starting on a Wednesday: the first week has only that day
+  assert.deepEqual(starts(recurring('20160106T150000', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=570')),
+    ['2026-10-26T19:00', '2026-10-28T19:00']);
+});
+
+test('a rule starting inside the window is unaffected', () => {
+  assert.deepEqual(starts(recurring('20261021T150000', 'FREQ=WEEKLY')), ['2026-10-21T19:00', '2026-10-28T19:00']);
+});
+
+test('an invalid early-join time is rejected', () => {
+  const scheduler = new JoinScheduler({ startSession: () => {}, log: () => {} });
+  const startAt = new Date(Date.now() + DAY_MS).toISOString();
+  for (const earlyJoinMs of [NaN, -1000, Infinity]) {
+    assert.throws(() => scheduler.add({ startAt, meetingId: '83914076399', earlyJoinMs }), /earlyJoinMs/);
+  }
+});
+
+test('a feed refresh is skipped while the previous one is still loading', async (t) => {
+  let fetches = 0;
+  let respond;
+  t.mock.method(globalThis, 'fetch', () => {
+    fetches++;
+    return new Promise(r => { respond = r; });
+  });
+  const scheduler = new JoinScheduler({ startSession: () => {}, log: () => {} });
+  const first = scheduler.watchFeed('https://calendar.example.com/me.ics', 5);
+  await new Promise(r => setTimeout(r, 30));
+  assert.equal(fetches, 1);
+  respond({ ok: true, text: async () => 'BEGIN:VCALENDAR\nEND:VCALENDAR' });
+  await first;
+  scheduler.stopFeed();
+});
+
+test('saved joins come back with their IDs; past ones are dropped', () => {
+  const first = new JoinScheduler({ startSession: () => {}, log: () => {} });
+  const entry = first.add({ startAt: new Date(Date.now() + DAY_MS), meetingId: '83914076399', passcode: '1234', earlyJoinMs: 120000 });
+  const saved = JSON.parse(JSON.stringify([
+    ...first.toJSON(),
+    { ...first.toJSON()[0], id: 'gone', startAt: new Date(Date.now() - DAY_MS), joinAt: new Date(Date.now() - DAY_MS) },
+  ]));
+  first.stop();
+
+  const second = new JoinScheduler({ startSession: () => {}, log: () => {} });
+  const restored = second.restore(saved);
+  assert.deepEqual(restored.map(e => e.id), [entry.id]);
+  assert.equal(restored[0].passcode, '1234');
+  assert.equal(restored[0].joinAt.getTime(), entry.joinAt.getTime());
+  second.stop();
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SessionStore } from '../lib/session-store.js';
+
+function tempStore(t, options = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'session-store-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return new SessionStore({ dir, debounceMs: 10, log: () => {}, ...options });
+}
+
+test('a saved session reads back the same', (t) => {
+  const store = tempStore(t);
+  const session = { id: 'a1', dialer: { state: 'IN_MEETING', callControlId: 'v3:abc' }, transcript: [{ text: 'hello' }] };
+  store.save('a1', () => session);
+  store.flush();
+  assert.deepEqual(store.loadAll(), [session]);
+  // Owner-only: the files hold passcodes
+  assert.equal(statSync(store.path('a1')).mode & 0o777, 0o600);
+});
+
+test('a burst of saves is one write of the latest snapshot', async (t) => {
+  const store = tempStore(t);
+  let snapshots = 0;
+  for (let i = 1; i <= 5; i++) store.save('a1', () => (snapshots++, { id: 'a1', n: i }));
+  await new Promise(r => setTimeout(r, 30));
+  assert.equal(snapshots, 1);
+  assert.deepEqual(store.loadAll(), [{ id: 'a1', n: 5 }]);
+  assert.deepEqual(readdirSync(store.dir), ['a1.json']);
+});
+
+test('removed sessions are gone, pending writes included', (t) => {
+  const store = tempStore(t);
+  store.save('a1', () => ({ id: 'a1' }));
+  store.flush();
+  store.save('a2', () => ({ id: 'a2' }));
+  store.remove('a1');
+  store.remove('a2');
+  store.flush();
+  assert.deepEqual(store.loadAll(), []);
+});
+
+test('an unreadable file is skipped, not fatal', (t) => {
+  const store = tempStore(t);
+  writeFileSync(join(store.dir, 'broken.json'), '{"id": "br');
+  store.save('a1', () => ({ id: 'a1' }));
+  store.flush();
+  assert.deepEqual(store.loadAll(), [{ id: 'a1' }]);
+});
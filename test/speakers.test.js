@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { mountSpeakerRoutes } from '../lib/speakers.js';
+import { SpeakerRoster } from '../lib/roster.js';
+
+// A diarizer that has heard two voices
+const diarizer = { speakers: () => [{ label: 'Speaker 1' }, { label: 'Speaker 2' }] };
+
+// The routes on an ephemeral port; `request(method, path, body)` → { status, body }
+async function serve(t, speakers, options) {
+  const app = express();
+  app.use(express.json());
+  mountSpeakerRoutes(app, speakers, options);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(r => server.once('listening', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (method, path, body) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+const roster = () => new SpeakerRoster({ exclude: [], log: () => {} });
+
+test('PUT names a voice by label or number, DELETE clears it', async (t) => {
+  const speakers = { diarizer, roster: roster() };
+  const request = await serve(t, speakers);
+  const put = await request('PUT', '/speakers/2', { name: ' Alice ' });
+  assert.equal(put.status, 200);
+  assert.equal(put.body.speakers.find(s => s.label === 'Speaker 2').name, 'Alice');
+  const del = await request('DELETE', '/speakers/Speaker%202');
+  assert.equal(del.body.speakers.find(s => s.label === 'Speaker 2').name, null);
+});
+
+test('a name that is not a string is a 400, not a crash', async (t) => {
+  const request = await serve(t, { diarizer, roster: roster() });
+  for (const name of [5, {}, [], null, '  ']) {
+    const res = await request('PUT', '/speakers/1', { name });
+    assert.equal(res.status, 400, JSON.stringify(name));
+    assert.equal(res.body.error, 'name must be a non-empty string');
+  }
+});
+
+test('unknown voices are 404, speaker names turned off 409', async (t) => {
+  const request = await serve(t, { diarizer, roster: roster() });
+  assert.equal((await request('PUT', '/speakers/7', { name: 'Bob' })).status, 404);
+  const off = await serve(t, null);
+  assert.equal((await off('PUT', '/speakers/1', { name: 'Bob' })).status, 409);
+  const noRoster = await serve(t, { diarizer, roster: null });
+  assert.equal((await noRoster('DELETE', '/speakers/1')).status, 409);
+});
+
+test('a lookup per request (the bridge, by session) 404s what it cannot find', async (t) => {
+  const sessions = new Map([['abc', { diarizer, roster: roster() }]]);
+  const request = await serve(t, (req) => sessions.get(req.params.id),
+    { path: '/api/call/:id/speakers/:label', notFound: 'Session not found' });
+  assert.equal((await request('PUT', '/api/call/abc/speakers/1', { name: 'Carol' })).status, 200);
+  assert.deepEqual(await request('PUT', '/api/call/nope/speakers/1', { name: 'Carol' }), { status: 404, body: { error: 'Session not found' } });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'crypto';
+import { WebhookVerifier, verifyTelnyxWebhook, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../lib/telnyx-webhook.js';
+
+// Raw 32-byte key, base64, as Mission Control shows it
+function keyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  return { publicKey: raw.toString('base64'), privateKey };
+}
+
+const telnyx = keyPair();
+const now = Date.UTC(2026, 9, 19, 12);
+const ts = String(now / 1000);
+const body = JSON.stringify({ data: { event_type: 'call.transcription', payload: { call_control_id: 'call-1' } } });
+
+const signed = (rawBody, timestamp = ts, privateKey = telnyx.privateKey) =>
+  sign(null, Buffer.from(`${timestamp}|${rawBody}`), privateKey).toString('base64');
+
+const verifier = () => new WebhookVerifier({ publicKey: telnyx.publicKey });
+
+test('a correctly signed webhook is accepted once', () => {
+  const v = verifier();
+  const request = { signature: signed(body), timestamp: ts, rawBody: Buffer.from(body), now };
+  assert.deepEqual(v.verify(request), { ok: true });
+  assert.deepEqual(v.verify(request), { ok: false, reason: 'replayed request' });
+});
+
+test('a changed body fails the signature', () => {
+  const tampered = body.replace('call-1', 'call-2');
+  const result = verifier().verify({ signature: signed(body), timestamp: ts, rawBody: Buffer.from(tampered), now });
+  assert.deepEqual(result, { ok: false, reason: 'invalid signature' });
+});
+
+test('a signature from another key is rejected', () => {
+  const forger = keyPair();
+  const result = verifier().verify({ signature: signed(body, ts, forger.privateKey), timestamp: ts, rawBody: Buffer.from(body), now });
+  assert.deepEqual(result, { ok: false, reason: 'invalid signature' });
+});
+
+test('a stale timestamp is rejected even with a valid signature', () => {
+  const old = String(now / 1000 - 301);
+  const result = verifier().verify({ signature: signed(body, old), timestamp: old, rawBody: Buffer.from(body), now });
+  assert.deepEqual(result, { ok: false, reason: 'timestamp outside ±300s' });
+});
+
+test('missing headers or body are rejected', () => {
+  const v = verifier();
+  assert.equal(v.verify({ timestamp: ts, rawBody: Buffer.from(body), now }).reason, 'missing signature headers');
+  assert.equal(v.verify({ signature: signed(body), rawBody: Buffer.from(body), now }).reason, 'missing signature headers');
+  assert.equal(v.verify({ signature: signed(body), timestamp: ts, now }).reason, 'missing body');
+});
+
+test('a key of the wrong length is refused at start', () => {
+  assert.throws(() => new WebhookVerifier({ publicKey: Buffer.alloc(16).toString('base64') }), /32-byte/);
+});
+
+// Minimal express req / res for the middleware
+function run(middleware, headers = {}) {
+  const req = { get: (name) => headers[name], rawBody: Buffer.from(body), body: JSON.parse(body), ip: '203.0.113.9' };
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode };
+}
+
+test('middleware: signed requests pass, unsigned get 401', () => {
+  const middleware = verifyTelnyxWebhook({ publicKey: telnyx.publicKey, enabled: true, log: () => {} });
+  const fresh = String(Math.floor(Date.now() / 1000));
+  assert.deepEqual(run(middleware, { [SIGNATURE_HEADER]: signed(body, fresh), [TIMESTAMP_HEADER]: fresh }), { passed: true, status: 200 });
+  assert.deepEqual(run(middleware), { passed: false, status: 401 });
+});
+
+test('middleware: without a key everything is rejected unless checking is turned off', () => {
+  const logged = [];
+  const unconfigured = verifyTelnyxWebhook({ publicKey: '', enabled: true, log: (level) => logged.push(level) });
+  assert.deepEqual(run(unconfigured), { passed: false, status: 401 });
+  assert.ok(logged.includes('error'));
+
+  const bypass = verifyTelnyxWebhook({ enabled: false, log: () => {} });
+  assert.deepEqual(run(bypass), { passed: true, status: 200 });
+});